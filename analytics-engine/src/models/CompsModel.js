@@ -0,0 +1,275 @@
+const {
+  summarizeMultiple,
+  resolveComparableAssumptions,
+  checkComparableAssumptions,
+  impliedValues,
+  valuationRange
+} = require('../utils/statistics');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  assertValid
+} = require('../utils/validation');
+
+// Trading multiples: enterprise multiples imply EV, P/E implies a price per share
+const MULTIPLES = {
+  evToEbitda: { label: 'EV/EBITDA', numerator: 'enterpriseValue', denominator: 'ebitda', basis: 'enterprise' },
+  evToRevenue: { label: 'EV/Revenue', numerator: 'enterpriseValue', denominator: 'revenue', basis: 'enterprise' },
+  peRatio: { label: 'P/E', numerator: 'price', denominator: 'eps', basis: 'perShare' }
+};
+
+const NORMALIZED_FIELDS = ['price', 'sharesOutstanding', 'marketCap', 'enterpriseValue', 'netDebt', 'ebitda', 'revenue', 'eps'];
+
+// Yahoo quoteSummary fields arrive as { raw, fmt }; Alpha Vantage sends numbers as strings ('None' when missing)
+function toNumber(value) {
+  const raw = value !== null && typeof value === 'object' ? value.raw : value;
+  if (raw === undefined || raw === null || raw === '') return null;
+  const number = typeof raw === 'number' ? raw : parseFloat(raw);
+  return Number.isFinite(number) ? number : null;
+}
+
+function firstNumber(...candidates) {
+  for (const candidate of candidates) {
+    const number = toNumber(candidate);
+    if (number !== null) return number;
+  }
+  return null;
+}
+
+class CompsModel {
+  constructor(options = {}) {
+    this.multiples = options.multiples || Object.keys(MULTIPLES);
+    this.outlierMethod = options.outlierMethod || 'iqr';
+    this.outlierThreshold = options.outlierThreshold ?? null; // null uses the method's default
+    this.minPeers = options.minPeers || 3;
+  }
+
+  /**
+   * The instance's assumptions with per-call overrides applied
+   * @param {Object} overrides - Any constructor option (undefined values are ignored)
+   * @returns {Object} Frozen assumptions
+   */
+  resolveAssumptions(overrides = {}) {
+    return resolveComparableAssumptions({
+      multiples: this.multiples,
+      outlierMethod: this.outlierMethod,
+      outlierThreshold: this.outlierThreshold,
+      minPeers: this.minPeers
+    }, overrides);
+  }
+
+  /**
+   * Value a target company from its peers' trading multiples
+   * @param {Object} target - Company to value (same shape as a peer)
+   * @param {Array} peers - [{ symbol, financials (Yahoo quoteSummary), overview (Alpha Vantage), ...explicit fields }]
+   * @param {Object} overrides - { multiples, outlierMethod, outlierThreshold, minPeers }
+   * @returns {Object} Normalized peers, multiple statistics and the implied valuation range
+   */
+  calculateComps(target, peers, overrides = {}) {
+    try {
+      const assumptions = this.resolveAssumptions(overrides);
+      this.validateInputs(target, peers, assumptions);
+
+      const normalizedTarget = this.normalizePeer(target);
+      const normalizedPeers = peers.map(peer => this.normalizePeer(peer));
+      // Only fields that a requested multiple is built from are worth a warning
+      const neededFields = new Set(assumptions.multiples.flatMap(key => [MULTIPLES[key].numerator, MULTIPLES[key].denominator]));
+      const warnings = normalizedPeers
+        .map(peer => ({ symbol: peer.symbol, fields: peer.missing.filter(field => neededFields.has(field)) }))
+        .filter(peer => peer.fields.length > 0)
+        .map(peer => warning(
+          WARNING_CODES.MISSING_DATA,
+          `${peer.symbol}: no ${peer.fields.join(', ')}; multiples that need them are skipped`,
+          { symbol: peer.symbol, fields: peer.fields }
+        ));
+
+      const peerMultiples = normalizedPeers.map(peer => ({ symbol: peer.symbol, ...this.peerMultiples(peer, assumptions.multiples) }));
+
+      const statistics = {};
+      const impliedValuation = {};
+      assumptions.multiples.forEach(key => {
+        const observations = peerMultiples.map(peer => ({ symbol: peer.symbol, value: peer[key] }));
+        statistics[key] = this.summarize(observations, assumptions);
+
+        const { count, excluded } = statistics[key];
+        if (excluded.length > 0) {
+          warnings.push(warning(
+            WARNING_CODES.EXCLUDED_OUTLIERS,
+            `${MULTIPLES[key].label}: excluded ${excluded.map(peer => peer.symbol).join(', ')} as outliers`,
+            { multiple: key, symbols: excluded.map(peer => peer.symbol) }
+          ));
+        }
+        if (count < assumptions.minPeers) {
+          warnings.push(warning(
+            WARNING_CODES.INSUFFICIENT_PEERS,
+            `${MULTIPLES[key].label} rests on ${count} peer(s); at least ${assumptions.minPeers} are recommended`,
+            { multiple: key, count }
+          ));
+        }
+
+        impliedValuation[key] = this.applyMultiple(key, statistics[key], normalizedTarget);
+        if (impliedValuation[key] === null && count > 0) {
+          warnings.push(warning(
+            WARNING_CODES.MISSING_DATA,
+            `${MULTIPLES[key].label} cannot be applied: the target's ${MULTIPLES[key].denominator} is missing or not positive`,
+            { multiple: key }
+          ));
+        }
+      });
+
+      const applied = Object.values(impliedValuation).filter(Boolean);
+      if (applied.length === 0) {
+        throw new ModelError(
+          ERROR_CODES.INVALID_INPUT,
+          'no multiple could be applied: the peers or the target lack positive EBITDA, revenue and EPS',
+          [{ path: 'target', message: 'the target needs a positive ebitda, revenue or eps that peers also report' }]
+        );
+      }
+
+      return {
+        target: normalizedTarget,
+        peers: normalizedPeers.map((peer, i) => ({ ...peer, multiples: this.pick(peerMultiples[i], assumptions.multiples) })),
+        statistics,
+        impliedValuation,
+        valuationRange: this.valuationRange(applied, normalizedTarget),
+        assumptions: { ...assumptions },
+        warnings
+      };
+    } catch (error) {
+      console.error('Comps calculation error:', error);
+      throw ModelError.wrap(error, 'Comps calculation failed');
+    }
+  }
+
+  /**
+   * Check the request shape before any data is normalized
+   */
+  validateInputs(target, peers, assumptions = this.resolveAssumptions()) {
+    const details = [];
+    if (!target || typeof target !== 'object') {
+      details.push({ path: 'target', message: 'target must be an object' });
+    }
+    if (!Array.isArray(peers) || peers.length === 0) {
+      details.push({ path: 'peers', message: 'peers must be a non-empty array' });
+    } else {
+      peers.forEach((peer, i) => {
+        if (!peer || typeof peer !== 'object') details.push({ path: `peers[${i}]`, message: `peers[${i}] must be an object` });
+      });
+    }
+
+    checkComparableAssumptions(details, assumptions, { list: 'multiples', known: Object.keys(MULTIPLES), minimum: 'minPeers' });
+
+    assertValid(details, 'comps inputs');
+  }
+
+  /**
+   * Common fields for one company from explicit values, Yahoo quoteSummary and
+   * Alpha Vantage overview data, in that order of preference
+   * @param {Object} company - { symbol, name, financials, overview, price, enterpriseValue, ebitda, revenue, eps, ... }
+   * @returns {Object} { symbol, name, price, sharesOutstanding, marketCap, enterpriseValue, netDebt, ebitda, revenue, eps, missing }
+   */
+  normalizePeer(company) {
+    const financialData = (company.financials && company.financials.financialData) || {};
+    const keyStatistics = (company.financials && company.financials.defaultKeyStatistics) || {};
+    const summaryDetail = (company.financials && company.financials.summaryDetail) || {};
+    const overview = company.overview || {};
+
+    const sharesOutstanding = firstNumber(company.sharesOutstanding, keyStatistics.sharesOutstanding, overview.SharesOutstanding);
+    let price = firstNumber(company.price, financialData.currentPrice, summaryDetail.previousClose);
+    let marketCap = firstNumber(company.marketCap, summaryDetail.marketCap, overview.MarketCapitalization);
+    if (price === null && marketCap !== null && sharesOutstanding > 0) price = marketCap / sharesOutstanding;
+    if (marketCap === null && price !== null && sharesOutstanding !== null) marketCap = price * sharesOutstanding;
+
+    const totalDebt = firstNumber(company.totalDebt, financialData.totalDebt);
+    const cash = firstNumber(company.cash, financialData.totalCash);
+    let netDebt = firstNumber(company.netDebt);
+    if (netDebt === null && totalDebt !== null) netDebt = totalDebt - (cash || 0);
+
+    let enterpriseValue = firstNumber(company.enterpriseValue, keyStatistics.enterpriseValue);
+    if (enterpriseValue === null && marketCap !== null && netDebt !== null) enterpriseValue = marketCap + netDebt;
+    if (netDebt === null && enterpriseValue !== null && marketCap !== null) netDebt = enterpriseValue - marketCap;
+
+    const normalized = {
+      symbol: company.symbol ? String(company.symbol).toUpperCase() : null,
+      name: company.name || overview.Name || null,
+      price,
+      sharesOutstanding,
+      marketCap,
+      enterpriseValue,
+      netDebt,
+      ebitda: firstNumber(company.ebitda, financialData.ebitda, overview.EBITDA),
+      revenue: firstNumber(company.revenue, financialData.totalRevenue, overview.RevenueTTM),
+      eps: firstNumber(company.eps, keyStatistics.trailingEps, overview.EPS)
+    };
+
+    return { ...normalized, missing: NORMALIZED_FIELDS.filter(field => normalized[field] === null) };
+  }
+
+  /**
+   * A peer's multiples; null when an input is missing or the denominator is not
+   * positive (a negative-earnings multiple is not meaningful)
+   */
+  peerMultiples(peer, keys = Object.keys(MULTIPLES)) {
+    return Object.fromEntries(keys.map(key => {
+      const { numerator, denominator } = MULTIPLES[key];
+      const top = peer[numerator];
+      const bottom = peer[denominator];
+      return [key, top !== null && bottom > 0 ? top / bottom : null];
+    }));
+  }
+
+  /**
+   * Summary statistics of one multiple across peers after removing outliers
+   * @param {Array} observations - [{ symbol, value }] with null for peers where the multiple is not meaningful
+   * @param {Object} assumptions - { outlierMethod, outlierThreshold }
+   * @returns {Object} See summarizeMultiple
+   */
+  summarize(observations, assumptions = this.resolveAssumptions()) {
+    const { outlierMethod, outlierThreshold } = assumptions;
+    return summarizeMultiple(observations, { outlierMethod, outlierThreshold, idField: 'symbol' });
+  }
+
+  /**
+   * Target value at the lower quartile, median, upper quartile and mean of one multiple
+   * @returns {Object|null} { multiple, label, basis, metric, low, mid, high, mean } or null when it cannot be applied
+   */
+  applyMultiple(key, summary, target) {
+    const { label, denominator, basis } = MULTIPLES[key];
+    const metric = target[denominator];
+    if (summary.count === 0 || !(metric > 0)) return null;
+
+    const value = multiple => ({ multiple, ...impliedValues(basis, multiple * metric, target) });
+
+    return {
+      multiple: key,
+      label,
+      basis,
+      metric,
+      low: value(summary.lowerQuartile),
+      mid: value(summary.median),
+      high: value(summary.upperQuartile),
+      mean: value(summary.mean)
+    };
+  }
+
+  /**
+   * Overall range across the applied multiples (see valuationRange in utils/statistics)
+   * with the upside to the target's current price
+   */
+  valuationRange(applied, target) {
+    const range = valuationRange(applied);
+    return {
+      ...range,
+      currentPrice: target.price,
+      upside: range.perShare && target.price > 0 ? range.perShare.mid / target.price - 1 : null
+    };
+  }
+
+  pick(object, keys) {
+    return Object.fromEntries(keys.map(key => [key, object[key]]));
+  }
+}
+
+module.exports = CompsModel;
@@ -0,0 +1,382 @@
+const stats = require('simple-statistics');
+const { normalCDF } = require('../utils/statistics');
+const { solveFor } = require('../utils/solvers');
+const { toReturns, periodsPerYear } = require('../utils/timeSeries');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  assertValid
+} = require('../utils/validation');
+
+/**
+ * Credit risk: Merton/KMV structural default probability, Altman Z-score, expected loss
+ * and the rating band a default probability implies.
+ *
+ * The Merton model treats equity as a call on the firm's assets struck at the default
+ * point. Asset value and asset volatility are solved from the observed equity value
+ * and equity volatility; distance to default is the number of asset standard deviations
+ * between the expected asset value at the horizon and the default point. Following KMV
+ * the default point is short-term debt plus half of long-term debt.
+ *
+ * Without an expected asset return the drift is the risk-free rate, so the default
+ * probability is the risk-neutral one and overstates the real-world probability.
+ */
+
+// Upper bounds of one-year default probability per rating band, at the geometric
+// midpoints of long-run average S&P corporate default rates
+const RATING_BANDS = [
+  { band: 'AAA', maxPD: 0.00015 },
+  { band: 'AA', maxPD: 0.00035 },
+  { band: 'A', maxPD: 0.001 },
+  { band: 'BBB', maxPD: 0.004 },
+  { band: 'BB', maxPD: 0.016 },
+  { band: 'B', maxPD: 0.09 },
+  { band: 'CCC/C', maxPD: 1 }
+];
+
+// Coefficients [working capital, retained earnings, EBIT, equity / liabilities, sales] over total assets,
+// and the distress / safe zone cut-offs
+const ALTMAN_VARIANTS = {
+  public: { coefficients: [1.2, 1.4, 3.3, 0.6, 1.0], distress: 1.81, safe: 2.99, equity: 'market' },
+  private: { coefficients: [0.717, 0.847, 3.107, 0.42, 0.998], distress: 1.23, safe: 2.9, equity: 'book' },
+  nonManufacturing: { coefficients: [6.56, 3.26, 6.72, 1.05, 0], distress: 1.1, safe: 2.6, equity: 'book' }
+};
+
+// Basel foundation IRB supervisory loss given default by seniority
+const DEFAULT_LGD = {
+  seniorSecured: 0.35,
+  seniorUnsecured: 0.45,
+  subordinated: 0.75
+};
+
+// Alpha Vantage sends numbers as strings ('None' when missing)
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function firstNumber(...candidates) {
+  return candidates.map(toNumber).find(number => number !== null) ?? null;
+}
+
+class CreditRiskModel {
+  constructor(options = {}) {
+    this.horizon = options.horizon || 1; // years
+    this.maxIterations = options.maxIterations || 100;
+    this.tolerance = options.tolerance || 1e-8;
+  }
+
+  /**
+   * Merton default probability, Altman Z-score, expected loss and implied rating for one company
+   * @param {Object} inputs - { equityValue, equityVolatility, shortTermDebt, longTermDebt, riskFreeRate, expectedReturn, horizon,
+   *   financials: { workingCapital, retainedEarnings, ebit, sales, totalAssets, totalLiabilities, bookEquity },
+   *   altmanVariant, exposure, lossGivenDefault, seniority }
+   * @returns {Object} { merton, altman, expectedLoss, impliedRating, warnings }
+   */
+  assess(inputs = {}) {
+    try {
+      const warnings = [];
+      const shortTermDebt = inputs.shortTermDebt ?? 0;
+      const longTermDebt = inputs.longTermDebt ?? 0;
+      const merton = this.merton({
+        equityValue: inputs.equityValue,
+        equityVolatility: inputs.equityVolatility,
+        defaultPoint: this.defaultPoint(shortTermDebt, longTermDebt),
+        riskFreeRate: inputs.riskFreeRate,
+        expectedReturn: inputs.expectedReturn,
+        horizon: inputs.horizon
+      });
+      warnings.push(...merton.warnings);
+
+      let altman = null;
+      if (inputs.financials) {
+        try {
+          altman = this.altmanZ(
+            { marketValueEquity: inputs.equityValue, ...inputs.financials },
+            inputs.altmanVariant
+          );
+        } catch (error) {
+          warnings.push(warning(WARNING_CODES.MISSING_DATA, `Altman Z-score skipped: ${error.message}`, { path: 'financials' }));
+        }
+      } else {
+        warnings.push(warning(WARNING_CODES.MISSING_DATA, 'no financial statements; Altman Z-score skipped', { path: 'financials' }));
+      }
+
+      const exposure = inputs.exposure ?? shortTermDebt + longTermDebt;
+      const expectedLoss = this.expectedLoss({
+        probabilityOfDefault: merton.probabilityOfDefault,
+        exposure,
+        lossGivenDefault: inputs.lossGivenDefault,
+        seniority: inputs.seniority
+      });
+
+      return {
+        merton,
+        altman,
+        expectedLoss,
+        impliedRating: this.impliedRating(merton.probabilityOfDefault, merton.horizon),
+        warnings
+      };
+    } catch (error) {
+      console.error('Credit risk calculation error:', error);
+      throw ModelError.wrap(error, 'Credit risk calculation failed');
+    }
+  }
+
+  /**
+   * KMV default point: short-term debt plus half of long-term debt
+   */
+  defaultPoint(shortTermDebt, longTermDebt) {
+    return shortTermDebt + 0.5 * longTermDebt;
+  }
+
+  /**
+   * Solve the Merton equations for asset value and volatility, then distance to default.
+   * With no debt there is nothing to default on: equity is the whole firm and the PD is 0.
+   * @param {Object} params - { equityValue, equityVolatility, defaultPoint, riskFreeRate, expectedReturn, horizon }
+   * @returns {Object} { assetValue, assetVolatility, defaultPoint, distanceToDefault, probabilityOfDefault,
+   *   riskNeutralPD, impliedCreditSpread, horizon, iterations, converged, warnings }
+   */
+  merton(params) {
+    const { equityValue, equityVolatility, defaultPoint, riskFreeRate } = params;
+    const horizon = params.horizon || this.horizon;
+    const details = [];
+    checkNumber(details, equityValue, 'equityValue', { required: true, exclusiveMin: 0 });
+    checkNumber(details, equityVolatility, 'equityVolatility', { required: true, exclusiveMin: 0 });
+    checkNumber(details, defaultPoint, 'defaultPoint', { required: true, min: 0 });
+    checkNumber(details, riskFreeRate, 'riskFreeRate', { required: true });
+    checkNumber(details, params.expectedReturn, 'expectedReturn');
+    checkNumber(details, horizon, 'horizon', { exclusiveMin: 0 });
+    assertValid(details, 'Merton inputs');
+
+    if (defaultPoint === 0) {
+      return {
+        assetValue: equityValue,
+        assetVolatility: equityVolatility,
+        defaultPoint,
+        distanceToDefault: null,
+        probabilityOfDefault: 0,
+        riskNeutralPD: 0,
+        impliedCreditSpread: 0,
+        horizon,
+        iterations: 0,
+        converged: true,
+        warnings: [warning(WARNING_CODES.NO_DEBT, 'no short- or long-term debt; default probability and credit spread are 0', { path: 'defaultPoint' })]
+      };
+    }
+
+    const sqrtT = Math.sqrt(horizon);
+    const strike = defaultPoint * Math.exp(-riskFreeRate * horizon);
+    const d1 = (assetValue, assetVolatility) => (Math.log(assetValue / defaultPoint)
+      + (riskFreeRate + assetVolatility * assetVolatility / 2) * horizon) / (assetVolatility * sqrtT);
+    const equityAt = (assetValue, assetVolatility) => {
+      const d = d1(assetValue, assetVolatility);
+      return assetValue * normalCDF(d) - strike * normalCDF(d - assetVolatility * sqrtT);
+    };
+
+    // Alternate between the option-pricing equation (asset value) and the volatility link
+    // sigma_E * E = N(d1) * sigma_A * A until the asset volatility settles
+    let assetVolatility = equityVolatility * equityValue / (equityValue + strike);
+    let assetValue = equityValue + strike;
+    let iterations = 0;
+    let converged = false;
+    while (iterations < this.maxIterations && !converged) {
+      iterations++;
+      const volatility = assetVolatility;
+      assetValue = solveFor(value => equityAt(value, volatility), equityValue, {
+        lower: equityValue,
+        upper: equityValue + strike + defaultPoint,
+        tolerance: this.tolerance * equityValue
+      }).root;
+      const next = equityVolatility * equityValue / (normalCDF(d1(assetValue, volatility)) * assetValue);
+      converged = Math.abs(next - assetVolatility) < this.tolerance;
+      assetVolatility = next;
+    }
+
+    const { distanceToDefault, probabilityOfDefault } = this.distanceToDefault({
+      assetValue,
+      assetVolatility,
+      defaultPoint,
+      drift: params.expectedReturn ?? riskFreeRate,
+      horizon
+    });
+    const riskNeutralPD = normalCDF(-(d1(assetValue, assetVolatility) - assetVolatility * sqrtT));
+
+    // Debt is worth the assets not owned by equity; its yield over the risk-free rate is the spread
+    const debtValue = assetValue - equityValue;
+    const impliedCreditSpread = Math.max(0, -Math.log(debtValue / defaultPoint) / horizon - riskFreeRate);
+
+    return {
+      assetValue,
+      assetVolatility,
+      defaultPoint,
+      distanceToDefault,
+      probabilityOfDefault,
+      riskNeutralPD,
+      impliedCreditSpread,
+      horizon,
+      iterations,
+      converged,
+      warnings: converged
+        ? []
+        : [warning(WARNING_CODES.SOLVER_NOT_CONVERGED, `Merton asset volatility did not converge in ${iterations} iterations`)]
+    };
+  }
+
+  /**
+   * Distance to default and default probability from asset value and volatility directly,
+   * for firms without traded equity
+   * @param {Object} params - { assetValue, assetVolatility, defaultPoint, drift, horizon }
+   * @returns {Object} { distanceToDefault, probabilityOfDefault }
+   */
+  distanceToDefault({ assetValue, assetVolatility, defaultPoint, drift, horizon = this.horizon }) {
+    const distanceToDefault = (Math.log(assetValue / defaultPoint) + (drift - assetVolatility * assetVolatility / 2) * horizon)
+      / (assetVolatility * Math.sqrt(horizon));
+    return { distanceToDefault, probabilityOfDefault: normalCDF(-distanceToDefault) };
+  }
+
+  /**
+   * Annualized volatility of log returns from a price history
+   * @param {Array} history - [{ date, close, adjClose }] as from YahooFinanceAPI.getHistoricalData
+   * @param {string} interval - Yahoo interval of the history
+   * @returns {number} Annualized volatility
+   */
+  equityVolatility(history, interval = '1d') {
+    const prices = (history || [])
+      .map(point => point.adjClose ?? point.close)
+      .filter(price => Number.isFinite(price) && price > 0);
+    if (prices.length < 3) {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'at least three prices are needed to estimate equity volatility', [
+        { path: 'history', message: 'not enough price history' }
+      ]);
+    }
+    return stats.sampleStandardDeviation(toReturns(prices, 'log')) * Math.sqrt(periodsPerYear(interval));
+  }
+
+  /**
+   * Altman Z-score and its zone
+   * @param {Object} financials - { workingCapital, retainedEarnings, ebit, sales, totalAssets, totalLiabilities, marketValueEquity, bookEquity }
+   * @param {string} variant - 'public' (1968, market equity), 'private' (Z') or 'nonManufacturing' (Z'')
+   * @returns {Object} { score, zone, variant, ratios }
+   */
+  altmanZ(financials, variant = 'public') {
+    const spec = ALTMAN_VARIANTS[variant];
+    if (!spec) {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, `altmanVariant must be one of: ${Object.keys(ALTMAN_VARIANTS).join(', ')}`, [
+        { path: 'altmanVariant', message: `altmanVariant must be one of: ${Object.keys(ALTMAN_VARIANTS).join(', ')}` }
+      ]);
+    }
+
+    const equity = spec.equity === 'market' ? financials.marketValueEquity : financials.bookEquity;
+    const details = [];
+    checkNumber(details, financials.totalAssets, 'totalAssets', { required: true, exclusiveMin: 0 });
+    checkNumber(details, financials.totalLiabilities, 'totalLiabilities', { required: true, exclusiveMin: 0 });
+    checkNumber(details, financials.workingCapital, 'workingCapital', { required: true });
+    checkNumber(details, financials.retainedEarnings, 'retainedEarnings', { required: true });
+    checkNumber(details, financials.ebit, 'ebit', { required: true });
+    checkNumber(details, equity, spec.equity === 'market' ? 'marketValueEquity' : 'bookEquity', { required: true });
+    if (variant !== 'nonManufacturing') checkNumber(details, financials.sales, 'sales', { required: true, min: 0 });
+    assertValid(details, 'Altman Z-score inputs');
+
+    const assets = financials.totalAssets;
+    const ratios = {
+      workingCapitalToAssets: financials.workingCapital / assets,
+      retainedEarningsToAssets: financials.retainedEarnings / assets,
+      ebitToAssets: financials.ebit / assets,
+      equityToLiabilities: equity / financials.totalLiabilities,
+      salesToAssets: variant === 'nonManufacturing' ? null : financials.sales / assets
+    };
+    const score = Object.values(ratios).reduce((sum, ratio, i) => sum + spec.coefficients[i] * (ratio || 0), 0);
+
+    return {
+      score,
+      zone: score < spec.distress ? 'distress' : (score > spec.safe ? 'safe' : 'grey'),
+      variant,
+      ratios
+    };
+  }
+
+  /**
+   * Expected loss = PD x LGD x exposure at default
+   * @param {Object} params - { probabilityOfDefault, exposure, lossGivenDefault, seniority }
+   * @returns {Object} { probabilityOfDefault, lossGivenDefault, exposure, expectedLoss, expectedLossRate }
+   */
+  expectedLoss({ probabilityOfDefault, exposure, lossGivenDefault, seniority = 'seniorUnsecured' }) {
+    if (lossGivenDefault === undefined && !DEFAULT_LGD[seniority]) {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, `seniority must be one of: ${Object.keys(DEFAULT_LGD).join(', ')}`, [
+        { path: 'seniority', message: `seniority must be one of: ${Object.keys(DEFAULT_LGD).join(', ')}` }
+      ]);
+    }
+    const lgd = lossGivenDefault ?? DEFAULT_LGD[seniority];
+    const details = [];
+    checkNumber(details, probabilityOfDefault, 'probabilityOfDefault', { required: true, min: 0, max: 1 });
+    checkNumber(details, exposure, 'exposure', { required: true, min: 0 });
+    checkNumber(details, lgd, 'lossGivenDefault', { min: 0, max: 1 });
+    assertValid(details, 'expected loss inputs');
+
+    return {
+      probabilityOfDefault,
+      lossGivenDefault: lgd,
+      lgdSource: lossGivenDefault === undefined ? seniority : 'input',
+      exposure,
+      expectedLoss: probabilityOfDefault * lgd * exposure,
+      expectedLossRate: probabilityOfDefault * lgd
+    };
+  }
+
+  /**
+   * Rating band for a default probability, annualized first when the horizon is not one year
+   * @returns {Object} { band, annualPD, maxPD }
+   */
+  impliedRating(probabilityOfDefault, horizon = 1) {
+    const details = [];
+    checkNumber(details, probabilityOfDefault, 'probabilityOfDefault', { required: true, min: 0, max: 1 });
+    checkNumber(details, horizon, 'horizon', { required: true, exclusiveMin: 0 });
+    assertValid(details, 'rating inputs');
+
+    const annualPD = 1 - Math.pow(1 - probabilityOfDefault, 1 / horizon);
+    const rating = RATING_BANDS.find(candidate => annualPD <= candidate.maxPD) || RATING_BANDS[RATING_BANDS.length - 1];
+    return { band: rating.band, annualPD, maxPD: rating.maxPD };
+  }
+
+  /**
+   * Debt and Altman inputs from the latest Alpha Vantage annual reports
+   * @param {Object} balanceSheet - AlphaVantageAPI.getBalanceSheet result
+   * @param {Object} incomeStatement - AlphaVantageAPI.getIncomeStatement result (optional)
+   * @returns {Object} { fiscalDateEnding, shortTermDebt, longTermDebt, financials }
+   */
+  fromAlphaVantage(balanceSheet, incomeStatement = null) {
+    const report = balanceSheet && Array.isArray(balanceSheet.annualReports) ? balanceSheet.annualReports[0] : null;
+    if (!report) {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'balance sheet has no annual reports', [
+        { path: 'balanceSheet', message: 'no annual reports' }
+      ]);
+    }
+    const income = incomeStatement && Array.isArray(incomeStatement.annualReports) ? incomeStatement.annualReports[0] : {};
+
+    const currentAssets = toNumber(report.totalCurrentAssets);
+    const currentLiabilities = toNumber(report.totalCurrentLiabilities);
+    return {
+      fiscalDateEnding: report.fiscalDateEnding || null,
+      shortTermDebt: firstNumber(report.shortTermDebt, report.currentDebt, report.currentLongTermDebt) ?? 0,
+      longTermDebt: firstNumber(report.longTermDebtNoncurrent, report.longTermDebt) ?? 0,
+      financials: {
+        workingCapital: currentAssets !== null && currentLiabilities !== null ? currentAssets - currentLiabilities : null,
+        retainedEarnings: toNumber(report.retainedEarnings),
+        ebit: firstNumber(income.ebit, income.operatingIncome),
+        sales: firstNumber(income.totalRevenue),
+        totalAssets: toNumber(report.totalAssets),
+        totalLiabilities: toNumber(report.totalLiabilities),
+        bookEquity: toNumber(report.totalShareholderEquity)
+      }
+    };
+  }
+}
+
+CreditRiskModel.RATING_BANDS = RATING_BANDS;
+
+module.exports = CreditRiskModel;
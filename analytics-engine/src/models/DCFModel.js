@@ -1,6 +1,67 @@
 const math = require('mathjs');
 const { Matrix } = require('ml-matrix');
 const stats = require('simple-statistics');
+const { histogram } = require('../utils/statistics');
+const { createRandom } = require('../utils/random');
+const { sampleFromUniform, validateDistribution } = require('../utils/distributions');
+const { CorrelatedSampler, validateCorrelation, realizedCorrelation } = require('../utils/correlation');
+const { buildPeriods, periodProblems, driverFor } = require('../utils/periods');
+const { discountFactor } = require('../utils/financialMath');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  checkSeries,
+  assertValid,
+  plausibility
+} = require('../utils/validation');
+const ThreeStatementModel = require('./ThreeStatementModel');
+const YieldCurveModel = require('./YieldCurveModel');
+
+// Drivers drawn once per projection year vs. once per simulation
+const YEARLY_DRIVERS = ['revenueGrowth', 'ebitdaMargin', 'depreciation', 'capex', 'workingCapitalChange'];
+const VALUATION_DRIVERS = ['discountRate', 'terminalGrowthRate'];
+
+const TERMINAL_METHODS = ['gordon', 'exitMultiple', 'both'];
+
+// Default ranges around the base valuation drivers and the limits they are clamped to
+const DEFAULT_RANGES = {
+  discountRate: { spread: 0.02, floor: 0.05, cap: Infinity }, // ±2%, minimum 5%
+  terminalGrowthRate: { spread: 0.01, floor: 0, cap: 0.05 } // ±1%, 0-5%
+};
+
+// The ± range around a base value before and after clamping
+function clampedRange(driver, base) {
+  const { spread, floor, cap } = DEFAULT_RANGES[driver];
+  const requested = { min: base - spread, max: base + spread };
+  return { requested, min: Math.max(floor, requested.min), max: Math.min(cap, requested.max) };
+}
+
+// Uniform range that collapses to a point when the bounds cross
+const boundedUniform = ({ min, max }) => (min < max ? { type: 'uniform', min, max } : { type: 'fixed', value: min });
+
+// Depreciation and capex as a share of revenue when a year has no projection
+const PERCENT_OF_REVENUE = { depreciation: 0.03, capex: 0.04 };
+
+// Base-case value of a yearly driver. Arrays are read per year; scalars, which the
+// three-statement path accepts, apply to every year as they do there
+function baseValue(projections, driver, year) {
+  const value = projections && projections[driver];
+  return Array.isArray(value) ? value[year] : driverFor(value, year, undefined);
+}
+
+// Distributions used when a driver has no user-specified spec
+const DEFAULT_DISTRIBUTIONS = {
+  revenueGrowth: base => ({ type: 'normal', mean: base || 0.05, std: 0.02 }),
+  ebitdaMargin: base => ({ type: 'normal', mean: base || 0.15, std: 0.03 }),
+  depreciation: base => ({ type: 'normal', mean: base || 0, std: 0.01, min: 0 }),
+  capex: base => ({ type: 'normal', mean: base || 0, std: 0.01, min: 0 }),
+  workingCapitalChange: base => ({ type: 'normal', mean: base || 0, std: 0.005 }),
+  discountRate: base => boundedUniform(clampedRange('discountRate', base)),
+  terminalGrowthRate: base => boundedUniform(clampedRange('terminalGrowthRate', base))
+};
 
 class DCFModel {
   constructor(options = {}) {
@@ -8,16 +69,48 @@ class DCFModel {
     this.terminalGrowthRate = options.terminalGrowthRate || 0.025; // 2.5% terminal growth
     this.projectionYears = options.projectionYears || 5;
     this.taxRate = options.taxRate || 0.25; // 25% tax rate
+    this.terminalMethod = options.terminalMethod || 'gordon'; // 'gordon', 'exitMultiple' or 'both'
+    this.exitMultiple = options.exitMultiple ?? null; // EV/EBITDA applied to final-year EBITDA
+    this.midYearConvention = Boolean(options.midYearConvention);
+    this.valuationDate = options.valuationDate || null; // partial first year when between fiscal year ends
+    this.fiscalYearEnd = options.fiscalYearEnd || 12;
+  }
+
+  /**
+   * The instance's assumptions with per-call overrides applied. Calculations read
+   * assumptions only from this object and never write to the instance, so one model
+   * can serve concurrent requests with different assumptions.
+   * @param {Object} overrides - Any constructor option (undefined values are ignored)
+   * @returns {Object} Frozen assumptions
+   */
+  resolveAssumptions(overrides = {}) {
+    const defined = Object.fromEntries(Object.entries(overrides || {}).filter(([, value]) => value !== undefined));
+    return Object.freeze({
+      discountRate: this.discountRate,
+      terminalGrowthRate: this.terminalGrowthRate,
+      projectionYears: this.projectionYears,
+      taxRate: this.taxRate,
+      terminalMethod: this.terminalMethod,
+      exitMultiple: this.exitMultiple,
+      midYearConvention: this.midYearConvention,
+      valuationDate: this.valuationDate,
+      fiscalYearEnd: this.fiscalYearEnd,
+      ...defined
+    });
   }
 
   /**
    * Calculate DCF valuation for a company
    * @param {Object} financialData - Company financial data
    * @param {Object} projections - Revenue and margin projections
+   * @param {Object} overrides - Assumptions for this call only (see resolveAssumptions)
    * @returns {Object} DCF valuation results
    */
-  calculateDCF(financialData, projections) {
+  calculateDCF(financialData, projections, overrides = {}) {
     try {
+      const assumptions = this.resolveAssumptions(overrides);
+      this.validateInputs(financialData, projections, assumptions);
+
       const results = {
         projectedCashFlows: [],
         terminalValue: 0,
@@ -26,55 +119,105 @@ class DCFModel {
         intrinsicValue: 0,
         currentPrice: financialData.currentPrice || 0,
         upside: 0,
-        assumptions: {
-          discountRate: this.discountRate,
-          terminalGrowthRate: this.terminalGrowthRate,
-          projectionYears: this.projectionYears,
-          taxRate: this.taxRate
-        }
+        terminal: null,
+        equityBridge: null,
+        dilutedShares: null,
+        statements: null,
+        warnings: this.assumptionWarnings(projections, assumptions),
+        assumptions: { ...assumptions }
       };
 
+      const timing = this.discountSchedule(assumptions);
+
+      // Unlevered FCF comes from the linked three-statement model when an opening balance sheet is supplied
+      if (financialData.balanceSheet) {
+        const statementModel = new ThreeStatementModel({
+          projectionYears: assumptions.projectionYears,
+          taxRate: assumptions.taxRate
+        });
+        results.statements = statementModel.project(financialData.balanceSheet, financialData.revenue, projections);
+      }
+
       // Calculate projected cash flows
       let lastRevenue = financialData.revenue || 0;
       let totalPV = 0;
+      const defaulted = {};
 
-      for (let year = 1; year <= this.projectionYears; year++) {
-        const revenueGrowth = projections.revenueGrowth[year - 1] || 0;
-        const revenue = lastRevenue * (1 + revenueGrowth);
-        const ebitda = revenue * (projections.ebitdaMargin[year - 1] || 0.15);
-        const ebit = ebitda - (projections.depreciation[year - 1] || revenue * 0.03);
-        const tax = ebit * this.taxRate;
-        const nopat = ebit - tax;
-        const capex = projections.capex[year - 1] || revenue * 0.04;
-        const workingCapitalChange = projections.workingCapitalChange[year - 1] || 0;
-        
-        const freeCashFlow = nopat + (projections.depreciation[year - 1] || revenue * 0.03) - capex - workingCapitalChange;
-        const presentValue = freeCashFlow / Math.pow(1 + this.discountRate, year);
+      for (let year = 1; year <= assumptions.projectionYears; year++) {
+        const { fraction, discountTime, endDate } = timing[year - 1];
+        let cashFlow;
+
+        if (results.statements) {
+          const { revenue, ebitda, ebit, nopat, freeCashFlow } = results.statements.unleveredFreeCashFlow[year - 1];
+          cashFlow = { revenue, ebitda, ebit, nopat, freeCashFlow };
+        } else {
+          const assumption = (driver, fallback) => {
+            const value = (projections[driver] || [])[year - 1];
+            if (Number.isFinite(value)) return value;
+            defaulted[driver] = [...(defaulted[driver] || []), year];
+            return fallback;
+          };
+
+          const revenueGrowth = assumption('revenueGrowth', 0);
+          const revenue = lastRevenue * (1 + revenueGrowth);
+          const ebitda = revenue * assumption('ebitdaMargin', 0.15);
+          const depreciation = assumption('depreciation', revenue * PERCENT_OF_REVENUE.depreciation);
+          const ebit = ebitda - depreciation;
+          const tax = ebit * assumptions.taxRate;
+          const nopat = ebit - tax;
+          const capex = assumption('capex', revenue * PERCENT_OF_REVENUE.capex);
+          const workingCapitalChange = assumption('workingCapitalChange', 0);
+
+          const freeCashFlow = nopat + depreciation - capex - workingCapitalChange;
+          cashFlow = { revenue, ebitda, ebit, nopat, freeCashFlow };
+        }
+
+        // Only the part of the year after the valuation date is counted
+        const factor = discountFactor(assumptions.discountRate, discountTime);
+        const presentValue = cashFlow.freeCashFlow * fraction * factor;
         
         results.projectedCashFlows.push({
           year,
-          revenue,
-          ebitda,
-          ebit,
-          nopat,
-          freeCashFlow,
+          ...cashFlow,
+          fraction,
+          endDate,
+          discountTime,
+          discountFactor: factor,
           presentValue
         });
 
         totalPV += presentValue;
-        lastRevenue = revenue;
+        lastRevenue = cashFlow.revenue;
       }
 
+      Object.keys(defaulted).forEach(driver => {
+        results.warnings.push(warning(
+          WARNING_CODES.DEFAULTED_VALUE,
+          `${driver} missing for year(s) ${defaulted[driver].join(', ')}; default assumption used`,
+          { path: `projections.${driver}`, years: defaulted[driver] }
+        ));
+      });
+
       // Calculate terminal value
-      const terminalCashFlow = results.projectedCashFlows[this.projectionYears - 1].freeCashFlow * (1 + this.terminalGrowthRate);
-      const terminalValue = terminalCashFlow / (this.discountRate - this.terminalGrowthRate);
-      const terminalPV = terminalValue / Math.pow(1 + this.discountRate, this.projectionYears);
+      results.terminal = this.calculateTerminalValue(
+        results.projectedCashFlows[assumptions.projectionYears - 1],
+        timing[assumptions.projectionYears - 1],
+        assumptions
+      );
+      const terminalValue = results.terminal.terminalValue;
+      const terminalPV = results.terminal.presentValue;
 
       results.terminalValue = terminalValue;
       results.presentValue = totalPV + terminalPV;
+
+      // Enterprise value to equity value, then per diluted share
+      results.equityBridge = this.calculateEquityBridge(results.presentValue, financialData);
+      results.dilutedShares = this.calculateDilutedShares(results.equityBridge.equityValue, financialData);
+      
+      results.warnings.push(...this.resultWarnings(results));
       
       if (results.sharesOutstanding > 0) {
-        results.intrinsicValue = results.presentValue / results.sharesOutstanding;
+        results.intrinsicValue = results.equityBridge.equityValue / results.dilutedShares.diluted;
         if (results.currentPrice > 0) {
           results.upside = (results.intrinsicValue - results.currentPrice) / results.currentPrice;
         }
@@ -83,8 +226,259 @@ class DCFModel {
       return results;
     } catch (error) {
       console.error('DCF calculation error:', error);
-      throw new Error(`DCF calculation failed: ${error.message}`);
+      throw ModelError.wrap(error, 'DCF calculation failed');
+    }
+  }
+
+  /**
+   * Validate DCF inputs and model assumptions, throwing a ModelError on the first bad set
+   * @param {Object} financialData - Company financial data
+   * @param {Object} projections - Revenue and margin projections
+   * @param {Object} assumptions - Resolved assumptions
+   */
+  validateInputs(financialData, projections, assumptions = this.resolveAssumptions()) {
+    if (!financialData || typeof financialData !== 'object') {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'financialData object is required', [{ path: 'financialData', message: 'financialData object is required' }]);
+    }
+    if (!projections || typeof projections !== 'object') {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'projections object is required', [{ path: 'projections', message: 'projections object is required' }]);
+    }
+
+    const details = [];
+    checkNumber(details, financialData.revenue, 'financialData.revenue', { required: true, exclusiveMin: 0 });
+    ['sharesOutstanding', 'currentPrice', 'cash', 'totalDebt', 'leaseLiabilities', 'minorityInterest',
+      'preferredStock', 'rsus'].forEach(field => checkNumber(details, financialData[field], `financialData.${field}`, { min: 0 }));
+    checkNumber(details, financialData.investments, 'financialData.investments');
+    if (financialData.options !== undefined && !Array.isArray(financialData.options)) {
+      details.push({ path: 'financialData.options', message: 'financialData.options must be an array of { count, strike }' });
+    }
+    (Array.isArray(financialData.options) ? financialData.options : []).forEach((grant, i) => {
+      checkNumber(details, grant && grant.count, `financialData.options[${i}].count`, { required: true, min: 0 });
+      checkNumber(details, grant && grant.strike, `financialData.options[${i}].strike`, { required: true, min: 0 });
+    });
+
+    // The legacy projection path reads per-year arrays; the three-statement model also takes scalars
+    const arrayOnly = !financialData.balanceSheet;
+    checkSeries(details, projections.revenueGrowth, 'projections.revenueGrowth', { required: true, arrayOnly, min: -1 });
+    checkSeries(details, projections.ebitdaMargin, 'projections.ebitdaMargin', { required: true, arrayOnly });
+    ['depreciation', 'capex'].forEach(driver => checkSeries(details, projections[driver], `projections.${driver}`, { arrayOnly: true, min: 0 }));
+    checkSeries(details, projections.workingCapitalChange, 'projections.workingCapitalChange', { arrayOnly: true });
+    assertValid(details, 'DCF inputs');
+
+    const problems = [];
+    checkNumber(problems, assumptions.discountRate, 'discountRate', { exclusiveMin: 0 });
+    checkNumber(problems, assumptions.terminalGrowthRate, 'terminalGrowthRate');
+    checkNumber(problems, assumptions.taxRate, 'taxRate', { min: 0, max: 1 });
+    checkNumber(problems, assumptions.projectionYears, 'projectionYears', { exclusiveMin: 0 });
+    if (!TERMINAL_METHODS.includes(assumptions.terminalMethod)) {
+      problems.push({ path: 'terminalMethod', message: `terminalMethod must be one of: ${TERMINAL_METHODS.join(', ')}` });
+    }
+    if (assumptions.terminalMethod !== 'gordon' && !(assumptions.exitMultiple > 0)) {
+      problems.push({ path: 'exitMultiple', message: 'exitMultiple is required for the exit multiple terminal method' });
+    }
+    if (assumptions.valuationDate) {
+      periodProblems({ entryDate: assumptions.valuationDate, fiscalYearEnd: assumptions.fiscalYearEnd })
+        .forEach(({ path, message }) => problems.push(path === 'entryDate'
+          ? { path: 'valuationDate', message: message.replace('entryDate', 'valuationDate') }
+          : { path, message }));
+    }
+    if (problems.length > 0) {
+      throw new ModelError(ERROR_CODES.INVALID_ASSUMPTION, `Invalid DCF assumptions: ${problems.map(d => d.message).join('; ')}`, problems);
+    }
+
+    // Gordon growth is undefined (or negative) once growth reaches the discount rate
+    if (assumptions.terminalMethod !== 'exitMultiple' && assumptions.terminalGrowthRate >= assumptions.discountRate) {
+      const message = `terminalGrowthRate (${assumptions.terminalGrowthRate}) must be below discountRate (${assumptions.discountRate})`;
+      throw new ModelError(ERROR_CODES.TERMINAL_GROWTH_EXCEEDS_DISCOUNT, message, [{ path: 'terminalGrowthRate', message }]);
+    }
+  }
+
+  /**
+   * Flag assumptions that are valid but economically unusual
+   * @returns {Array} Warnings
+   */
+  assumptionWarnings(projections, assumptions = this.resolveAssumptions()) {
+    return [
+      ...plausibility(projections.revenueGrowth, 'projections.revenueGrowth', { min: -0.5, max: 0.5 }),
+      ...plausibility(projections.ebitdaMargin, 'projections.ebitdaMargin', { min: -0.5, max: 0.7 }),
+      ...plausibility(assumptions.discountRate, 'discountRate', { min: 0.04, max: 0.25 }),
+      ...plausibility(assumptions.terminalGrowthRate, 'terminalGrowthRate', {
+        min: -0.02,
+        max: 0.04,
+        reason: 'perpetual growth above long-run nominal GDP'
+      }),
+      ...(assumptions.terminalMethod !== 'gordon' ? plausibility(assumptions.exitMultiple, 'exitMultiple', { min: 2, max: 30 }) : [])
+    ];
+  }
+
+  /**
+   * Flag valuation outputs that usually point at bad inputs
+   * @returns {Array} Warnings
+   */
+  resultWarnings(results) {
+    const warnings = [];
+    const terminalShare = results.presentValue ? results.terminal.presentValue / results.presentValue : null;
+
+    if (results.terminalValue < 0) {
+      warnings.push(warning(WARNING_CODES.IMPLAUSIBLE_ASSUMPTION, 'terminal value is negative; final-year cash flow or EBITDA is negative', {
+        path: 'terminalValue',
+        value: results.terminalValue
+      }));
+    } else if (terminalShare !== null && terminalShare > 0.85) {
+      warnings.push(warning(WARNING_CODES.IMPLAUSIBLE_ASSUMPTION, `terminal value is ${(terminalShare * 100).toFixed(1)}% of enterprise value`, {
+        path: 'terminalValue',
+        value: terminalShare
+      }));
+    }
+    if (results.equityBridge.equityValue < 0) {
+      warnings.push(warning(WARNING_CODES.IMPLAUSIBLE_ASSUMPTION, 'claims senior to equity exceed enterprise value; equity value is negative', {
+        path: 'equityBridge.equityValue',
+        value: results.equityBridge.equityValue
+      }));
+    }
+    return warnings;
+  }
+
+  /**
+   * Fraction of each projection year's cash flow that is valued and the time (in
+   * years from the valuation date) at which it is discounted
+   * @returns {Array} [{ fraction, discountTime, end, endDate }] per projection year
+   */
+  discountSchedule(assumptions = this.resolveAssumptions()) {
+    const periods = assumptions.valuationDate
+      ? buildPeriods({
+        entryDate: assumptions.valuationDate,
+        holdPeriod: assumptions.projectionYears + 1,
+        fiscalYearEnd: assumptions.fiscalYearEnd
+      }).slice(0, assumptions.projectionYears)
+      : buildPeriods({ holdPeriod: assumptions.projectionYears });
+
+    return periods.map(period => ({
+      fraction: period.fraction,
+      discountTime: assumptions.midYearConvention ? (period.start + period.end) / 2 : period.end,
+      end: period.end,
+      endDate: period.endDate
+    }));
+  }
+
+  /**
+   * Terminal value by Gordon growth and/or exit multiple, with each method's implied
+   * counterpart (exit multiple implied by Gordon growth, growth implied by the multiple).
+   * With the mid-year convention the perpetuity is discounted from mid-year like the
+   * flows it extends, while an exit is assumed to happen at the end of the final year.
+   * @param {Object} finalYear - Last projected cash flow row (full-year freeCashFlow and ebitda)
+   * @param {Object} finalTiming - Last entry of discountSchedule
+   * @param {Object} assumptions - Resolved assumptions
+   * @returns {Object} { method, terminalValue, presentValue, gordon, exitMultiple }
+   */
+  calculateTerminalValue(finalYear, finalTiming, assumptions = this.resolveAssumptions()) {
+    const r = assumptions.discountRate;
+    const g = assumptions.terminalGrowthRate;
+    const discount = time => discountFactor(r, time);
+    const result = { method: assumptions.terminalMethod, gordon: null, exitMultiple: null };
+
+    if (assumptions.terminalMethod !== 'exitMultiple') {
+      const terminalValue = finalYear.freeCashFlow * (1 + g) / (r - g);
+      const discountTime = assumptions.midYearConvention ? finalTiming.discountTime : finalTiming.end;
+      result.gordon = {
+        terminalValue,
+        discountTime,
+        presentValue: terminalValue * discount(discountTime),
+        impliedExitMultiple: finalYear.ebitda ? terminalValue / finalYear.ebitda : null
+      };
+    }
+
+    if (assumptions.terminalMethod !== 'gordon') {
+      const terminalValue = finalYear.ebitda * assumptions.exitMultiple;
+      const denominator = terminalValue + finalYear.freeCashFlow;
+      result.exitMultiple = {
+        multiple: assumptions.exitMultiple,
+        terminalValue,
+        discountTime: finalTiming.end,
+        presentValue: terminalValue * discount(finalTiming.end),
+        impliedGrowthRate: denominator ? (terminalValue * r - finalYear.freeCashFlow) / denominator : null
+      };
+    }
+
+    // 'both' values with Gordon growth and reports the exit multiple as a cross-check
+    const selected = result.gordon || result.exitMultiple;
+    result.terminalValue = selected.terminalValue;
+    result.presentValue = selected.presentValue;
+    if (result.gordon && result.exitMultiple) {
+      result.crossCheck = {
+        terminalValueDifference: result.exitMultiple.terminalValue - result.gordon.terminalValue,
+        presentValueDifference: result.exitMultiple.presentValue - result.gordon.presentValue
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Bridge enterprise value to equity value. Cash and debt default to the opening
+   * balance sheet when the three-statement model is used.
+   * @param {number} enterpriseValue - Present value of unlevered cash flows
+   * @param {Object} financialData - { cash, investments, totalDebt, leaseLiabilities, minorityInterest,
+   *   preferredStock, balanceSheet }
+   * @returns {Object} Each bridge line and the resulting equity value
+   */
+  calculateEquityBridge(enterpriseValue, financialData) {
+    const balanceSheet = financialData.balanceSheet || {};
+    const bridge = {
+      enterpriseValue,
+      cash: financialData.cash ?? balanceSheet.cash ?? 0,
+      investments: financialData.investments || 0,
+      debt: financialData.totalDebt ?? balanceSheet.debt ?? 0,
+      leaseLiabilities: financialData.leaseLiabilities || 0,
+      minorityInterest: financialData.minorityInterest || 0,
+      preferredStock: financialData.preferredStock || 0
+    };
+
+    bridge.netDebt = bridge.debt + bridge.leaseLiabilities - bridge.cash;
+    bridge.equityValue = enterpriseValue + bridge.cash + bridge.investments - bridge.debt -
+      bridge.leaseLiabilities - bridge.minorityInterest - bridge.preferredStock;
+    return bridge;
+  }
+
+  /**
+   * Diluted share count using the treasury stock method. In-the-money options are
+   * tested at the implied share price, which itself depends on the diluted count,
+   * so the price is iterated to a fixed point.
+   * @param {number} equityValue - Equity value from the bridge
+   * @param {Object} financialData - { sharesOutstanding, options: [{ count, strike }], rsus }
+   * @returns {Object} { basic, rsus, options, diluted, impliedPrice, iterations }
+   */
+  calculateDilutedShares(equityValue, financialData) {
+    const basic = financialData.sharesOutstanding || 0;
+    const rsus = financialData.rsus || 0;
+    const optionGrants = financialData.options || [];
+
+    // Net new shares from exercising in-the-money options and buying back stock with the proceeds
+    const optionShares = price => optionGrants.reduce((sum, { count = 0, strike = 0 }) => (
+      price > strike ? sum + count * (1 - strike / price) : sum
+    ), 0);
+
+    let diluted = basic + rsus;
+    let price = diluted > 0 ? equityValue / diluted : 0;
+    let iterations = 0;
+
+    while (diluted > 0 && iterations < 100) {
+      const nextDiluted = basic + rsus + optionShares(price);
+      const nextPrice = equityValue / nextDiluted;
+      iterations++;
+      const converged = Math.abs(nextPrice - price) <= 1e-10 * Math.max(1, Math.abs(price));
+      diluted = nextDiluted;
+      price = nextPrice;
+      if (converged) break;
     }
+
+    return {
+      basic,
+      rsus,
+      options: diluted - basic - rsus,
+      diluted,
+      impliedPrice: price,
+      iterations
+    };
   }
 
   /**
@@ -92,9 +486,11 @@ class DCFModel {
    * @param {Object} financialData - Company financial data
    * @param {Object} projections - Revenue and margin projections
    * @param {Object} sensitivityRanges - Ranges for sensitivity analysis
+   * @param {Object} overrides - Assumptions held fixed across the grid (see resolveAssumptions)
    * @returns {Object} Sensitivity analysis results
    */
-  sensitivityAnalysis(financialData, projections, sensitivityRanges = {}) {
+  sensitivityAnalysis(financialData, projections, sensitivityRanges = {}, overrides = {}) {
+    const assumptions = this.resolveAssumptions(overrides);
     const discountRates = sensitivityRanges.discountRates || [0.08, 0.09, 0.10, 0.11, 0.12];
     const terminalGrowthRates = sensitivityRanges.terminalGrowthRates || [0.015, 0.020, 0.025, 0.030, 0.035];
     
@@ -102,24 +498,22 @@ class DCFModel {
     
     for (const discountRate of discountRates) {
       for (const terminalGrowthRate of terminalGrowthRates) {
-        const originalDiscount = this.discountRate;
-        const originalTerminal = this.terminalGrowthRate;
-        
-        this.discountRate = discountRate;
-        this.terminalGrowthRate = terminalGrowthRate;
-        
-        const dcfResult = this.calculateDCF(financialData, projections);
-        
-        results.push({
-          discountRate,
-          terminalGrowthRate,
-          intrinsicValue: dcfResult.intrinsicValue,
-          upside: dcfResult.upside
-        });
-        
-        // Restore original values
-        this.discountRate = originalDiscount;
-        this.terminalGrowthRate = originalTerminal;
+        try {
+          const dcfResult = this.calculateDCF(financialData, projections, {
+            ...assumptions,
+            discountRate,
+            terminalGrowthRate
+          });
+
+          results.push({
+            discountRate,
+            terminalGrowthRate,
+            intrinsicValue: dcfResult.intrinsicValue,
+            upside: dcfResult.upside
+          });
+        } catch (error) {
+          console.warn(`Sensitivity calculation failed for discount rate ${discountRate}, growth ${terminalGrowthRate}:`, error.message);
+        }
       }
     }
     
@@ -129,29 +523,79 @@ class DCFModel {
   /**
    * Monte Carlo simulation for DCF valuation
    * @param {Object} financialData - Company financial data
-   * @param {Object} projections - Revenue and margin projections with distributions
+   * @param {Object} projections - Base-case revenue and margin projections
    * @param {number} simulations - Number of simulations to run
+   * @param {Object} options - { distributions, correlation, seed, antithetic, random, histogramBins, assumptions }
    * @returns {Object} Monte Carlo simulation results
    */
-  monteCarloDCF(financialData, projections, simulations = 10000) {
+  monteCarloDCF(financialData, projections, simulations = 10000, options = {}) {
+    const assumptions = this.resolveAssumptions(options.assumptions);
+    const histogramBins = options.histogramBins || 30;
+    const distributions = options.distributions || {};
+    const random = createRandom(options);
     const results = [];
+    const correlatedSamples = [];
+    let skippedSimulations = 0;
+    let failedSimulations = 0;
+
+    const errors = this.validateDistributions(projections, distributions, options.correlation, assumptions);
+    if (errors.length > 0) {
+      throw new ModelError(
+        ERROR_CODES.INVALID_INPUT,
+        `Invalid distributions: ${errors.join('; ')}`,
+        errors.map(message => ({ path: 'distributions', message }))
+      );
+    }
+    this.validateInputs(financialData, projections, assumptions);
+    // The opening balance sheet and debt tranches are only checked inside a projection;
+    // run the base case so bad inputs fail the request instead of every simulation
+    if (financialData.balanceSheet) {
+      this.calculateDCF(financialData, projections, assumptions);
+    }
+
+    const sampler = options.correlation ? new CorrelatedSampler(options.correlation) : null;
     
     for (let i = 0; i < simulations; i++) {
+      if (random.nextPath) random.nextPath();
+
+      // One correlated vector per projection year; per-simulation drivers use the first year's draw
+      const yearUniforms = sampler
+        ? Array(assumptions.projectionYears).fill(null).map(() => sampler.draw(random))
+        : null;
+      const valuationUniforms = yearUniforms ? yearUniforms[0] : {};
+
       // Generate random projections based on distributions
-      const randomProjections = this.generateRandomProjections(projections);
+      const randomProjections = this.generateRandomProjections(projections, random, distributions, yearUniforms, assumptions, financialData.revenue);
       
       // Random discount rate and terminal growth rate
-      const randomDiscountRate = this.discountRate + (Math.random() - 0.5) * 0.04; // ±2%
-      const randomTerminalGrowth = this.terminalGrowthRate + (Math.random() - 0.5) * 0.02; // ±1%
-      
-      const originalDiscount = this.discountRate;
-      const originalTerminal = this.terminalGrowthRate;
-      
-      this.discountRate = Math.max(0.05, randomDiscountRate); // Minimum 5%
-      this.terminalGrowthRate = Math.max(0, Math.min(0.05, randomTerminalGrowth)); // 0-5%
-      
+      const randomDiscountRate = sampleFromUniform(
+        this.resolveDistribution('discountRate', 0, assumptions.discountRate, distributions),
+        valuationUniforms.discountRate ?? random.uniform()
+      );
+      const randomTerminalGrowth = sampleFromUniform(
+        this.resolveDistribution('terminalGrowthRate', 0, assumptions.terminalGrowthRate, distributions),
+        valuationUniforms.terminalGrowthRate ?? random.uniform()
+      );
+
+      if (sampler) {
+        const drawn = { ...randomProjections, discountRate: randomDiscountRate, terminalGrowthRate: randomTerminalGrowth };
+        correlatedSamples.push(sampler.drivers.map(driver => (
+          Array.isArray(drawn[driver]) ? drawn[driver][0] : drawn[driver]
+        )));
+      }
+
+      // Gordon growth is undefined when growth reaches the discount rate
+      if (assumptions.terminalMethod !== 'exitMultiple' && randomTerminalGrowth >= randomDiscountRate) {
+        skippedSimulations++;
+        continue;
+      }
+
       try {
-        const dcfResult = this.calculateDCF(financialData, randomProjections);
+        const dcfResult = this.calculateDCF(financialData, randomProjections, {
+          ...assumptions,
+          discountRate: randomDiscountRate,
+          terminalGrowthRate: randomTerminalGrowth
+        });
         results.push({
           intrinsicValue: dcfResult.intrinsicValue,
           upside: dcfResult.upside,
@@ -159,20 +603,53 @@ class DCFModel {
         });
       } catch (error) {
         // Skip failed simulations
+        failedSimulations++;
         console.warn(`Simulation ${i} failed:`, error.message);
       }
-      
-      // Restore original values
-      this.discountRate = originalDiscount;
-      this.terminalGrowthRate = originalTerminal;
     }
     
     // Calculate statistics
     const intrinsicValues = results.map(r => r.intrinsicValue).filter(v => v > 0);
     const upsides = results.map(r => r.upside).filter(v => !isNaN(v));
+    const nonPositiveValues = results.length - intrinsicValues.length;
+
+    const warnings = [];
+    if (skippedSimulations > 0) {
+      warnings.push(warning(WARNING_CODES.DROPPED_SIMULATIONS, `${skippedSimulations} simulation(s) dropped: terminal growth drawn at or above the discount rate`, {
+        count: skippedSimulations,
+        reason: 'terminalGrowthRate >= discountRate'
+      }));
+    }
+    if (failedSimulations > 0) {
+      warnings.push(warning(WARNING_CODES.DROPPED_SIMULATIONS, `${failedSimulations} simulation(s) dropped: valuation failed for the drawn inputs`, {
+        count: failedSimulations,
+        reason: 'calculation failed'
+      }));
+    }
+    if (nonPositiveValues > 0) {
+      warnings.push(warning(WARNING_CODES.DROPPED_SIMULATIONS, `${nonPositiveValues} simulation(s) with non-positive intrinsic value excluded from intrinsicValue statistics`, {
+        count: nonPositiveValues,
+        reason: 'intrinsicValue <= 0'
+      }));
+    }
+
+    warnings.push(...this.clampedRangeWarnings(distributions, assumptions));
+
+    if (intrinsicValues.length === 0) {
+      throw new ModelError(ERROR_CODES.CALCULATION_FAILED, `Monte Carlo DCF produced no usable simulations: ${warnings.map(w => w.message).join('; ')}`);
+    }
     
     return {
       simulations: results.length,
+      skippedSimulations,
+      droppedSimulations: {
+        terminalGrowthAboveDiscount: skippedSimulations,
+        failed: failedSimulations,
+        nonPositiveIntrinsicValue: nonPositiveValues
+      },
+      warnings: [...this.assumptionWarnings(projections, assumptions), ...warnings],
+      seed: random.seed ?? null,
+      antithetic: Boolean(random.antithetic),
       intrinsicValue: {
         mean: stats.mean(intrinsicValues),
         median: stats.median(intrinsicValues),
@@ -190,12 +667,31 @@ class DCFModel {
         percentile90: stats.quantile(upsides, 0.9)
       },
       probabilityOfPositiveUpside: upsides.filter(u => u > 0).length / upsides.length,
+      correlation: sampler ? {
+        drivers: sampler.drivers,
+        target: sampler.target,
+        realized: realizedCorrelation(correlatedSamples), // measured on first-year draws
+        samples: correlatedSamples.length
+      } : null,
+      histogram: {
+        intrinsicValue: histogram(intrinsicValues, histogramBins),
+        upside: histogram(upsides, histogramBins)
+      },
       results: results.slice(0, 100) // Return first 100 results for analysis
     };
   }
 
-  generateRandomProjections(projections) {
+  /**
+   * One simulated set of per-year projections. Depreciation and capex without a projection
+   * are centred on the same share of the path's revenue that calculateDCF falls back to.
+   * @param {number} baseRevenue - Revenue of the last actual year
+   * @returns {Object} Projections with one drawn value per year for each yearly driver
+   */
+  generateRandomProjections(projections, random = createRandom(), distributions = {}, yearUniforms = null,
+    assumptions = this.resolveAssumptions(), baseRevenue = 0) {
+    let revenue = baseRevenue;
     const randomProjections = {
+      ...projections,
       revenueGrowth: [],
       ebitdaMargin: [],
       depreciation: [],
@@ -203,34 +699,114 @@ class DCFModel {
       workingCapitalChange: []
     };
     
-    for (let year = 0; year < this.projectionYears; year++) {
-      // Generate random values based on mean and standard deviation
-      randomProjections.revenueGrowth.push(
-        this.normalRandom(projections.revenueGrowth[year] || 0.05, 0.02)
-      );
-      randomProjections.ebitdaMargin.push(
-        this.normalRandom(projections.ebitdaMargin[year] || 0.15, 0.03)
-      );
-      randomProjections.depreciation.push(
-        Math.abs(this.normalRandom(projections.depreciation[year] || 0, 0.01))
-      );
-      randomProjections.capex.push(
-        Math.abs(this.normalRandom(projections.capex[year] || 0, 0.01))
-      );
-      randomProjections.workingCapitalChange.push(
-        this.normalRandom(projections.workingCapitalChange[year] || 0, 0.005)
-      );
+    for (let year = 0; year < assumptions.projectionYears; year++) {
+      const correlated = yearUniforms ? yearUniforms[year] : {};
+      YEARLY_DRIVERS.forEach(driver => {
+        const base = baseValue(projections, driver, year) ??
+          (PERCENT_OF_REVENUE[driver] !== undefined ? revenue * PERCENT_OF_REVENUE[driver] : undefined);
+        const spec = this.resolveDistribution(driver, year, base, distributions);
+        randomProjections[driver].push(sampleFromUniform(spec, correlated[driver] ?? random.uniform()));
+        if (driver === 'revenueGrowth') revenue *= 1 + randomProjections.revenueGrowth[year];
+      });
     }
     
     return randomProjections;
   }
 
-  normalRandom(mean, std) {
-    // Box-Muller transformation for normal distribution
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z0 * std;
+  /**
+   * Resolve the distribution for one driver in one projection year
+   * @param {string} driver - Driver name (e.g. 'revenueGrowth', 'discountRate')
+   * @param {number} year - Zero-based projection year (ignored for valuation drivers)
+   * @param {number} baseValue - Base-case value for the driver
+   * @param {Object} distributions - User specs: a single spec or an array with one spec per year
+   * @returns {Object} Distribution spec
+   */
+  resolveDistribution(driver, year, baseValue, distributions = {}) {
+    const configured = distributions[driver];
+    const spec = Array.isArray(configured) ? configured[year] : configured;
+    if (!spec) return DEFAULT_DISTRIBUTIONS[driver](baseValue);
+
+    // Specs without a location are centred on the base-case projection
+    const center = baseValue ?? 0;
+    if ((spec.type === 'normal' || spec.type === 'lognormal') && spec.mean === undefined && spec.mu === undefined) {
+      return { ...spec, mean: center };
+    }
+    if (spec.type === 'triangular' && spec.mode === undefined) {
+      return { ...spec, mode: center };
+    }
+    return spec;
+  }
+
+  /**
+   * Warn when a default valuation-driver range was clamped to its limits, or collapsed
+   * to a single value because the clamped bounds crossed
+   * @param {Object} distributions - User distribution specs by driver
+   * @param {Object} assumptions - Resolved assumptions
+   * @returns {Array} Warnings
+   */
+  clampedRangeWarnings(distributions = {}, assumptions = this.resolveAssumptions()) {
+    return VALUATION_DRIVERS
+      .filter(driver => !distributions[driver])
+      .map(driver => ({ driver, ...clampedRange(driver, assumptions[driver]) }))
+      .filter(({ requested, min, max }) => min !== requested.min || max !== requested.max)
+      .map(({ driver, requested, min, max }) => {
+        const collapsed = !(min < max);
+        const range = `[${requested.min.toFixed(4)}, ${requested.max.toFixed(4)}]`;
+        const message = collapsed
+          ? `default ${driver} range ${range} collapses to a fixed ${min.toFixed(4)} once clamped to its limits`
+          : `default ${driver} range ${range} clamped to [${min.toFixed(4)}, ${max.toFixed(4)}]`;
+        return warning(WARNING_CODES.CLAMPED_VALUE, message, {
+          path: `distributions.${driver}`,
+          original: requested,
+          clamped: collapsed ? { min, max: min } : { min, max },
+          collapsed
+        });
+      });
+  }
+
+  /**
+   * Check user-specified distributions against the base projections
+   * @param {Object} projections - Base-case projections
+   * @param {Object} distributions - User distribution specs by driver
+   * @param {Object} correlation - Optional { drivers, matrix } correlation spec
+   * @param {Object} assumptions - Resolved assumptions
+   * @returns {Array} Validation error messages (empty when valid)
+   */
+  validateDistributions(projections, distributions = {}, correlation = null, assumptions = this.resolveAssumptions()) {
+    const errors = [];
+
+    Object.keys(distributions).forEach(driver => {
+      if (!YEARLY_DRIVERS.includes(driver) && !VALUATION_DRIVERS.includes(driver)) {
+        errors.push(`unknown driver ${driver}`);
+        return;
+      }
+      if (VALUATION_DRIVERS.includes(driver) && Array.isArray(distributions[driver])) {
+        errors.push(`${driver} takes a single distribution, not one per year`);
+        return;
+      }
+
+      if (VALUATION_DRIVERS.includes(driver)) {
+        const error = validateDistribution(this.resolveDistribution(driver, 0, assumptions[driver], distributions));
+        if (error) errors.push(`${driver}: ${error}`);
+        return;
+      }
+
+      for (let year = 0; year < assumptions.projectionYears; year++) {
+        const base = baseValue(projections, driver, year);
+        const error = validateDistribution(this.resolveDistribution(driver, year, base, distributions));
+        if (error) errors.push(`${driver} year ${year + 1}: ${error}`);
+      }
+    });
+
+    if (correlation) {
+      errors.push(...validateCorrelation(correlation, [...YEARLY_DRIVERS, ...VALUATION_DRIVERS]));
+    }
+
+    return errors;
+  }
+
+  normalRandom(mean, std, random = createRandom()) {
+    return random.normal(mean, std);
   }
 
   /**
@@ -255,12 +831,22 @@ class DCFModel {
   }
 
   /**
-   * Calculate Cost of Equity using CAPM
-   * @param {Object} params - CAPM parameters
+   * Calculate Cost of Equity using CAPM. Without a riskFreeRate, the annually compounded
+   * zero rate at `tenor` years is read from riskFreeCurve (a YieldCurveModel curve).
+   * @param {Object} params - { riskFreeRate, riskFreeCurve, tenor (default 10), beta, marketRiskPremium }
    * @returns {number} Cost of equity
    */
   calculateCostOfEquity(params) {
-    const { riskFreeRate, beta, marketRiskPremium } = params;
+    const { beta, marketRiskPremium, riskFreeCurve, tenor = 10 } = params;
+    let { riskFreeRate } = params;
+    if (riskFreeRate === undefined && riskFreeCurve) {
+      if (!YieldCurveModel.isCurve(riskFreeCurve)) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'riskFreeCurve must be a curve from YieldCurveModel.build', [
+          { path: 'riskFreeCurve', message: 'not a yield curve' }
+        ]);
+      }
+      riskFreeRate = new YieldCurveModel().annualRate(riskFreeCurve, tenor);
+    }
     return riskFreeRate + beta * marketRiskPremium;
   }
 }
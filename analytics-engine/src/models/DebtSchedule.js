@@ -0,0 +1,359 @@
+/**
+ * Tranche-level debt schedule for leveraged transactions.
+ *
+ * A tranche is a plain object such as
+ *   { name: 'revolver', type: 'revolver', amount: 0, commitment: 100, floating: true, spread: 0.03, sweepPriority: 1 }
+ *   { name: 'termLoanB', amount: 300, floating: true, spread: 0.0375, floor: 0.005, amortization: 0.01, sweepPriority: 2 }
+ *   { name: 'seniorNotes', amount: 200, rate: 0.11, pik: [true, true, false] }
+ *
+ * Each period the schedule accrues interest on opening (or average) balances, pays
+ * mandatory amortization, draws the revolver to cover any shortfall, then sweeps a
+ * share of the remaining cash against tranches in ascending sweepPriority order.
+ * Tranches without a sweepPriority are only repaid through amortization (or at exit).
+ */
+
+const YieldCurveModel = require('./YieldCurveModel');
+const { ERROR_CODES, ModelError } = require('../utils/validation');
+
+const yieldCurves = new YieldCurveModel();
+
+// Tranches built from the legacy revolver/termLoanA/termLoanB/subordinatedDebt deal inputs
+const LEGACY_TRANCHES = [
+  { name: 'revolver', type: 'revolver', rateKey: 'revolver', rate: 0.07, amortization: 0, sweepPriority: 1 },
+  { name: 'termLoanA', type: 'termLoan', rateKey: 'termLoanA', rate: 0.075, amortization: 0.05, sweepPriority: 2 },
+  { name: 'termLoanB', type: 'termLoan', rateKey: 'termLoanB', rate: 0.085, amortization: 0.01, sweepPriority: 3 },
+  { name: 'subordinatedDebt', type: 'notes', rateKey: 'subordinated', rate: 0.11, amortization: 0, sweepPriority: null }
+];
+
+const TRANCHE_TYPES = ['revolver', 'termLoan', 'notes'];
+
+class DebtSchedule {
+  /**
+   * @param {Array} tranches - Tranche specs (see module comment)
+   * @param {Object} options - { baseRates: number|Array by year|YieldCurveModel curve, cashSweep: share of excess cash swept }
+   */
+  constructor(tranches, options = {}) {
+    const errors = DebtSchedule.validate(tranches, options);
+    if (errors.length > 0) {
+      throw new ModelError(
+        ERROR_CODES.INVALID_INPUT,
+        `Invalid debt schedule: ${errors.join('; ')}`,
+        errors.map(message => ({ path: 'tranches', message }))
+      );
+    }
+
+    this.baseRates = options.baseRates ?? null;
+    this.cashSweep = options.cashSweep ?? 0.5;
+    this.tranches = tranches.map((tranche, index) => ({
+      name: tranche.name || `tranche${index + 1}`,
+      type: tranche.type || 'termLoan',
+      amount: tranche.amount || 0,
+      commitment: Math.max(tranche.commitment || 0, tranche.amount || 0),
+      rate: tranche.rate,
+      floating: Boolean(tranche.floating),
+      spread: tranche.spread || 0,
+      floor: tranche.floor || 0,
+      amortization: tranche.amortization || 0,
+      sweepPriority: tranche.sweepPriority ?? null,
+      pik: tranche.pik || false
+    }));
+    this.balances = this.tranches.map(tranche => tranche.amount);
+    this.rows = this.tranches.map(() => []);
+  }
+
+  /**
+   * Build a schedule from LBO deal parameters. Explicit dealParams.tranches take
+   * precedence; otherwise the legacy per-tranche amounts and interestRates are used.
+   * @param {Object} dealParams - LBO deal parameters
+   * @returns {DebtSchedule} Schedule positioned at closing
+   */
+  static fromDealParams(dealParams) {
+    const options = {
+      baseRates: dealParams.baseRates,
+      cashSweep: dealParams.cashSweep ?? dealParams.debtPaydownRate
+    };
+
+    if (Array.isArray(dealParams.tranches)) {
+      return new DebtSchedule(dealParams.tranches, options);
+    }
+
+    const interestRates = dealParams.interestRates || {};
+    const tranches = LEGACY_TRANCHES.map(({ rateKey, ...defaults }) => ({
+      ...defaults,
+      amount: dealParams[defaults.name] || 0,
+      rate: interestRates[rateKey] ?? interestRates.weighted ?? defaults.rate
+    }));
+    return new DebtSchedule(tranches, options);
+  }
+
+  /**
+   * Check tranche specs and schedule options
+   * @returns {Array} Validation error messages (empty when valid)
+   */
+  static validate(tranches, options = {}) {
+    if (!Array.isArray(tranches) || tranches.length === 0) {
+      return ['at least one debt tranche is required'];
+    }
+
+    const errors = [];
+    const { baseRates } = options;
+    if (baseRates !== undefined && baseRates !== null && typeof baseRates === 'object' && !Array.isArray(baseRates)
+      && !YieldCurveModel.isCurve(baseRates)) {
+      errors.push('baseRates must be a number, an array by year or a yield curve');
+    }
+
+    const names = new Set();
+    tranches.forEach((tranche, index) => {
+      const label = tranche.name || `tranche${index + 1}`;
+      if (names.has(label)) errors.push(`tranche names must be unique (${label})`);
+      names.add(label);
+
+      if (tranche.type !== undefined && !TRANCHE_TYPES.includes(tranche.type)) {
+        errors.push(`${label}: type must be one of: ${TRANCHE_TYPES.join(', ')}`);
+      }
+      if (!(tranche.amount >= 0)) errors.push(`${label}: amount must be a non-negative number`);
+      if (tranche.commitment !== undefined && !(tranche.commitment >= 0)) {
+        errors.push(`${label}: commitment must be a non-negative number`);
+      }
+      if (tranche.floating) {
+        if (options.baseRates === undefined || options.baseRates === null) {
+          errors.push(`${label}: floating tranches require baseRates`);
+        }
+        if (!Number.isFinite(tranche.spread ?? 0)) errors.push(`${label}: spread must be a number`);
+      } else if (!Number.isFinite(tranche.rate)) {
+        errors.push(`${label}: fixed-rate tranches require a rate`);
+      }
+      if (!(tranche.amortization === undefined || (tranche.amortization >= 0 && tranche.amortization <= 1))) {
+        errors.push(`${label}: amortization must be between 0 and 1`);
+      }
+    });
+
+    const cashSweep = options.cashSweep ?? 0.5;
+    if (!(cashSweep >= 0 && cashSweep <= 1)) errors.push('cashSweep must be between 0 and 1');
+
+    return errors;
+  }
+
+  /**
+   * Normalize a projection year number or a period from buildPeriods
+   */
+  static toPeriod(period) {
+    if (typeof period === 'number') return { index: period, year: period, fraction: 1, endDate: null };
+    return { endDate: null, ...period };
+  }
+
+  /**
+   * Base rate for a projection year; the last point of the curve carries forward.
+   * On a yield curve the rate is the annually compounded forward over that year.
+   */
+  baseRate(year) {
+    if (YieldCurveModel.isCurve(this.baseRates)) {
+      const end = Math.max(year, 1);
+      return Math.exp(yieldCurves.forwardRate(this.baseRates, end - 1, end)) - 1;
+    }
+    if (!Array.isArray(this.baseRates)) return this.baseRates || 0;
+    return this.baseRates[Math.min(Math.max(year - 1, 0), this.baseRates.length - 1)];
+  }
+
+  /**
+   * All-in interest rate of a tranche in a given year
+   */
+  rateFor(tranche, year) {
+    if (!tranche.floating) return tranche.rate;
+    return Math.max(tranche.floor, this.baseRate(year)) + tranche.spread;
+  }
+
+  /**
+   * Whether a tranche pays interest in kind in a given year
+   */
+  isPIK(tranche, year) {
+    return Array.isArray(tranche.pik) ? Boolean(tranche.pik[Math.max(year - 1, 0)]) : Boolean(tranche.pik);
+  }
+
+  get totalDebt() {
+    return this.balances.reduce((sum, balance) => sum + balance, 0);
+  }
+
+  /**
+   * Interest for a period on the opening balances, or on the average of opening and
+   * the given closing balances
+   * @param {number|Object} period - Projection year, or { index, year, fraction } period
+   * @param {Array} closingBalances - Optional closing balance per tranche
+   * @returns {Object} { period, total, cash, pik, byTranche: [{ rate, interest, pik }] }
+   */
+  accrueInterest(period, closingBalances = null) {
+    const resolved = DebtSchedule.toPeriod(period);
+    const { year, fraction } = resolved;
+    const byTranche = this.tranches.map((tranche, i) => {
+      const rate = this.rateFor(tranche, year);
+      const balance = closingBalances ? (this.balances[i] + closingBalances[i]) / 2 : this.balances[i];
+      return { rate, interest: balance * rate * fraction, pik: this.isPIK(tranche, year) };
+    });
+
+    const pik = byTranche.filter(t => t.pik).reduce((sum, t) => sum + t.interest, 0);
+    const total = byTranche.reduce((sum, t) => sum + t.interest, 0);
+    return { period: resolved, total, cash: total - pik, pik, byTranche };
+  }
+
+  /**
+   * Solve a period's interest. With the 'average' convention interest depends on the
+   * closing balances, which depend on cash flow after interest, so the period is
+   * re-settled until total interest stops moving.
+   * @param {number|Object} period - Projection year or period
+   * @param {Function} cashAvailableFor - interest => free cash flow before principal
+   * @param {Object} options - { convention: 'opening'|'average', tolerance, maxIterations }
+   * @returns {Object} { interest, iterations, residual, converged }
+   */
+  solveInterest(period, cashAvailableFor, options = {}) {
+    const { convention = 'opening', tolerance = 1e-6, maxIterations = 100 } = options;
+    let interest = this.accrueInterest(period);
+
+    if (convention !== 'average') {
+      return { interest, iterations: 0, residual: 0, converged: true };
+    }
+
+    let residual = Infinity;
+    let iterations = 0;
+    while (iterations < maxIterations && residual >= tolerance) {
+      const { closing } = this.settle(interest, cashAvailableFor(interest));
+      const next = this.accrueInterest(period, closing);
+      residual = Math.abs(next.total - interest.total);
+      interest = next;
+      iterations++;
+    }
+
+    return { interest, iterations, residual, converged: residual < tolerance };
+  }
+
+  /**
+   * Work out a period's principal flows without changing the schedule: capitalize PIK
+   * interest, pay mandatory amortization, draw the revolver for any shortfall and
+   * sweep excess cash down the priority stack
+   * @param {Object} interest - Output of accrueInterest for the period
+   * @param {number} cashAvailable - Free cash flow after cash interest, before principal
+   * @returns {Object} { closing, mandatory, sweep, draws, fundingShortfall, cash } (arrays per tranche)
+   */
+  settle(interest, cashAvailable) {
+    const closing = this.balances.slice();
+    const mandatory = this.tranches.map(() => 0);
+    const sweep = this.tranches.map(() => 0);
+    const draws = this.tranches.map(() => 0);
+
+    // PIK interest accretes to principal
+    interest.byTranche.forEach((t, i) => {
+      if (t.pik) closing[i] += t.interest;
+    });
+
+    // Mandatory amortization as an annual share of original principal
+    this.tranches.forEach((tranche, i) => {
+      mandatory[i] = Math.min(closing[i], tranche.amortization * tranche.amount * interest.period.fraction);
+      closing[i] -= mandatory[i];
+    });
+
+    let cash = cashAvailable - mandatory.reduce((sum, v) => sum + v, 0);
+
+    // Fund any shortfall from undrawn revolver capacity
+    this.tranches.forEach((tranche, i) => {
+      if (cash >= 0 || tranche.type !== 'revolver') return;
+      const draw = Math.min(-cash, tranche.commitment - closing[i]);
+      if (draw <= 0) return;
+      draws[i] = draw;
+      closing[i] += draw;
+      cash += draw;
+    });
+    const fundingShortfall = Math.max(0, -cash);
+    cash = Math.max(0, cash);
+
+    // Cash sweep in priority order
+    let sweepCash = cash * this.cashSweep;
+    this.tranches
+      .map((tranche, i) => ({ tranche, i }))
+      .filter(({ tranche }) => tranche.sweepPriority !== null)
+      .sort((a, b) => a.tranche.sweepPriority - b.tranche.sweepPriority)
+      .forEach(({ i }) => {
+        const repayment = Math.min(sweepCash, closing[i]);
+        sweep[i] = repayment;
+        closing[i] -= repayment;
+        sweepCash -= repayment;
+      });
+
+    return { closing, mandatory, sweep, draws, fundingShortfall, cash };
+  }
+
+  /**
+   * Close a projection period, moving the schedule to its closing balances
+   * @param {Object} interest - Output of accrueInterest (or solveInterest) for the period
+   * @param {number} cashAvailable - Free cash flow after cash interest, before principal
+   * @returns {Object} Period totals including cash left for the sponsor
+   */
+  close(interest, cashAvailable) {
+    const opening = this.balances;
+    const { closing, mandatory, sweep, draws, fundingShortfall, cash } = this.settle(interest, cashAvailable);
+    const sweepRepayment = sweep.reduce((sum, v) => sum + v, 0);
+
+    this.balances = closing;
+    this.record(opening, interest, { mandatory, sweep, draws });
+
+    return {
+      mandatoryRepayment: mandatory.reduce((sum, v) => sum + v, 0),
+      sweepRepayment,
+      revolverDrawdown: draws.reduce((sum, v) => sum + v, 0),
+      fundingShortfall,
+      cashAfterDebtService: cash - sweepRepayment,
+      closingDebt: this.totalDebt
+    };
+  }
+
+  /**
+   * Record a period with no principal flows (e.g. the pro forma closing year)
+   */
+  hold(interest) {
+    const zeros = this.tranches.map(() => 0);
+    this.record(this.balances.slice(), interest, { mandatory: zeros, sweep: zeros, draws: zeros });
+  }
+
+  record(opening, interest, { mandatory, sweep, draws }) {
+    const { index, year, fraction, endDate } = interest.period;
+    this.tranches.forEach((tranche, i) => {
+      const { rate, interest: amount, pik } = interest.byTranche[i];
+      this.rows[i].push({
+        period: index,
+        year,
+        fraction,
+        endDate,
+        openingBalance: opening[i],
+        rate,
+        interest: amount,
+        cashInterest: pik ? 0 : amount,
+        pikInterest: pik ? amount : 0,
+        mandatoryRepayment: mandatory[i],
+        sweepRepayment: sweep[i],
+        drawdown: draws[i],
+        closingBalance: this.balances[i]
+      });
+    });
+  }
+
+  /**
+   * Period-by-period table for every tranche
+   * @returns {Array} [{ name, type, amount, floating, spread, rate, amortization, sweepPriority, pik, schedule }]
+   */
+  toJSON() {
+    return this.tranches.map((tranche, i) => ({
+      name: tranche.name,
+      type: tranche.type,
+      amount: tranche.amount,
+      commitment: tranche.commitment,
+      floating: tranche.floating,
+      rate: tranche.floating ? null : tranche.rate,
+      spread: tranche.floating ? tranche.spread : null,
+      floor: tranche.floating ? tranche.floor : null,
+      amortization: tranche.amortization,
+      sweepPriority: tranche.sweepPriority,
+      pik: tranche.pik,
+      schedule: this.rows[i]
+    }));
+  }
+}
+
+module.exports = DebtSchedule;
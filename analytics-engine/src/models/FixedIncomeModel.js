@@ -0,0 +1,310 @@
+const YieldCurveModel = require('./YieldCurveModel');
+const { solveFor } = require('../utils/solvers');
+const { DAY_COUNTS, toUTCDate, actualDays, yearFraction, addMonths } = require('../utils/dayCount');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  assertValid
+} = require('../utils/validation');
+
+/**
+ * Bond analytics off a zero curve from YieldCurveModel.
+ *
+ * A bond is { type: 'fixed'|'floating', settlementDate, maturityDate, couponRate, frequency,
+ * faceValue, dayCount, spread, currentCoupon }. Coupon dates roll back from maturity.
+ * Floating coupons are the curve's forward rate over each accrual period plus the
+ * quoted spread; the current period pays currentCoupon when its fixing is known.
+ *
+ * Prices are per faceValue. Cash flows are discounted at curve zero rates for their
+ * ACT/365 time from settlement. Yield measures use the street convention: the yield
+ * compounds at the coupon frequency over fractional coupon periods. For floating bonds
+ * duration and convexity come from parallel curve shifts instead, since resets offset
+ * most of the rate exposure a yield-based measure would show.
+ */
+
+const BOND_TYPES = ['fixed', 'floating'];
+const FREQUENCIES = [1, 2, 4, 12];
+const BASIS_POINT = 0.0001;
+
+// Key rate tenors (years): the Treasury pillars
+const KEY_RATE_TENORS = [0.25, 0.5, 1, 2, 3, 5, 7, 10, 20, 30];
+
+class FixedIncomeModel {
+  constructor(options = {}) {
+    this.keyRateTenors = options.keyRateTenors || KEY_RATE_TENORS;
+    this.yieldCurves = new YieldCurveModel();
+  }
+
+  /**
+   * Price a bond off a curve with yield, duration, convexity and key rate DV01s
+   * @param {Object} bond - Bond terms (see module comment)
+   * @param {Object} curve - Curve from YieldCurveModel.build
+   * @param {Object} options - { price (clean market price per faceValue), keyRateTenors }
+   * @returns {Object} { bond, accruedInterest, cleanPrice, dirtyPrice, modelPrice, marketPrice, yieldToMaturity, zSpread,
+   *   macaulayDuration, modifiedDuration, convexity, durationBasis, effectiveDuration, effectiveConvexity, dv01, keyRateDV01s, cashFlows, warnings }
+   */
+  analyze(bond, curve, options = {}) {
+    try {
+      const terms = this.resolveBond(bond);
+      if (!YieldCurveModel.isCurve(curve)) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'a discount curve from YieldCurveModel.build is required', [
+          { path: 'curve', message: 'not a yield curve' }
+        ]);
+      }
+      const details = [];
+      checkNumber(details, options.price, 'price', { exclusiveMin: 0 });
+      assertValid(details, 'bond pricing options');
+
+      const warnings = [];
+      if (terms.type === 'floating' && terms.currentCoupon === null) {
+        warnings.push(warning(
+          WARNING_CODES.DEFAULTED_VALUE,
+          'currentCoupon not given; the current period is projected from the curve like later periods',
+          { field: 'currentCoupon' }
+        ));
+      }
+
+      const schedule = this.schedule(terms);
+      const zeroRate = time => this.yieldCurves.zeroRate(curve, time);
+      const base = this.project(terms, schedule, zeroRate);
+      const accruedInterest = this.accruedInterest(terms, schedule, base.cashFlows[0]);
+
+      const modelDirty = base.presentValue;
+      const dirtyPrice = options.price !== undefined ? options.price + accruedInterest : modelDirty;
+      const yieldToMaturity = this.yieldToMaturity(terms, base.cashFlows, dirtyPrice);
+      const zSpread = options.price !== undefined
+        ? this.zSpread(terms, schedule, zeroRate, dirtyPrice)
+        : 0;
+
+      // Curve risk is measured at the z-spread that reproduces the price being analysed
+      const priceAtShift = shift => this.project(terms, schedule, time => zeroRate(time) + shift(time), zSpread).presentValue;
+      const parallel = bump => priceAtShift(() => bump);
+      const up = parallel(BASIS_POINT);
+      const down = parallel(-BASIS_POINT);
+      const effectiveDuration = (down - up) / (2 * dirtyPrice * BASIS_POINT);
+      const effectiveConvexity = (up + down - 2 * dirtyPrice) / (dirtyPrice * BASIS_POINT * BASIS_POINT);
+
+      const yieldMeasures = terms.type === 'fixed'
+        ? this.yieldRisk(terms, base.cashFlows, yieldToMaturity, dirtyPrice)
+        : { macaulayDuration: effectiveDuration, modifiedDuration: effectiveDuration, convexity: effectiveConvexity };
+
+      const tenors = [...(options.keyRateTenors || this.keyRateTenors)].sort((a, b) => a - b);
+      const keyRateDV01s = tenors.map((tenor, i) => ({
+        tenor,
+        dv01: dirtyPrice - priceAtShift(time => BASIS_POINT * keyRateWeight(tenors, i, time))
+      }));
+
+      return {
+        bond: terms,
+        accruedInterest,
+        cleanPrice: dirtyPrice - accruedInterest,
+        dirtyPrice,
+        modelPrice: { clean: modelDirty - accruedInterest, dirty: modelDirty },
+        marketPrice: options.price ?? null,
+        yieldToMaturity,
+        zSpread,
+        ...yieldMeasures,
+        durationBasis: terms.type === 'fixed' ? 'yield' : 'curve',
+        effectiveDuration,
+        effectiveConvexity,
+        dv01: (down - up) / 2,
+        keyRateDV01s,
+        cashFlows: base.cashFlows,
+        warnings
+      };
+    } catch (error) {
+      console.error('Bond calculation error:', error);
+      throw ModelError.wrap(error, 'Bond calculation failed');
+    }
+  }
+
+  /**
+   * Bond terms with defaults applied, checked
+   */
+  resolveBond(bond) {
+    const details = [];
+    if (!bond || typeof bond !== 'object') {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'bond terms are required', [{ path: 'bond', message: 'bond terms are required' }]);
+    }
+
+    const terms = {
+      type: bond.type || 'fixed',
+      settlementDate: bond.settlementDate || new Date().toISOString().split('T')[0],
+      maturityDate: bond.maturityDate,
+      couponRate: bond.couponRate ?? (bond.type === 'floating' ? null : undefined),
+      frequency: bond.frequency || 2,
+      faceValue: bond.faceValue ?? 100,
+      dayCount: bond.dayCount || (bond.type === 'floating' ? 'ACT/360' : '30/360'),
+      spread: bond.spread ?? 0,
+      currentCoupon: bond.currentCoupon ?? null
+    };
+
+    if (!BOND_TYPES.includes(terms.type)) {
+      details.push({ path: 'bond.type', message: `type must be one of: ${BOND_TYPES.join(', ')}` });
+    }
+    if (!FREQUENCIES.includes(terms.frequency)) {
+      details.push({ path: 'bond.frequency', message: `frequency must be one of: ${FREQUENCIES.join(', ')}` });
+    }
+    if (!DAY_COUNTS.includes(terms.dayCount)) {
+      details.push({ path: 'bond.dayCount', message: `dayCount must be one of: ${DAY_COUNTS.join(', ')}` });
+    }
+    ['settlementDate', 'maturityDate'].forEach(field => {
+      if (isNaN(new Date(terms[field]).getTime())) {
+        details.push({ path: `bond.${field}`, message: `${field} must be a valid date` });
+      }
+    });
+    if (details.length === 0 && toUTCDate(terms.maturityDate) <= toUTCDate(terms.settlementDate)) {
+      details.push({ path: 'bond.maturityDate', message: 'maturityDate must be after settlementDate' });
+    }
+    if (terms.type === 'fixed') {
+      checkNumber(details, terms.couponRate, 'bond.couponRate', { required: true, min: 0 });
+    }
+    checkNumber(details, terms.faceValue, 'bond.faceValue', { exclusiveMin: 0 });
+    checkNumber(details, terms.spread, 'bond.spread');
+    checkNumber(details, terms.currentCoupon, 'bond.currentCoupon');
+    assertValid(details, 'bond terms');
+
+    return terms;
+  }
+
+  /**
+   * Coupon periods from the one containing settlement to maturity
+   * @returns {Array} [{ start, end }] as UTC dates
+   */
+  schedule(terms) {
+    const months = 12 / terms.frequency;
+    const settlement = toUTCDate(terms.settlementDate);
+    const dates = [toUTCDate(terms.maturityDate)];
+    while (dates[0] > settlement) {
+      dates.unshift(addMonths(terms.maturityDate, -months * dates.length));
+    }
+    return dates.slice(1).map((end, i) => ({ start: dates[i], end }));
+  }
+
+  /**
+   * Projected cash flows and their present value at a zero curve. Floating coupons are
+   * projected from the curve itself; the spread only widens discounting.
+   * @param {Function} zeroRate - time -> continuously compounded zero rate
+   * @param {number} spread - Constant spread added to the zero rate when discounting
+   * @returns {Object} { cashFlows: [{ date, time, accrualFraction, rate, coupon, principal, amount, discountFactor, presentValue }], presentValue }
+   */
+  project(terms, schedule, zeroRate, spread = 0) {
+    const settlement = toUTCDate(terms.settlementDate);
+    const timeTo = date => actualDays(settlement, date) / 365;
+    const discount = time => Math.exp(-zeroRate(time) * time);
+
+    const cashFlows = schedule.map((period, i) => {
+      const time = timeTo(period.end);
+      const accrualFraction = yearFraction(period.start, period.end, terms.dayCount, { ...period, frequency: terms.frequency });
+      let rate = terms.couponRate;
+      if (terms.type === 'floating') {
+        if (i === 0 && terms.currentCoupon !== null) {
+          rate = terms.currentCoupon;
+        } else {
+          // Simple forward rate over the accrual period implied by the curve, plus the quoted spread
+          const start = Math.max(timeTo(period.start), 0);
+          rate = (discount(start) / discount(time) - 1) / accrualFraction + terms.spread;
+        }
+      }
+      const coupon = terms.faceValue * rate * accrualFraction;
+      const principal = i === schedule.length - 1 ? terms.faceValue : 0;
+      const discountFactor = Math.exp(-(zeroRate(time) + spread) * time);
+      return {
+        date: period.end.toISOString().split('T')[0],
+        time,
+        accrualFraction,
+        rate,
+        coupon,
+        principal,
+        amount: coupon + principal,
+        discountFactor,
+        presentValue: (coupon + principal) * discountFactor
+      };
+    });
+
+    return { cashFlows, presentValue: cashFlows.reduce((sum, flow) => sum + flow.presentValue, 0) };
+  }
+
+  /**
+   * Interest accrued from the last coupon date to settlement
+   */
+  accruedInterest(terms, schedule, firstFlow) {
+    const current = schedule[0];
+    const fraction = yearFraction(current.start, terms.settlementDate, terms.dayCount, { ...current, frequency: terms.frequency });
+    return terms.faceValue * firstFlow.rate * fraction;
+  }
+
+  /**
+   * Coupon periods from settlement to each cash flow: the fraction left in the current period, then whole periods
+   */
+  periodsTo(terms, cashFlows) {
+    const settlement = toUTCDate(terms.settlementDate);
+    const schedule = this.schedule(terms);
+    const current = schedule[0];
+    const remaining = terms.dayCount === '30/360'
+      ? yearFraction(settlement, current.end, '30/360') * terms.frequency
+      : actualDays(settlement, current.end) / actualDays(current.start, current.end);
+    return cashFlows.map((_, i) => remaining + i);
+  }
+
+  /**
+   * Street-convention yield that discounts the projected cash flows to a dirty price
+   */
+  yieldToMaturity(terms, cashFlows, dirtyPrice) {
+    const periods = this.periodsTo(terms, cashFlows);
+    const priceAt = y => cashFlows.reduce((sum, flow, i) => sum + flow.amount / Math.pow(1 + y / terms.frequency, periods[i]), 0);
+    const { root } = solveFor(priceAt, dirtyPrice, { lower: -0.5 * terms.frequency + 1e-6, upper: 2, tolerance: 1e-12 });
+    return root;
+  }
+
+  /**
+   * Macaulay and modified duration (years) and convexity at the yield to maturity
+   */
+  yieldRisk(terms, cashFlows, ytm, dirtyPrice) {
+    const f = terms.frequency;
+    const periods = this.periodsTo(terms, cashFlows);
+    const growth = 1 + ytm / f;
+    let weightedTime = 0;
+    let convexitySum = 0;
+    cashFlows.forEach((flow, i) => {
+      const n = periods[i];
+      const presentValue = flow.amount / Math.pow(growth, n);
+      weightedTime += n * presentValue;
+      convexitySum += n * (n + 1) * presentValue;
+    });
+
+    const macaulayDuration = weightedTime / dirtyPrice / f;
+    return {
+      macaulayDuration,
+      modifiedDuration: macaulayDuration / growth,
+      convexity: convexitySum / (dirtyPrice * f * f * growth * growth)
+    };
+  }
+
+  /**
+   * Constant spread over the zero curve that reprices the bond to a dirty price
+   */
+  zSpread(terms, schedule, zeroRate, dirtyPrice) {
+    const priceAt = spread => this.project(terms, schedule, zeroRate, spread).presentValue;
+    const { root } = solveFor(priceAt, dirtyPrice, { lower: -0.2, upper: 1, tolerance: 1e-10 });
+    return root;
+  }
+}
+
+// Triangular key rate shift: 1 at tenors[i], falling linearly to 0 at the neighbouring tenors, flat beyond the ends
+function keyRateWeight(tenors, i, time) {
+  const tenor = tenors[i];
+  const previous = tenors[i - 1];
+  const next = tenors[i + 1];
+  if (time <= tenor) {
+    if (previous === undefined) return 1;
+    return time <= previous ? 0 : (time - previous) / (tenor - previous);
+  }
+  if (next === undefined) return 1;
+  return time >= next ? 0 : (next - time) / (next - tenor);
+}
+
+module.exports = FixedIncomeModel;
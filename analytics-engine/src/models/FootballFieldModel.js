@@ -0,0 +1,238 @@
+const DCFModel = require('./DCFModel');
+const LBOModel = require('./LBOModel');
+const CompsModel = require('./CompsModel');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  assertValid
+} = require('../utils/validation');
+
+// Bands in chart order, top to bottom
+const METHODS = {
+  fiftyTwoWeek: '52-week trading range',
+  comps: 'Trading comparables',
+  lbo: 'LBO ability to pay',
+  dcf: 'DCF'
+};
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+class FootballFieldModel {
+  constructor(options = {}) {
+    this.dcfSpread = options.dcfSpread || { discountRate: 0.01, terminalGrowthRate: 0.005 };
+    this.irrSpread = options.irrSpread || 0.025; // LBO band runs from target IRR + spread (low) to - spread (high)
+    this.dcfModel = new DCFModel();
+    this.lboModel = new LBOModel();
+    this.compsModel = new CompsModel();
+  }
+
+  /**
+   * Per-share valuation bands from every method that has inputs
+   * @param {Object} inputs - { company: { sharesOutstanding, netDebt, currentPrice },
+   *   dcf: { financialData, projections, assumptions, discountRates, terminalGrowthRates },
+   *   lbo: { dealParams, assumptions, irrSpread }, comps: { target, peers, multiples, outlierMethod },
+   *   fiftyTwoWeek: { low, high } }
+   * @returns {Object} { company, bands: [{ method, label, low, mid, high, description, details, error }], range, warnings }
+   */
+  build(inputs = {}) {
+    try {
+      const requested = Object.keys(METHODS).filter(method => inputs[method]);
+      if (requested.length === 0) {
+        const message = `at least one of ${Object.keys(METHODS).join(', ')} is required`;
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, message, [{ path: 'inputs', message }]);
+      }
+
+      const company = this.resolveCompany(inputs);
+      const warnings = [];
+      const bands = requested.map(method => {
+        try {
+          return { method, label: METHODS[method], ...this[`${method}Band`](inputs[method], company), error: null };
+        } catch (error) {
+          warnings.push(warning(WARNING_CODES.FAILED_SCENARIOS, `${METHODS[method]}: ${error.message}`, { method }));
+          return {
+            method,
+            label: METHODS[method],
+            low: null,
+            mid: null,
+            high: null,
+            description: null,
+            details: null,
+            error: { code: error.code || ERROR_CODES.CALCULATION_FAILED, message: error.message, details: error.details || [] }
+          };
+        }
+      });
+
+      const valued = bands.filter(band => band.error === null);
+      if (valued.length === 0) {
+        const first = bands[0].error;
+        throw new ModelError(first.code, `no valuation method succeeded: ${bands.map(band => band.error.message).join('; ')}`, first.details);
+      }
+
+      return {
+        company,
+        bands,
+        range: {
+          low: Math.min(...valued.map(band => band.low)),
+          high: Math.max(...valued.map(band => band.high))
+        },
+        warnings
+      };
+    } catch (error) {
+      console.error('Football field calculation error:', error);
+      throw ModelError.wrap(error, 'Football field calculation failed');
+    }
+  }
+
+  /**
+   * Share count, net debt and price used to turn enterprise values into per-share values.
+   * Missing fields fall back to the DCF financial data.
+   */
+  resolveCompany(inputs) {
+    const given = inputs.company || {};
+    const financialData = (inputs.dcf && inputs.dcf.financialData) || {};
+    const company = {
+      sharesOutstanding: given.sharesOutstanding ?? financialData.sharesOutstanding ?? null,
+      netDebt: given.netDebt ?? (financialData.totalDebt !== undefined || financialData.cash !== undefined
+        ? (financialData.totalDebt || 0) - (financialData.cash || 0)
+        : null),
+      currentPrice: given.currentPrice ?? financialData.currentPrice ?? null
+    };
+
+    const details = [];
+    checkNumber(details, company.sharesOutstanding, 'company.sharesOutstanding', { exclusiveMin: 0 });
+    checkNumber(details, company.netDebt, 'company.netDebt');
+    checkNumber(details, company.currentPrice, 'company.currentPrice', { min: 0 });
+    assertValid(details, 'football field company data');
+    return company;
+  }
+
+  /**
+   * DCF value per share across a discount rate x terminal growth grid around the base case.
+   * The equity bridge uses the company's share count and net debt, as the other bands do.
+   */
+  dcfBand({ financialData = {}, projections, assumptions = {}, discountRates, terminalGrowthRates }, company) {
+    if (company.sharesOutstanding === null) {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'sharesOutstanding is needed to value the DCF per share', [
+        { path: 'company.sharesOutstanding', message: 'sharesOutstanding is required for the DCF band' }
+      ]);
+    }
+    const bridged = {
+      ...financialData,
+      sharesOutstanding: company.sharesOutstanding,
+      ...(company.netDebt !== null ? { totalDebt: company.netDebt, cash: 0 } : {})
+    };
+
+    const resolved = this.dcfModel.resolveAssumptions(assumptions);
+    const around = (base, spread) => [base - spread, base, base + spread];
+    const ranges = {
+      discountRates: discountRates || around(resolved.discountRate, this.dcfSpread.discountRate),
+      terminalGrowthRates: terminalGrowthRates || around(resolved.terminalGrowthRate, this.dcfSpread.terminalGrowthRate)
+    };
+
+    const base = this.dcfModel.calculateDCF(bridged, projections, resolved);
+    const grid = this.dcfModel.sensitivityAnalysis(bridged, projections, ranges, resolved)
+      .filter(cell => Number.isFinite(cell.intrinsicValue));
+    if (grid.length === 0) {
+      throw new ModelError(ERROR_CODES.CALCULATION_FAILED, 'every DCF sensitivity case failed');
+    }
+
+    const values = grid.map(cell => cell.intrinsicValue);
+    const rates = list => `${percent(Math.min(...list))}–${percent(Math.max(...list))}`;
+    return {
+      low: Math.min(...values),
+      mid: base.intrinsicValue,
+      high: Math.max(...values),
+      description: `Discount rate ${rates(ranges.discountRates)}, terminal growth ${rates(ranges.terminalGrowthRates)}`,
+      details: { ranges, cases: grid, enterpriseValue: base.presentValue }
+    };
+  }
+
+  /**
+   * Highest price a sponsor could pay at the target IRR, widened by the IRR spread,
+   * converted to per-share value through the company's net debt
+   */
+  lboBand({ dealParams, assumptions = {}, irrSpread = this.irrSpread }, company) {
+    if (company.sharesOutstanding === null || company.netDebt === null) {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'sharesOutstanding and netDebt are needed to value the LBO per share', [
+        { path: 'company', message: 'sharesOutstanding and netDebt are required for the LBO band' }
+      ]);
+    }
+
+    const { targetIRR } = this.lboModel.resolveAssumptions(assumptions);
+    const priceAt = irr => this.lboModel.maxPurchasePrice(dealParams, { assumptions: { ...assumptions, targetIRR: irr } });
+    const perShare = enterpriseValue => (enterpriseValue - company.netDebt) / company.sharesOutstanding;
+
+    // A higher required return means a lower price
+    const atTarget = priceAt(targetIRR);
+    const atHigherIRR = priceAt(targetIRR + irrSpread);
+    const atLowerIRR = priceAt(Math.max(targetIRR - irrSpread, 0));
+
+    return {
+      low: perShare(atHigherIRR.maxPurchasePrice),
+      mid: perShare(atTarget.maxPurchasePrice),
+      high: perShare(atLowerIRR.maxPurchasePrice),
+      description: `Target IRR ${percent(Math.max(targetIRR - irrSpread, 0))}–${percent(targetIRR + irrSpread)}`,
+      details: {
+        targetIRR,
+        irrSpread,
+        enterpriseValue: {
+          low: atHigherIRR.maxPurchasePrice,
+          mid: atTarget.maxPurchasePrice,
+          high: atLowerIRR.maxPurchasePrice
+        },
+        impliedEntryMultiple: atTarget.impliedEntryMultiple
+      }
+    };
+  }
+
+  /**
+   * Per-share range implied by peer multiples (lower to upper quartile)
+   */
+  compsBand({ target, peers, multiples, outlierMethod, outlierThreshold, minPeers }, company) {
+    const comps = this.compsModel.calculateComps(
+      { sharesOutstanding: company.sharesOutstanding ?? undefined, netDebt: company.netDebt ?? undefined, price: company.currentPrice ?? undefined, ...target },
+      peers,
+      { multiples, outlierMethod, outlierThreshold, minPeers }
+    );
+    const range = comps.valuationRange.perShare;
+    if (!range) {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'comps could not be expressed per share: the target needs sharesOutstanding and netDebt', [
+        { path: 'comps.target', message: 'sharesOutstanding and netDebt are required' }
+      ]);
+    }
+
+    return {
+      low: range.low,
+      mid: range.mid,
+      high: range.high,
+      description: `${comps.peers.length} peers, ${Object.keys(comps.statistics).join(', ')}`,
+      details: { statistics: comps.statistics, warnings: comps.warnings }
+    };
+  }
+
+  /**
+   * Trading range over the last 52 weeks
+   */
+  fiftyTwoWeekBand({ low, high }, company) {
+    const details = [];
+    checkNumber(details, low, 'fiftyTwoWeek.low', { required: true, min: 0 });
+    checkNumber(details, high, 'fiftyTwoWeek.high', { required: true, min: 0 });
+    if (details.length === 0 && low > high) {
+      details.push({ path: 'fiftyTwoWeek', message: 'fiftyTwoWeek.low must not exceed fiftyTwoWeek.high' });
+    }
+    assertValid(details, '52-week range');
+
+    return {
+      low,
+      mid: company.currentPrice,
+      high,
+      description: company.currentPrice !== null ? `Current price ${company.currentPrice}` : '52-week low to high',
+      details: null
+    };
+  }
+}
+
+module.exports = FootballFieldModel;
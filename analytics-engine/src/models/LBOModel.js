@@ -1,6 +1,28 @@
 const math = require('mathjs');
 const { Matrix } = require('ml-matrix');
 const stats = require('simple-statistics');
+const { histogram } = require('../utils/statistics');
+const { createRandom } = require('../utils/random');
+const { sampleFromUniform, validateDistribution } = require('../utils/distributions');
+const { CorrelatedSampler, validateCorrelation, realizedCorrelation } = require('../utils/correlation');
+const { buildPeriods, periodProblems, driverFor } = require('../utils/periods');
+const { solveFor } = require('../utils/solvers');
+const { irr: internalRateOfReturn, npv, countSignChanges } = require('../utils/financialMath');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  checkSeries,
+  assertValid,
+  plausibility
+} = require('../utils/validation');
+const DebtSchedule = require('./DebtSchedule');
+const CreditRiskModel = require('./CreditRiskModel');
+
+// Deal drivers that can be simulated in monteCarioLBO
+const SIMULATED_DRIVERS = ['exitMultiple', 'revenueGrowth', 'ebitdaMargin'];
 
 class LBOModel {
   constructor(options = {}) {
@@ -8,23 +30,50 @@ class LBOModel {
     this.holdPeriod = options.holdPeriod || 5;
     this.maxDebtMultiple = options.maxDebtMultiple || 6.0;
     this.minEquityContribution = options.minEquityContribution || 0.3; // 30% minimum equity
+    this.interestConvention = options.interestConvention || 'opening'; // 'opening' or 'average' balance
+    this.circularityTolerance = options.circularityTolerance || 1e-6;
+    this.maxCircularityIterations = options.maxCircularityIterations || 100;
+    this.assetVolatility = options.assetVolatility || 0.25; // Enterprise value volatility for the implied rating
+    this.riskFreeRate = options.riskFreeRate ?? 0.04;
+  }
+
+  /**
+   * The instance's assumptions with per-call overrides applied; calculations never
+   * write to the instance, so one model can serve concurrent requests
+   * @param {Object} overrides - Any constructor option (undefined values are ignored)
+   * @returns {Object} Frozen assumptions
+   */
+  resolveAssumptions(overrides = {}) {
+    const defined = Object.fromEntries(Object.entries(overrides || {}).filter(([, value]) => value !== undefined));
+    return Object.freeze({
+      targetIRR: this.targetIRR,
+      holdPeriod: this.holdPeriod,
+      maxDebtMultiple: this.maxDebtMultiple,
+      minEquityContribution: this.minEquityContribution,
+      interestConvention: this.interestConvention,
+      circularityTolerance: this.circularityTolerance,
+      maxCircularityIterations: this.maxCircularityIterations,
+      assetVolatility: this.assetVolatility,
+      riskFreeRate: this.riskFreeRate,
+      ...defined
+    });
   }
 
   /**
    * Calculate LBO returns and metrics
    * @param {Object} dealParams - LBO deal parameters
+   * @param {Object} overrides - Assumptions for this call only (see resolveAssumptions)
    * @returns {Object} LBO analysis results
    */
-  calculateLBO(dealParams) {
+  calculateLBO(dealParams, overrides = {}) {
     try {
+      const assumptions = this.resolveAssumptions(overrides);
+      this.validateInputs(dealParams, assumptions);
+
       const {
         enterpriseValue,
         ebitda,
         debtMultiple,
-        revolver,
-        termLoanA,
-        termLoanB,
-        subordinatedDebt,
         exitMultiple,
         revenueGrowth,
         ebitdaMargin,
@@ -37,21 +86,29 @@ class LBOModel {
         sourceAndUses: {},
         returns: {},
         creditMetrics: {},
+        debtSchedule: [],
         projections: [],
         sensitivities: {},
-        keyMetrics: {}
+        keyMetrics: {},
+        warnings: this.assumptionWarnings(dealParams)
       };
 
+      const debtSchedule = DebtSchedule.fromDealParams(dealParams);
+
       // Sources and Uses
-      const totalDebt = (revolver || 0) + (termLoanA || 0) + (termLoanB || 0) + (subordinatedDebt || 0);
+      const totalDebt = debtSchedule.totalDebt;
       const equityContribution = enterpriseValue - totalDebt + (fees || 0);
+      if (!(equityContribution > 0)) {
+        const message = `debt of ${totalDebt} leaves no sponsor equity (equity contribution ${equityContribution})`;
+        throw new ModelError(ERROR_CODES.NEGATIVE_EQUITY_CONTRIBUTION, message, [{ path: 'dealParams', message }]);
+      }
+      if (totalDebt === 0) {
+        results.warnings.push(warning(WARNING_CODES.NO_DEBT, 'deal has no debt; coverage metrics are reported as null', { path: 'dealParams' }));
+      }
       
       results.sourceAndUses = {
         sources: {
-          revolver: revolver || 0,
-          termLoanA: termLoanA || 0,
-          termLoanB: termLoanB || 0,
-          subordinatedDebt: subordinatedDebt || 0,
+          ...Object.fromEntries(debtSchedule.tranches.map(tranche => [tranche.name, tranche.amount])),
           totalDebt,
           equityContribution,
           totalSources: totalDebt + equityContribution
@@ -63,56 +120,131 @@ class LBOModel {
         }
       };
 
-      // Financial Projections
-      let currentRevenue = dealParams.baseRevenue || ebitda / (ebitdaMargin[0] || 0.2);
-      let currentDebt = totalDebt;
+      // Financial Projections: period 0 is the pro forma closing year, then one row per period
+      const periods = buildPeriods({
+        holdPeriod: assumptions.holdPeriod,
+        periodicity: dealParams.periodicity,
+        entryDate: dealParams.entryDate,
+        exitDate: dealParams.exitDate,
+        fiscalYearEnd: dealParams.fiscalYearEnd
+      });
+      const closingPeriod = { index: 0, year: 0, fraction: 1, start: 0, end: 0, startDate: null, endDate: periods[0].startDate };
+      const taxRate = dealParams.taxRate || 0.25;
+
+      // Annualized revenue; each period compounds its own year's growth over its fraction of a year
+      let runRateRevenue = dealParams.baseRevenue || ebitda / driverFor(ebitdaMargin, 0, 0.2);
+
+      for (const period of [closingPeriod, ...periods]) {
+        const { index, year, fraction } = period;
+        if (index > 0) {
+          runRateRevenue *= Math.pow(1 + driverFor(revenueGrowth, year - 1, 0), fraction);
+        }
 
-      for (let year = 0; year <= this.holdPeriod; year++) {
-        const revenue = year === 0 ? currentRevenue : currentRevenue * Math.pow(1 + revenueGrowth[year - 1], year);
-        const ebitdaAmount = revenue * (ebitdaMargin[year] || ebitdaMargin[0]);
-        const capex = revenue * (capexAsPercentOfRevenue[year] || 0.03);
+        const margin = driverFor(ebitdaMargin, year, 0.2);
+        const revenue = runRateRevenue * fraction;
+        const ebitdaAmount = revenue * margin;
+        const runRateEbitda = runRateRevenue * margin;
+        const capex = revenue * driverFor(capexAsPercentOfRevenue, year, 0.03);
         const depreciation = capex; // Simplified assumption
         const ebit = ebitdaAmount - depreciation;
-        const interest = this.calculateInterestExpense(currentDebt, dealParams.interestRates || {});
-        const ebt = ebit - interest;
-        const taxes = Math.max(0, ebt * (dealParams.taxRate || 0.25));
+        const workingCapital = driverFor(workingCapitalChange, year, 0) * fraction;
+
+        // PIK interest is a non-cash charge
+        const cashFlowAfter = interest => {
+          const ebt = ebit - interest.total;
+          const netIncome = ebt - Math.max(0, ebt * taxRate);
+          return netIncome + depreciation + interest.pik - capex - workingCapital;
+        };
+
+        // Average-balance interest is circular (interest -> FCF -> paydown -> balance); no flows at closing
+        const circularity = debtSchedule.solveInterest(period, cashFlowAfter, {
+          convention: index === 0 ? 'opening' : assumptions.interestConvention,
+          tolerance: assumptions.circularityTolerance,
+          maxIterations: assumptions.maxCircularityIterations
+        });
+        const { interest } = circularity;
+        const ebt = ebit - interest.total;
+        const taxes = Math.max(0, ebt * taxRate);
         const netIncome = ebt - taxes;
-        
-        const freeCashFlow = netIncome + depreciation - capex - (workingCapitalChange[year] || 0);
-        const debtPaydown = Math.max(0, freeCashFlow * (dealParams.debtPaydownRate || 0.5));
-        const cashToSponsor = freeCashFlow - debtPaydown;
-        
-        currentDebt = Math.max(0, currentDebt - debtPaydown);
+        const freeCashFlow = cashFlowAfter(interest);
+
+        // The closing year shows pro forma interest for credit stats but no cash moves
+        let debtService = {
+          mandatoryRepayment: 0,
+          sweepRepayment: 0,
+          revolverDrawdown: 0,
+          fundingShortfall: 0,
+          cashAfterDebtService: 0,
+          closingDebt: debtSchedule.totalDebt
+        };
+        if (index === 0) {
+          debtSchedule.hold(interest);
+        } else {
+          debtService = debtSchedule.close(interest, freeCashFlow);
+        }
+
+        const currentDebt = debtService.closingDebt;
+        const debtPaydown = debtService.mandatoryRepayment + debtService.sweepRepayment - debtService.revolverDrawdown;
+        const cashToSponsor = debtService.cashAfterDebtService;
 
         results.projections.push({
+          period: index,
           year,
+          fraction,
+          startDate: period.startDate,
+          endDate: period.endDate,
           revenue,
           ebitda: ebitdaAmount,
+          runRateEbitda,
           ebit,
+          interestExpense: interest.total,
+          cashInterest: interest.cash,
+          pikInterest: interest.pik,
           netIncome,
           freeCashFlow,
           debtBalance: currentDebt,
+          mandatoryRepayment: debtService.mandatoryRepayment,
+          sweepRepayment: debtService.sweepRepayment,
+          revolverDrawdown: debtService.revolverDrawdown,
+          fundingShortfall: debtService.fundingShortfall,
           debtPaydown,
           cashToSponsor,
+          circularity: {
+            iterations: circularity.iterations,
+            residual: circularity.residual,
+            converged: circularity.converged
+          },
+          // Ratios with a zero or negative denominator are reported as null rather than Infinity
           creditMetrics: {
-            debtToEbitda: currentDebt / ebitdaAmount,
-            ebitdaToInterest: ebitdaAmount / interest,
-            fcfToDebt: freeCashFlow / currentDebt
+            debtToEbitda: runRateEbitda > 0 ? currentDebt / runRateEbitda : null,
+            ebitdaToInterest: interest.total > 0 ? ebitdaAmount / interest.total : null,
+            fcfToDebt: currentDebt > 0 ? (freeCashFlow / fraction) / currentDebt : null
           }
         });
       }
 
-      // Exit Analysis
-      const exitEbitda = results.projections[this.holdPeriod].ebitda;
+      results.debtSchedule = debtSchedule.toJSON();
+
+      // Exit Analysis at the run-rate EBITDA of the final period
+      const exitPeriod = results.projections[results.projections.length - 1];
+      const exitEbitda = exitPeriod.runRateEbitda;
       const exitEnterpriseValue = exitEbitda * exitMultiple;
-      const exitDebt = results.projections[this.holdPeriod].debtBalance;
+      const exitDebt = exitPeriod.debtBalance;
       const exitEquityValue = exitEnterpriseValue - exitDebt;
       
       // Return Calculations
       const totalCashDistributed = results.projections.slice(1).reduce((sum, p) => sum + p.cashToSponsor, 0);
       const totalCashReturned = totalCashDistributed + exitEquityValue;
       const totalMultiple = totalCashReturned / equityContribution;
-      const irr = this.calculateIRR(equityContribution, results.projections.slice(1).map(p => p.cashToSponsor), exitEquityValue);
+      const sponsorFlows = [-equityContribution, ...results.projections.slice(1).map(p => p.cashToSponsor)];
+      sponsorFlows[sponsorFlows.length - 1] += exitEquityValue;
+      const sponsorTimes = [0, ...periods.map(p => p.end)];
+      // Nothing ever comes back to the sponsor: a total loss, reported as -100%
+      const irrResult = countSignChanges(sponsorFlows) > 0
+        ? internalRateOfReturn(sponsorFlows, sponsorTimes, { guess: 0.15 })
+        : { rate: -1, method: null, roots: [], warnings: [] };
+      const irr = irrResult.rate;
+      results.warnings.push(...irrResult.warnings);
 
       results.returns = {
         entryEquity: equityContribution,
@@ -121,37 +253,260 @@ class LBOModel {
         totalCashReturned,
         totalMultiple,
         irr,
+        irrMethod: irrResult.method,
+        irrRoots: irrResult.roots,
+        // Every dollar is realized at exit, so DPI and TVPI both equal the multiple
+        moic: totalMultiple,
+        dpi: totalMultiple,
+        tvpi: totalMultiple,
+        npvAtTargetIRR: npv(assumptions.targetIRR, sponsorFlows, sponsorTimes),
         exitMultiple,
-        exitEbitda
+        exitEbitda,
+        holdPeriodYears: periods[periods.length - 1].end,
+        periodicity: dealParams.periodicity || 'annual',
+        entryDate: periods[0].startDate,
+        exitDate: exitPeriod.endDate
       };
 
       // Key Credit Metrics
-      const maxDebtToEbitda = Math.max(...results.projections.map(p => p.creditMetrics.debtToEbitda));
-      const minEbitdaToInterest = Math.min(...results.projections.map(p => p.creditMetrics.ebitdaToInterest));
+      const metricValues = metric => results.projections.map(p => p.creditMetrics[metric]).filter(v => v !== null);
+      const leverageValues = metricValues('debtToEbitda');
+      const coverageValues = metricValues('ebitdaToInterest');
+      const maxDebtToEbitda = leverageValues.length > 0 ? Math.max(...leverageValues) : null;
+      const minEbitdaToInterest = coverageValues.length > 0 ? Math.min(...coverageValues) : null;
 
       results.creditMetrics = {
         entryDebtToEbitda: totalDebt / ebitda,
         maxDebtToEbitda,
         minEbitdaToInterest,
         debtPaydownOverHoldPeriod: totalDebt - exitDebt,
-        debtPaydownPercent: (totalDebt - exitDebt) / totalDebt
+        debtPaydownPercent: totalDebt > 0 ? (totalDebt - exitDebt) / totalDebt : null,
+        fundingShortfall: results.projections.reduce((sum, p) => sum + p.fundingShortfall, 0),
+        impliedRating: this.impliedRating(enterpriseValue, totalDebt, assumptions, periods[periods.length - 1].end)
       };
 
       // Key Metrics Summary
       results.keyMetrics = {
-        meetsTaxgetIRR: irr >= this.targetIRR,
-        leverageWithinLimits: maxDebtToEbitda <= this.maxDebtMultiple,
-        adequateEquityBuffer: (equityContribution / enterpriseValue) >= this.minEquityContribution,
-        riskAdjustedReturn: irr / (maxDebtToEbitda / 6.0) // Risk-adjusted IRR
+        meetsTaxgetIRR: irr >= assumptions.targetIRR,
+        leverageWithinLimits: maxDebtToEbitda !== null && maxDebtToEbitda <= assumptions.maxDebtMultiple,
+        adequateEquityBuffer: (equityContribution / enterpriseValue) >= assumptions.minEquityContribution,
+        riskAdjustedReturn: maxDebtToEbitda > 0 ? irr / (maxDebtToEbitda / 6.0) : null // Risk-adjusted IRR
       };
 
+      results.warnings.push(...this.resultWarnings(results, assumptions));
+
       return results;
     } catch (error) {
       console.error('LBO calculation error:', error);
-      throw new Error(`LBO calculation failed: ${error.message}`);
+      throw ModelError.wrap(error, 'LBO calculation failed');
+    }
+  }
+
+  /**
+   * Merton rating band at entry: the purchase price is the asset value and all of the
+   * acquisition debt is the default point, since LBO debt is mostly term debt that
+   * covenants make callable well before maturity. Default is measured over the hold
+   * period and annualized for the band.
+   * @param {number} horizon - Hold length in years; the dated hold when entry and exit dates are given
+   * @returns {Object|null} { band, probabilityOfDefault, annualPD, distanceToDefault, horizon }, null without debt
+   */
+  impliedRating(enterpriseValue, totalDebt, assumptions = this.resolveAssumptions(), horizon = assumptions.holdPeriod) {
+    if (!(totalDebt > 0)) return null;
+    const credit = new CreditRiskModel();
+    const { distanceToDefault, probabilityOfDefault } = credit.distanceToDefault({
+      assetValue: enterpriseValue,
+      assetVolatility: assumptions.assetVolatility,
+      defaultPoint: totalDebt,
+      drift: assumptions.riskFreeRate,
+      horizon
+    });
+    const { band, annualPD } = credit.impliedRating(probabilityOfDefault, horizon);
+    return { band, probabilityOfDefault, annualPD, distanceToDefault, horizon };
+  }
+
+  /**
+   * Highest purchase price (enterprise value) that still earns the target IRR, holding
+   * the debt package, fees and operating assumptions fixed
+   * @param {Object} dealParams - LBO deal parameters; enterpriseValue is the starting point
+   * @param {Object} options - { lower, upper, method: 'brent'|'bisection', tolerance, assumptions }
+   * @returns {Object} Maximum price, implied entry multiple and the returns at that price
+   */
+  maxPurchasePrice(dealParams, options = {}) {
+    const assumptions = this.resolveAssumptions(options.assumptions);
+    const base = this.calculateLBO(dealParams, assumptions);
+    const { totalDebt } = base.sourceAndUses.sources;
+    const fees = dealParams.fees || 0;
+    const targetIRR = assumptions.targetIRR;
+
+    // IRR falls as the price rises; keep at least 5% of the price as equity at the low end
+    const minimumPrice = totalDebt - fees;
+    const lower = options.lower ?? Math.max(dealParams.enterpriseValue * 0.5, minimumPrice + dealParams.enterpriseValue * 0.05);
+    let upper = options.upper ?? dealParams.enterpriseValue * 2;
+    if (!(lower > minimumPrice)) {
+      const message = `lower bound must exceed ${minimumPrice} so that the sponsor contributes equity`;
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, message, [{ path: 'lower', message }]);
+    }
+
+    let evaluations = 0;
+    const irrAt = enterpriseValue => {
+      evaluations++;
+      return this.calculateLBO({ ...dealParams, enterpriseValue }, assumptions).returns.irr;
+    };
+
+    // Widen the default upper bound until the target is bracketed
+    if (options.upper === undefined) {
+      for (let i = 0; i < 6 && irrAt(upper) > targetIRR; i++) {
+        upper *= 2;
+      }
+    }
+
+    const solution = solveFor(irrAt, targetIRR, {
+      lower,
+      upper,
+      method: options.method,
+      tolerance: options.tolerance ?? dealParams.enterpriseValue * 1e-9
+    });
+    const atMax = this.calculateLBO({ ...dealParams, enterpriseValue: solution.root }, assumptions);
+
+    return {
+      targetIRR,
+      maxPurchasePrice: solution.root,
+      impliedEntryMultiple: solution.root / dealParams.ebitda,
+      premiumToAskingPrice: solution.root / dealParams.enterpriseValue - 1,
+      equityContribution: atMax.sourceAndUses.sources.equityContribution,
+      totalDebt,
+      irr: atMax.returns.irr,
+      totalMultiple: atMax.returns.totalMultiple,
+      method: solution.method,
+      bounds: { lower, upper },
+      iterations: solution.iterations,
+      evaluations,
+      converged: solution.converged,
+      warnings: solution.converged
+        ? atMax.warnings
+        : [...atMax.warnings, warning(WARNING_CODES.SOLVER_NOT_CONVERGED, `solver stopped after ${solution.iterations} iterations`, { path: 'enterpriseValue' })]
+    };
+  }
+
+  /**
+   * Validate deal parameters and model options, throwing a ModelError with details
+   * @param {Object} dealParams - LBO deal parameters
+   * @param {Object} assumptions - Resolved assumptions
+   */
+  validateInputs(dealParams, assumptions = this.resolveAssumptions()) {
+    if (!dealParams || typeof dealParams !== 'object') {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'dealParams object is required', [{ path: 'dealParams', message: 'dealParams object is required' }]);
+    }
+
+    const details = [];
+    checkNumber(details, dealParams.enterpriseValue, 'dealParams.enterpriseValue', { required: true, exclusiveMin: 0 });
+    checkNumber(details, dealParams.ebitda, 'dealParams.ebitda', { required: true, exclusiveMin: 0 });
+    checkNumber(details, dealParams.exitMultiple, 'dealParams.exitMultiple', { required: true, exclusiveMin: 0 });
+    checkNumber(details, dealParams.baseRevenue, 'dealParams.baseRevenue', { exclusiveMin: 0 });
+    checkNumber(details, dealParams.fees, 'dealParams.fees', { min: 0 });
+    checkNumber(details, dealParams.taxRate, 'dealParams.taxRate', { min: 0, max: 1 });
+    checkNumber(details, dealParams.cashSweep, 'dealParams.cashSweep', { min: 0, max: 1 });
+    checkNumber(details, dealParams.debtPaydownRate, 'dealParams.debtPaydownRate', { min: 0, max: 1 });
+    ['revolver', 'termLoanA', 'termLoanB', 'subordinatedDebt'].forEach(tranche =>
+      checkNumber(details, dealParams[tranche], `dealParams.${tranche}`, { min: 0 })
+    );
+    checkSeries(details, dealParams.revenueGrowth, 'dealParams.revenueGrowth', { min: -1 });
+    checkSeries(details, dealParams.ebitdaMargin, 'dealParams.ebitdaMargin');
+    checkSeries(details, dealParams.capexAsPercentOfRevenue, 'dealParams.capexAsPercentOfRevenue', { min: 0 });
+    checkSeries(details, dealParams.workingCapitalChange, 'dealParams.workingCapitalChange');
+    if (dealParams.tranches !== undefined) {
+      if (Array.isArray(dealParams.tranches)) {
+        DebtSchedule.validate(dealParams.tranches, { baseRates: dealParams.baseRates }).forEach(message => details.push({ path: 'dealParams.tranches', message }));
+      } else {
+        details.push({ path: 'dealParams.tranches', message: 'dealParams.tranches must be an array' });
+      }
+    }
+    periodProblems({
+      holdPeriod: assumptions.holdPeriod,
+      periodicity: dealParams.periodicity,
+      entryDate: dealParams.entryDate,
+      exitDate: dealParams.exitDate,
+      fiscalYearEnd: dealParams.fiscalYearEnd
+    }).forEach(({ path, message }) => details.push({ path: path === 'holdPeriod' ? path : `dealParams.${path}`, message }));
+    assertValid(details, 'LBO inputs');
+
+    // Drive the implied rating's distance to default
+    const problems = [];
+    checkNumber(problems, assumptions.assetVolatility, 'assetVolatility', { exclusiveMin: 0 });
+    checkNumber(problems, assumptions.riskFreeRate, 'riskFreeRate');
+    if (problems.length > 0) {
+      throw new ModelError(ERROR_CODES.INVALID_ASSUMPTION, `Invalid LBO assumptions: ${problems.map(d => d.message).join('; ')}`, problems);
     }
   }
 
+  /**
+   * Flag defaulted and economically unusual deal assumptions
+   * @returns {Array} Warnings
+   */
+  assumptionWarnings(dealParams) {
+    const warnings = [];
+    const defaults = {
+      ebitdaMargin: 0.2,
+      capexAsPercentOfRevenue: 0.03,
+      workingCapitalChange: 0,
+      taxRate: 0.25
+    };
+    Object.entries(defaults)
+      .filter(([field]) => dealParams[field] === undefined || dealParams[field] === null)
+      .forEach(([field, value]) => warnings.push(warning(WARNING_CODES.DEFAULTED_VALUE, `dealParams.${field} not supplied; using ${value}`, {
+        path: `dealParams.${field}`,
+        value
+      })));
+
+    const entryMultiple = dealParams.enterpriseValue / dealParams.ebitda;
+    warnings.push(
+      ...plausibility(dealParams.revenueGrowth, 'dealParams.revenueGrowth', { min: -0.3, max: 0.5 }),
+      ...plausibility(dealParams.ebitdaMargin, 'dealParams.ebitdaMargin', { min: 0, max: 0.7 }),
+      ...plausibility(entryMultiple, 'entryMultiple', { min: 3, max: 25 }),
+      ...plausibility(dealParams.exitMultiple, 'dealParams.exitMultiple', {
+        min: entryMultiple * 0.5,
+        max: entryMultiple * 1.5,
+        reason: `relative to an entry multiple of ${entryMultiple.toFixed(1)}x`
+      })
+    );
+    return warnings;
+  }
+
+  /**
+   * Flag structural problems in a completed LBO
+   * @returns {Array} Warnings
+   */
+  resultWarnings(results, assumptions = this.resolveAssumptions()) {
+    const warnings = [];
+    const { entryDebtToEbitda, fundingShortfall } = results.creditMetrics;
+    const unconverged = results.projections.filter(p => !p.circularity.converged);
+
+    if (entryDebtToEbitda > assumptions.maxDebtMultiple) {
+      warnings.push(warning(WARNING_CODES.IMPLAUSIBLE_ASSUMPTION, `entry leverage of ${entryDebtToEbitda.toFixed(2)}x exceeds the ${assumptions.maxDebtMultiple}x limit`, {
+        path: 'creditMetrics.entryDebtToEbitda',
+        value: entryDebtToEbitda
+      }));
+    }
+    if (fundingShortfall > 0) {
+      warnings.push(warning(WARNING_CODES.FUNDING_SHORTFALL, `cash flow and revolver capacity fall ${fundingShortfall.toFixed(2)} short of debt service`, {
+        path: 'creditMetrics.fundingShortfall',
+        value: fundingShortfall
+      }));
+    }
+    if (unconverged.length > 0) {
+      warnings.push(warning(WARNING_CODES.CIRCULARITY_NOT_CONVERGED, `interest circularity did not converge in ${unconverged.length} period(s)`, {
+        periods: unconverged.map(p => p.period)
+      }));
+    }
+    if (results.returns.exitEquityValue < 0) {
+      warnings.push(warning(WARNING_CODES.IMPLAUSIBLE_ASSUMPTION, 'exit debt exceeds exit enterprise value; exit equity is negative', {
+        path: 'returns.exitEquityValue',
+        value: results.returns.exitEquityValue
+      }));
+    }
+    return warnings;
+  }
+
   /**
    * Calculate interest expense based on debt structure
    * @param {number} totalDebt - Total debt amount
@@ -168,55 +523,30 @@ class LBOModel {
   }
 
   /**
-   * Calculate IRR using Newton-Raphson method
+   * Calculate IRR (Newton-Raphson with a bracketing fallback, see utils/financialMath)
    * @param {number} initialInvestment - Initial equity investment
    * @param {Array} cashFlows - Annual cash flows
    * @param {number} terminalValue - Terminal cash flow
+   * @param {Array} times - Optional timing of each cash flow in years (defaults to 1, 2, ...)
    * @returns {number} IRR
    */
-  calculateIRR(initialInvestment, cashFlows, terminalValue) {
+  calculateIRR(initialInvestment, cashFlows, terminalValue, times = null) {
     const allCashFlows = [-initialInvestment, ...cashFlows];
     allCashFlows[allCashFlows.length - 1] += terminalValue;
+    const allTimes = [0, ...(times || cashFlows.map((_, i) => i + 1))];
 
-    let rate = 0.15; // Starting guess
-    let iteration = 0;
-    const maxIterations = 1000;
-    const tolerance = 1e-6;
-
-    while (iteration < maxIterations) {
-      let npv = 0;
-      let npvDerivative = 0;
-
-      for (let i = 0; i < allCashFlows.length; i++) {
-        const denominator = Math.pow(1 + rate, i);
-        npv += allCashFlows[i] / denominator;
-        npvDerivative -= i * allCashFlows[i] / Math.pow(1 + rate, i + 1);
-      }
-
-      if (Math.abs(npv) < tolerance) break;
-
-      if (Math.abs(npvDerivative) < tolerance) {
-        throw new Error('IRR calculation failed: derivative too small');
-      }
-
-      rate = rate - npv / npvDerivative;
-      iteration++;
-    }
-
-    if (iteration >= maxIterations) {
-      throw new Error('IRR calculation failed: maximum iterations reached');
-    }
-
-    return rate;
+    return internalRateOfReturn(allCashFlows, allTimes, { guess: 0.15 }).rate;
   }
 
   /**
    * Perform sensitivity analysis on key variables
    * @param {Object} dealParams - Base deal parameters
    * @param {Object} sensitivityRanges - Ranges for sensitivity variables
+   * @param {Object} overrides - Assumptions for this call only (see resolveAssumptions)
    * @returns {Object} Sensitivity analysis results
    */
-  sensitivityAnalysis(dealParams, sensitivityRanges = {}) {
+  sensitivityAnalysis(dealParams, sensitivityRanges = {}, overrides = {}) {
+    const assumptions = this.resolveAssumptions(overrides);
     const exitMultiples = sensitivityRanges.exitMultiples || [8, 9, 10, 11, 12];
     const revenueGrowthRates = sensitivityRanges.revenueGrowthRates || [0.03, 0.05, 0.07, 0.09, 0.11];
     
@@ -227,11 +557,11 @@ class LBOModel {
         const modifiedParams = {
           ...dealParams,
           exitMultiple,
-          revenueGrowth: Array(this.holdPeriod).fill(revenueGrowth)
+          revenueGrowth: Array(assumptions.holdPeriod).fill(revenueGrowth)
         };
 
         try {
-          const lboResult = this.calculateLBO(modifiedParams);
+          const lboResult = this.calculateLBO(modifiedParams, assumptions);
           results.push({
             exitMultiple,
             revenueGrowth,
@@ -253,15 +583,48 @@ class LBOModel {
    * @param {Object} dealParams - Base deal parameters
    * @param {Object} distributions - Probability distributions for key variables
    * @param {number} simulations - Number of simulations
+   * @param {Object} options - { correlation, seed, antithetic, random, histogramBins, assumptions }
    * @returns {Object} Monte Carlo results
    */
-  monteCarioLBO(dealParams, distributions, simulations = 5000) {
+  monteCarioLBO(dealParams, distributions, simulations = 5000, options = {}) {
+    const assumptions = this.resolveAssumptions(options.assumptions);
+    const histogramBins = options.histogramBins || 30;
+    const random = createRandom(options);
     const results = [];
+    const correlatedSamples = [];
+    let failedSimulations = 0;
+
+    const errors = this.validateDistributions(distributions, options.correlation);
+    if (errors.length > 0) {
+      throw new ModelError(
+        ERROR_CODES.INVALID_INPUT,
+        `Invalid distributions: ${errors.join('; ')}`,
+        errors.map(message => ({ path: 'distributions', message }))
+      );
+    }
+
+    // Errors in the base deal (bad inputs, no sponsor equity) apply to every path
+    this.calculateLBO(dealParams, assumptions);
+
+    const sampler = options.correlation ? new CorrelatedSampler(options.correlation) : null;
 
     for (let i = 0; i < simulations; i++) {
+      if (random.nextPath) random.nextPath();
+
+      // One correlated vector per projection year; the exit multiple uses the first one
+      const periodUniforms = sampler
+        ? Array(assumptions.holdPeriod + 1).fill(null).map(() => sampler.draw(random))
+        : null;
+
       try {
-        const randomParams = this.generateRandomLBOParams(dealParams, distributions);
-        const lboResult = this.calculateLBO(randomParams);
+        const randomParams = this.generateRandomLBOParams(dealParams, distributions, random, periodUniforms, assumptions);
+        if (sampler) {
+          correlatedSamples.push(sampler.drivers.map(driver => (
+            Array.isArray(randomParams[driver]) ? randomParams[driver][0] : randomParams[driver]
+          )));
+        }
+
+        const lboResult = this.calculateLBO(randomParams, assumptions);
         
         results.push({
           irr: lboResult.returns.irr,
@@ -270,17 +633,35 @@ class LBOModel {
           exitEquityValue: lboResult.returns.exitEquityValue
         });
       } catch (error) {
+        failedSimulations++;
         console.warn(`Monte Carlo simulation ${i} failed:`, error.message);
       }
     }
 
     // Calculate statistics
-    const irrs = results.map(r => r.irr).filter(v => !isNaN(v));
-    const multiples = results.map(r => r.totalMultiple).filter(v => !isNaN(v));
-    const leverages = results.map(r => r.maxLeverage).filter(v => !isNaN(v));
+    const irrs = results.map(r => r.irr).filter(Number.isFinite);
+    const multiples = results.map(r => r.totalMultiple).filter(Number.isFinite);
+    const leverages = results.map(r => r.maxLeverage).filter(Number.isFinite);
+
+    const warnings = [];
+    if (failedSimulations > 0) {
+      warnings.push(warning(WARNING_CODES.DROPPED_SIMULATIONS, `${failedSimulations} simulation(s) dropped: LBO failed for the drawn inputs`, {
+        count: failedSimulations,
+        reason: 'calculation failed'
+      }));
+    }
+    if (irrs.length === 0) {
+      throw new ModelError(ERROR_CODES.CALCULATION_FAILED, `Monte Carlo LBO produced no usable simulations${warnings.length ? `: ${warnings[0].message}` : ''}`);
+    }
 
     return {
       simulations: results.length,
+      droppedSimulations: {
+        failed: failedSimulations
+      },
+      warnings: [...this.assumptionWarnings(dealParams), ...warnings],
+      seed: random.seed ?? null,
+      antithetic: Boolean(random.antithetic),
       irr: {
         mean: stats.mean(irrs),
         median: stats.median(irrs),
@@ -300,50 +681,87 @@ class LBOModel {
         median: stats.median(leverages),
         std: stats.standardDeviation(leverages)
       },
-      probabilityOfTargetIRR: irrs.filter(irr => irr >= this.targetIRR).length / irrs.length,
+      probabilityOfTargetIRR: irrs.filter(irr => irr >= assumptions.targetIRR).length / irrs.length,
+      correlation: sampler ? {
+        drivers: sampler.drivers,
+        target: sampler.target,
+        realized: realizedCorrelation(correlatedSamples), // measured on first-year draws
+        samples: correlatedSamples.length
+      } : null,
+      histogram: {
+        irr: histogram(irrs, histogramBins),
+        multiple: histogram(multiples, histogramBins)
+      },
       results: results.slice(0, 100) // First 100 results for detailed analysis
     };
   }
 
-  generateRandomLBOParams(baseParams, distributions) {
+  generateRandomLBOParams(baseParams, distributions, random = createRandom(), periodUniforms = null, assumptions = this.resolveAssumptions()) {
     const randomParams = { ...baseParams };
+    const uniformFor = (driver, period) => {
+      const correlated = periodUniforms ? periodUniforms[period] : null;
+      return (correlated && correlated[driver]) ?? random.uniform();
+    };
     
     // Generate random exit multiple
     if (distributions.exitMultiple) {
-      randomParams.exitMultiple = this.normalRandom(
-        distributions.exitMultiple.mean,
-        distributions.exitMultiple.std
+      randomParams.exitMultiple = sampleFromUniform(
+        this.toDistribution(distributions.exitMultiple),
+        uniformFor('exitMultiple', 0)
       );
     }
     
     // Generate random revenue growth
     if (distributions.revenueGrowth) {
-      randomParams.revenueGrowth = Array(this.holdPeriod).fill(null).map(() =>
-        this.normalRandom(
-          distributions.revenueGrowth.mean,
-          distributions.revenueGrowth.std
-        )
+      const spec = this.toDistribution(distributions.revenueGrowth);
+      randomParams.revenueGrowth = Array(assumptions.holdPeriod).fill(null).map((_, year) =>
+        sampleFromUniform(spec, uniformFor('revenueGrowth', year))
       );
     }
     
     // Generate random EBITDA margins
     if (distributions.ebitdaMargin) {
-      randomParams.ebitdaMargin = Array(this.holdPeriod + 1).fill(null).map(() =>
-        this.normalRandom(
-          distributions.ebitdaMargin.mean,
-          distributions.ebitdaMargin.std
-        )
+      const spec = this.toDistribution(distributions.ebitdaMargin);
+      randomParams.ebitdaMargin = Array(assumptions.holdPeriod + 1).fill(null).map((_, year) =>
+        sampleFromUniform(spec, uniformFor('ebitdaMargin', year))
       );
     }
     
     return randomParams;
   }
 
-  normalRandom(mean, std) {
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z0 * std;
+  /**
+   * Accept either a typed distribution spec or the legacy { mean, std } normal shorthand
+   */
+  toDistribution(distribution) {
+    return distribution.type ? distribution : { type: 'normal', mean: distribution.mean, std: distribution.std };
+  }
+
+  /**
+   * Check Monte Carlo distributions and an optional driver correlation spec
+   * @returns {Array} Validation error messages (empty when valid)
+   */
+  validateDistributions(distributions = {}, correlation = null) {
+    const errors = [];
+
+    SIMULATED_DRIVERS.forEach(driver => {
+      if (!distributions[driver]) return;
+      const error = validateDistribution(this.toDistribution(distributions[driver]));
+      if (error) errors.push(`${driver}: ${error}`);
+    });
+
+    if (correlation) {
+      errors.push(...validateCorrelation(correlation, SIMULATED_DRIVERS));
+      (correlation.drivers || [])
+        .filter(driver => SIMULATED_DRIVERS.includes(driver) && !distributions[driver])
+        .forEach(driver => errors.push(`correlated driver ${driver} needs a distribution`));
+    }
+
+    return errors;
+  }
+
+  normalRandom(mean, std, random = createRandom()) {
+    return random.normal(mean, std);
   }
 }
 
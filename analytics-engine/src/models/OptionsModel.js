@@ -0,0 +1,393 @@
+const { normalCDF, normalPDF } = require('../utils/statistics');
+const { solveFor } = require('../utils/solvers');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  assertValid
+} = require('../utils/validation');
+
+/**
+ * Option pricing: Black-Scholes-Merton for European options and a Cox-Ross-Rubinstein
+ * binomial tree for American (or European) options.
+ *
+ * Rates and the dividend yield are continuously compounded; times are in years.
+ * Discrete cash dividends use the escrowed-dividend approach: their present value
+ * is taken off the spot before the volatility is applied.
+ *
+ * Greeks are quoted the way dealers quote them: vega and rho per 1 percentage
+ * point change, theta per calendar day.
+ */
+
+const OPTION_TYPES = ['call', 'put'];
+const STYLES = ['european', 'american'];
+const DAYS_PER_YEAR = 365;
+const SECONDS_PER_YEAR = DAYS_PER_YEAR * 24 * 60 * 60;
+
+// Volatility search range for implied volatility (0.01% to 500%)
+const MIN_VOLATILITY = 1e-4;
+const MAX_VOLATILITY = 5;
+
+class OptionsModel {
+  constructor(options = {}) {
+    this.steps = options.steps || 200; // binomial steps for pricing
+    this.volatilityBump = options.volatilityBump || 0.01;
+    this.rateBump = options.rateBump || 0.0001;
+  }
+
+  /**
+   * Price an option and its Greeks with the model that fits its exercise style
+   * @param {Object} params - { type, style, spot, strike, time, rate, volatility, dividendYield, dividends: [{ time, amount }], steps }
+   * @returns {Object} { price, delta, gamma, vega, theta, rho, model }
+   */
+  price(params) {
+    const style = params.style || 'european';
+    return style === 'american' ? this.binomial(params) : this.blackScholes(params);
+  }
+
+  /**
+   * Black-Scholes-Merton price and closed-form Greeks of a European option
+   * @param {Object} params - { type, spot, strike, time, rate, volatility, dividendYield, dividends }
+   * @returns {Object} { price, delta, gamma, vega, theta, rho, model }
+   */
+  blackScholes(params) {
+    this.validateParams(params);
+    const { type, strike, time, rate, volatility, dividendYield = 0 } = params;
+    const spot = params.spot - this.dividendPresentValue(params.dividends, time, rate);
+
+    const sqrtTime = Math.sqrt(time);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + volatility * volatility / 2) * time) / (volatility * sqrtTime);
+    const d2 = d1 - volatility * sqrtTime;
+    const carry = Math.exp(-dividendYield * time);
+    const discount = Math.exp(-rate * time);
+    const sign = type === 'call' ? 1 : -1;
+
+    const price = sign * (spot * carry * normalCDF(sign * d1) - strike * discount * normalCDF(sign * d2));
+    const gamma = carry * normalPDF(d1) / (spot * volatility * sqrtTime);
+    const vega = spot * carry * normalPDF(d1) * sqrtTime;
+    const theta = -spot * carry * normalPDF(d1) * volatility / (2 * sqrtTime)
+      - sign * rate * strike * discount * normalCDF(sign * d2)
+      + sign * dividendYield * spot * carry * normalCDF(sign * d1);
+    const rho = sign * strike * time * discount * normalCDF(sign * d2);
+
+    return {
+      model: 'black-scholes',
+      price,
+      delta: sign * carry * normalCDF(sign * d1),
+      gamma,
+      vega: vega / 100,
+      theta: theta / DAYS_PER_YEAR,
+      rho: rho / 100
+    };
+  }
+
+  /**
+   * Cox-Ross-Rubinstein binomial price; delta, gamma and theta come from the tree,
+   * vega and rho from central differences. Exercise is American unless style is 'european'.
+   * @param {Object} params - { type, style, spot, strike, time, rate, volatility, dividendYield, dividends, steps }
+   * @returns {Object} { price, delta, gamma, vega, theta, rho, model, steps }
+   */
+  binomial(params) {
+    this.validateParams(params);
+    const tree = this.binomialTree(params);
+    const { volatility, rate } = params;
+
+    const bumpedVolatility = Math.min(this.volatilityBump, volatility / 2);
+    const vega = (this.binomialTree({ ...params, volatility: volatility + bumpedVolatility }).price
+      - this.binomialTree({ ...params, volatility: volatility - bumpedVolatility }).price) / (2 * bumpedVolatility);
+    const rho = (this.binomialTree({ ...params, rate: rate + this.rateBump }).price
+      - this.binomialTree({ ...params, rate: rate - this.rateBump }).price) / (2 * this.rateBump);
+
+    return {
+      model: 'binomial',
+      steps: tree.steps,
+      price: tree.price,
+      delta: tree.delta,
+      gamma: tree.gamma,
+      vega: vega / 100,
+      theta: tree.theta / DAYS_PER_YEAR,
+      rho: rho / 100
+    };
+  }
+
+  /**
+   * Backward induction through the CRR tree
+   * @returns {Object} { price, delta, gamma, theta (per year), steps }
+   */
+  binomialTree(params) {
+    const { type, strike, time, rate, volatility, dividendYield = 0, dividends = [] } = params;
+    const style = params.style || 'american';
+    const steps = Math.max(params.steps || this.steps, 3);
+    const dt = time / steps;
+    const up = Math.exp(volatility * Math.sqrt(dt));
+    const down = 1 / up;
+    const growth = Math.exp((rate - dividendYield) * dt);
+    const probability = (growth - down) / (up - down);
+    const discount = Math.exp(-rate * dt);
+
+    if (!(probability > 0 && probability < 1)) {
+      throw new ModelError(
+        ERROR_CODES.INVALID_INPUT,
+        `binomial tree with ${steps} steps has no valid risk-neutral probability; increase steps or check rate and volatility`,
+        [{ path: 'steps', message: 'too few steps for this rate and volatility' }]
+      );
+    }
+
+    // Tree on the spot net of escrowed dividends; dividends still to come are added back at each node
+    const escrowed = params.spot - this.dividendPresentValue(dividends, time, rate);
+    const remainingDividends = step => this.dividendPresentValue(
+      dividends.filter(dividend => dividend.time > step * dt).map(dividend => ({ ...dividend, time: dividend.time - step * dt })),
+      time - step * dt,
+      rate
+    );
+    const sign = type === 'call' ? 1 : -1;
+    const payoff = stockPrice => Math.max(sign * (stockPrice - strike), 0);
+    const stockAt = (step, ups, pending) => escrowed * Math.pow(up, 2 * ups - step) + pending;
+
+    let values = Array.from({ length: steps + 1 }, (_, ups) => payoff(stockAt(steps, ups, 0)));
+    const saved = {};
+
+    for (let step = steps - 1; step >= 0; step--) {
+      const pending = remainingDividends(step);
+      const next = new Array(step + 1);
+      for (let ups = 0; ups <= step; ups++) {
+        const continuation = discount * (probability * values[ups + 1] + (1 - probability) * values[ups]);
+        next[ups] = style === 'american' ? Math.max(continuation, payoff(stockAt(step, ups, pending))) : continuation;
+      }
+      values = next;
+      if (step <= 2) {
+        saved[step] = { values, prices: values.map((_, ups) => stockAt(step, ups, pending)) };
+      }
+    }
+
+    const [one, two] = [saved[1], saved[2]];
+    const delta = (one.values[1] - one.values[0]) / (one.prices[1] - one.prices[0]);
+    const upperDelta = (two.values[2] - two.values[1]) / (two.prices[2] - two.prices[1]);
+    const lowerDelta = (two.values[1] - two.values[0]) / (two.prices[1] - two.prices[0]);
+    const gamma = (upperDelta - lowerDelta) / ((two.prices[2] - two.prices[0]) / 2);
+
+    return {
+      price: values[0],
+      delta,
+      gamma,
+      theta: (two.values[1] - values[0]) / (2 * dt),
+      steps
+    };
+  }
+
+  /**
+   * Volatility at which the model reproduces a market price (Brent's method)
+   * @param {number} marketPrice - Observed option price
+   * @param {Object} params - Option parameters without volatility
+   * @param {Object} options - { tolerance }
+   * @returns {Object} { volatility, iterations, converged }
+   */
+  impliedVolatility(marketPrice, params, options = {}) {
+    const details = [];
+    checkNumber(details, marketPrice, 'marketPrice', { required: true, exclusiveMin: 0 });
+    checkNumber(details, params.time, 'time', { required: true, exclusiveMin: 0 });
+    assertValid(details, 'implied volatility inputs');
+
+    const style = params.style || 'european';
+    const priceAt = volatility => (style === 'american'
+      ? this.binomialTree({ ...params, volatility }).price
+      : this.blackScholes({ ...params, volatility }).price);
+
+    // The CRR tree needs volatility * sqrt(dt) above the drift per step to keep its probabilities in (0, 1)
+    const steps = Math.max(params.steps || this.steps, 3);
+    const lower = style === 'american'
+      ? Math.max(MIN_VOLATILITY, 1.01 * Math.abs(params.rate - (params.dividendYield || 0)) * Math.sqrt(params.time / steps))
+      : MIN_VOLATILITY;
+
+    try {
+      const solution = solveFor(priceAt, marketPrice, {
+        lower,
+        upper: MAX_VOLATILITY,
+        tolerance: options.tolerance || 1e-6
+      });
+      return { volatility: solution.root, iterations: solution.iterations, converged: solution.converged };
+    } catch (error) {
+      if (error.code !== ERROR_CODES.TARGET_NOT_BRACKETED) throw error;
+      const low = priceAt(lower);
+      throw new ModelError(
+        ERROR_CODES.TARGET_NOT_BRACKETED,
+        marketPrice < low
+          ? `market price ${marketPrice} is below the option's no-arbitrage value ${low.toFixed(4)}`
+          : `market price ${marketPrice} is above the model price at ${MAX_VOLATILITY * 100}% volatility`,
+        [{ path: 'marketPrice', message: 'no volatility reproduces this price' }]
+      );
+    }
+  }
+
+  /**
+   * Implied volatility and Greeks for every contract in a Yahoo options chain.
+   * Contracts are inverted with Black-Scholes unless style is 'american'.
+   * @param {Object} chain - Result of YahooFinanceAPI.getOptionsChain
+   * @param {Object} options - { style, dividendYield, dividends, riskFreeRate, riskFreeCurve: [{ time, rate }], valuationDate, steps }
+   * @returns {Object} { underlyingSymbol, spot, valuationDate, style, dividendYield, expirations, pricedContracts, failedContracts, warnings }
+   */
+  priceChain(chain, options = {}) {
+    try {
+      const spot = chain && chain.quote && chain.quote.regularMarketPrice;
+      if (!(spot > 0) || !Array.isArray(chain.options)) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'options chain needs quote.regularMarketPrice and an options array', [
+          { path: 'chain', message: 'not a Yahoo options chain' }
+        ]);
+      }
+      if (!Number.isFinite(options.riskFreeRate) && !(Array.isArray(options.riskFreeCurve) && options.riskFreeCurve.length > 0)) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'a riskFreeRate or riskFreeCurve is required', [
+          { path: 'riskFreeRate', message: 'riskFreeRate or riskFreeCurve is required' }
+        ]);
+      }
+
+      const style = options.style || 'european';
+      const dividendYield = options.dividendYield ?? chain.quote.trailingAnnualDividendYield ?? 0;
+      const valuationDate = options.valuationDate ? new Date(options.valuationDate) : new Date();
+      const now = valuationDate.getTime() / 1000;
+      let priced = 0;
+      let failed = 0;
+
+      const expirations = chain.options.map(expiry => {
+        const time = (expiry.expirationDate - now) / SECONDS_PER_YEAR;
+        const rate = Number.isFinite(options.riskFreeRate) ? options.riskFreeRate : this.rateForTime(options.riskFreeCurve, time);
+        const dividends = (options.dividends || [])
+          .map(dividend => ({ amount: dividend.amount, time: (new Date(dividend.date).getTime() / 1000 - now) / SECONDS_PER_YEAR }))
+          .filter(dividend => dividend.time > 0 && dividend.time < time);
+
+        const priceContracts = (contracts, type) => (contracts || []).map(contract => {
+          const row = this.priceContract(contract, { type, style, spot, time, rate, dividendYield, dividends, steps: options.steps });
+          if (row.error) failed++;
+          else priced++;
+          return row;
+        });
+
+        return {
+          expirationDate: new Date(expiry.expirationDate * 1000).toISOString().split('T')[0],
+          timeToExpiry: time,
+          riskFreeRate: rate,
+          calls: priceContracts(expiry.calls, 'call'),
+          puts: priceContracts(expiry.puts, 'put')
+        };
+      });
+
+      return {
+        underlyingSymbol: chain.underlyingSymbol || chain.quote.symbol || null,
+        spot,
+        valuationDate: valuationDate.toISOString(),
+        style,
+        dividendYield,
+        expirations,
+        pricedContracts: priced,
+        failedContracts: failed,
+        warnings: failed > 0
+          ? [warning(WARNING_CODES.FAILED_SCENARIOS, `${failed} of ${priced + failed} contract(s) could not be priced; see each contract's error`, { count: failed })]
+          : []
+      };
+    } catch (error) {
+      console.error('Options chain pricing error:', error);
+      throw ModelError.wrap(error, 'Options chain pricing failed');
+    }
+  }
+
+  /**
+   * Market price, implied volatility and Greeks at that volatility for one chain contract.
+   * The market price is the bid/ask midpoint, or the last trade when there is no two-sided quote.
+   */
+  priceContract(contract, params) {
+    const { bid, ask, lastPrice } = contract;
+    const hasQuote = bid > 0 && ask > 0 && ask >= bid;
+    const marketPrice = hasQuote ? (bid + ask) / 2 : (lastPrice > 0 ? lastPrice : null);
+    const row = {
+      contractSymbol: contract.contractSymbol,
+      type: params.type,
+      strike: contract.strike,
+      bid: bid ?? null,
+      ask: ask ?? null,
+      lastPrice: lastPrice ?? null,
+      volume: contract.volume ?? null,
+      openInterest: contract.openInterest ?? null,
+      marketPrice,
+      priceSource: hasQuote ? 'mid' : (marketPrice !== null ? 'last' : null),
+      providerImpliedVolatility: contract.impliedVolatility ?? null,
+      impliedVolatility: null,
+      modelPrice: null,
+      delta: null,
+      gamma: null,
+      vega: null,
+      theta: null,
+      rho: null,
+      error: null
+    };
+
+    try {
+      if (marketPrice === null) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'no bid/ask or last price to imply a volatility from');
+      }
+      if (params.time <= 0) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'contract has expired as of the valuation date');
+      }
+      const optionParams = { ...params, strike: contract.strike };
+      const { volatility } = this.impliedVolatility(marketPrice, optionParams);
+      const { price, delta, gamma, vega, theta, rho } = this.price({ ...optionParams, volatility });
+      return { ...row, impliedVolatility: volatility, modelPrice: price, delta, gamma, vega, theta, rho };
+    } catch (error) {
+      return { ...row, error: { code: error.code || ERROR_CODES.CALCULATION_FAILED, message: error.message } };
+    }
+  }
+
+  /**
+   * Risk-free rate for a maturity, interpolated linearly on a curve of { time, rate }
+   * points and held flat beyond its ends
+   */
+  rateForTime(curve, time) {
+    const points = [...curve].sort((a, b) => a.time - b.time);
+    if (time <= points[0].time) return points[0].rate;
+    const last = points[points.length - 1];
+    if (time >= last.time) return last.rate;
+
+    const upperIndex = points.findIndex(point => point.time >= time);
+    const lower = points[upperIndex - 1];
+    const upper = points[upperIndex];
+    return lower.rate + (upper.rate - lower.rate) * (time - lower.time) / (upper.time - lower.time);
+  }
+
+  /**
+   * Present value of the cash dividends paid before expiry
+   */
+  dividendPresentValue(dividends = [], time, rate) {
+    return (dividends || [])
+      .filter(dividend => dividend.time > 0 && dividend.time <= time)
+      .reduce((sum, dividend) => sum + dividend.amount * Math.exp(-rate * dividend.time), 0);
+  }
+
+  validateParams(params) {
+    const details = [];
+    if (!params || typeof params !== 'object') {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, 'option parameters are required', [{ path: 'option', message: 'option parameters are required' }]);
+    }
+    if (!OPTION_TYPES.includes(params.type)) {
+      details.push({ path: 'type', message: `type must be one of: ${OPTION_TYPES.join(', ')}` });
+    }
+    if (params.style !== undefined && !STYLES.includes(params.style)) {
+      details.push({ path: 'style', message: `style must be one of: ${STYLES.join(', ')}` });
+    }
+    checkNumber(details, params.spot, 'spot', { required: true, exclusiveMin: 0 });
+    checkNumber(details, params.strike, 'strike', { required: true, exclusiveMin: 0 });
+    checkNumber(details, params.time, 'time', { required: true, exclusiveMin: 0 });
+    checkNumber(details, params.rate, 'rate', { required: true });
+    checkNumber(details, params.volatility, 'volatility', { required: true, exclusiveMin: 0 });
+    checkNumber(details, params.dividendYield, 'dividendYield');
+    (params.dividends || []).forEach((dividend, i) => {
+      checkNumber(details, dividend.amount, `dividends[${i}].amount`, { required: true, min: 0 });
+      checkNumber(details, dividend.time, `dividends[${i}].time`, { required: true });
+    });
+    if (details.length === 0 && params.spot - this.dividendPresentValue(params.dividends, params.time, params.rate) <= 0) {
+      details.push({ path: 'dividends', message: 'dividends before expiry are worth more than the spot price' });
+    }
+    assertValid(details, 'option parameters');
+  }
+}
+
+module.exports = OptionsModel;
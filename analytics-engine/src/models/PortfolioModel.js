@@ -0,0 +1,429 @@
+const { Matrix, covariance, EigenvalueDecomposition } = require('ml-matrix');
+const stats = require('simple-statistics');
+const { buildReturnsMatrix, periodsPerYear } = require('../utils/timeSeries');
+const { ERROR_CODES, ModelError } = require('../utils/validation');
+
+// Infeasible or malformed optimization inputs are the caller's to fix
+function invalidInput(path, message) {
+  return new ModelError(ERROR_CODES.INVALID_INPUT, message, [{ path, message }]);
+}
+
+class PortfolioModel {
+  constructor(options = {}) {
+    this.riskFreeRate = options.riskFreeRate ?? 0.02; // 2% annual risk-free rate
+    this.periodsPerYear = options.periodsPerYear || 252; // daily returns by default
+    this.frontierPoints = options.frontierPoints || 20;
+    this.maxIterations = options.maxIterations || 5000;
+    this.tolerance = options.tolerance || 1e-10;
+  }
+
+  /**
+   * Run mean-variance optimization on raw price history
+   * @param {Object} historyBySymbol - Map of symbol -> price history from getHistoricalData
+   * @param {Object} constraints - Long-only flag, weight bounds and sector caps
+   * @param {Object} options - { interval } used to annualize returns
+   * @returns {Object} Efficient frontier, max-Sharpe and min-variance portfolios
+   */
+  optimize(historyBySymbol, constraints = {}, options = {}) {
+    const { symbols, dates, returns } = buildReturnsMatrix(historyBySymbol);
+    const annualization = options.interval ? periodsPerYear(options.interval) : this.periodsPerYear;
+
+    const results = this.optimizeReturns(symbols, returns, constraints, annualization);
+    results.startDate = dates[0];
+    results.endDate = dates[dates.length - 1];
+    return results;
+  }
+
+  /**
+   * Run mean-variance optimization on a returns matrix
+   * @param {Array} symbols - Asset symbols, one per returns column
+   * @param {Array} returns - Periodic returns (rows = periods, columns = assets)
+   * @param {Object} constraints - Long-only flag, weight bounds and sector caps
+   * @param {number} annualization - Periods per year used to annualize
+   * @returns {Object} Efficient frontier, max-Sharpe and min-variance portfolios
+   */
+  optimizeReturns(symbols, returns, constraints = {}, annualization = this.periodsPerYear) {
+    if (!symbols || symbols.length < 2) {
+      throw invalidInput('symbols', 'Portfolio optimization requires at least two assets');
+    }
+    if (!returns || returns.length < symbols.length + 1) {
+      throw invalidInput('symbols', 'Not enough return observations for the number of assets');
+    }
+    if (!Number.isInteger(this.frontierPoints) || this.frontierPoints < 2) {
+      throw invalidInput('frontierPoints', 'frontierPoints must be an integer of at least 2');
+    }
+
+    const { expectedReturns, covarianceMatrix } = this.estimateInputs(returns, annualization);
+    const constraintSet = this.buildConstraints(symbols, constraints);
+    const lipschitz = this.largestEigenvalue(covarianceMatrix);
+
+    const minVarianceWeights = this.solveMeanVariance(expectedReturns, covarianceMatrix, constraintSet, 0, lipschitz);
+    const maxRiskAversion = this.findMaxReturnRiskAversion(expectedReturns, covarianceMatrix, constraintSet, lipschitz);
+
+    const efficientFrontier = [];
+    for (let i = 0; i < this.frontierPoints; i++) {
+      const riskAversion = maxRiskAversion * i / (this.frontierPoints - 1);
+      const weights = i === 0
+        ? minVarianceWeights
+        : this.solveMeanVariance(expectedReturns, covarianceMatrix, constraintSet, riskAversion, lipschitz);
+      const point = this.describePortfolio(symbols, weights, expectedReturns, covarianceMatrix);
+
+      // Skip points that collapse onto the previous one once bounds bind
+      const previous = efficientFrontier[efficientFrontier.length - 1];
+      if (!previous || Math.abs(point.expectedReturn - previous.expectedReturn) > 1e-8) {
+        efficientFrontier.push(point);
+      }
+    }
+
+    const maxSharpeWeights = this.solveMaxSharpe(expectedReturns, covarianceMatrix, constraintSet, maxRiskAversion, lipschitz);
+
+    return {
+      symbols,
+      observations: returns.length,
+      riskFreeRate: this.riskFreeRate,
+      assets: symbols.map((symbol, i) => ({
+        symbol,
+        expectedReturn: expectedReturns[i],
+        volatility: Math.sqrt(covarianceMatrix.get(i, i)),
+        sector: constraintSet.sectorOf[i]
+      })),
+      covariance: covarianceMatrix.to2DArray(),
+      minVariance: this.describePortfolio(symbols, minVarianceWeights, expectedReturns, covarianceMatrix),
+      maxSharpe: this.describePortfolio(symbols, maxSharpeWeights, expectedReturns, covarianceMatrix),
+      efficientFrontier,
+      constraints: {
+        longOnly: constraintSet.longOnly,
+        lowerBounds: this.toWeightMap(symbols, constraintSet.lower),
+        upperBounds: this.toWeightMap(symbols, constraintSet.upper),
+        sectorCaps: constraintSet.sectorGroups.map(group => ({
+          sector: group.sector,
+          cap: group.cap,
+          symbols: group.indices.map(i => symbols[i])
+        }))
+      }
+    };
+  }
+
+  /**
+   * Estimate annualized expected returns and covariance from periodic returns
+   * @param {Array} returns - Periodic returns (rows = periods, columns = assets)
+   * @param {number} annualization - Periods per year
+   * @returns {Object} { expectedReturns, covarianceMatrix }
+   */
+  estimateInputs(returns, annualization = this.periodsPerYear) {
+    const returnsMatrix = new Matrix(returns);
+    const expectedReturns = [];
+
+    for (let j = 0; j < returnsMatrix.columns; j++) {
+      expectedReturns.push(stats.mean(returnsMatrix.getColumn(j)) * annualization);
+    }
+
+    const covarianceMatrix = covariance(returnsMatrix).mul(annualization);
+    return { expectedReturns, covarianceMatrix };
+  }
+
+  /**
+   * Normalize user constraints into bound vectors and sector groups
+   * @param {Array} symbols - Asset symbols
+   * @param {Object} constraints - { longOnly, minWeight, maxWeight, bounds, sectors, sectorCaps }
+   * @returns {Object} Constraint set used by the solver
+   */
+  buildConstraints(symbols, constraints = {}) {
+    const longOnly = constraints.longOnly !== false;
+    const defaultMin = constraints.minWeight ?? (longOnly ? 0 : -1);
+    const defaultMax = constraints.maxWeight ?? 1;
+    const bounds = constraints.bounds || {};
+    const sectors = constraints.sectors || {};
+    const sectorCaps = constraints.sectorCaps || {};
+
+    const lower = [];
+    const upper = [];
+    symbols.forEach(symbol => {
+      const bound = bounds[symbol] || {};
+      let min = bound.min ?? defaultMin;
+      const max = bound.max ?? defaultMax;
+      if (longOnly) min = Math.max(0, min);
+
+      if (min > max) {
+        throw invalidInput(`constraints.bounds.${symbol}`, `Invalid weight bounds for ${symbol}: min ${min} exceeds max ${max}`);
+      }
+      lower.push(min);
+      upper.push(max);
+    });
+
+    const sumLower = lower.reduce((sum, w) => sum + w, 0);
+    const sumUpper = upper.reduce((sum, w) => sum + w, 0);
+    if (sumLower > 1 + 1e-9 || sumUpper < 1 - 1e-9) {
+      throw invalidInput('constraints.bounds', 'Weight bounds are infeasible: weights cannot sum to 100%');
+    }
+
+    const sectorOf = symbols.map(symbol => sectors[symbol] || null);
+    const sectorGroups = Object.keys(sectorCaps).map(sector => {
+      const indices = sectorOf
+        .map((assigned, i) => (assigned === sector ? i : -1))
+        .filter(i => i >= 0);
+      const cap = sectorCaps[sector];
+      const sectorLower = indices.reduce((sum, i) => sum + lower[i], 0);
+
+      if (sectorLower > cap + 1e-9) {
+        throw invalidInput(`constraints.sectorCaps.${sector}`, `Sector cap for ${sector} (${cap}) is below the sum of its minimum weights`);
+      }
+      return { sector, cap, indices };
+    }).filter(group => group.indices.length > 0);
+
+    // Largest total weight reachable once sector caps are applied
+    const cappedCapacity = symbols.reduce((sum, _, i) => {
+      const capped = sectorGroups.some(group => group.indices.includes(i));
+      return capped ? sum : sum + upper[i];
+    }, 0) + sectorGroups.reduce((sum, group) => {
+      const groupUpper = group.indices.reduce((total, i) => total + upper[i], 0);
+      return sum + Math.min(group.cap, groupUpper);
+    }, 0);
+
+    if (cappedCapacity < 1 - 1e-9) {
+      throw invalidInput('constraints.sectorCaps', 'Sector caps are infeasible: weights cannot sum to 100%');
+    }
+
+    return { longOnly, lower, upper, sectorOf, sectorGroups };
+  }
+
+  /**
+   * Solve min ½w'Σw - λμ'w over the feasible set with accelerated projected gradient
+   * @param {Array} expectedReturns - Annualized expected returns
+   * @param {Matrix} covarianceMatrix - Annualized covariance
+   * @param {Object} constraintSet - Output of buildConstraints
+   * @param {number} riskAversion - Return weight λ (0 gives the minimum-variance portfolio)
+   * @param {number} lipschitz - Largest eigenvalue of the covariance matrix
+   * @returns {Array} Optimal weights
+   */
+  solveMeanVariance(expectedReturns, covarianceMatrix, constraintSet, riskAversion, lipschitz) {
+    const n = expectedReturns.length;
+    const cov = covarianceMatrix.to2DArray();
+    const step = 1 / (lipschitz || this.largestEigenvalue(covarianceMatrix));
+
+    let weights = this.projectFeasible(Array(n).fill(1 / n), constraintSet);
+    let momentum = weights.slice();
+    let t = 1;
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      const gradient = momentum.map((_, i) => {
+        let sum = 0;
+        for (let j = 0; j < n; j++) sum += cov[i][j] * momentum[j];
+        return sum - riskAversion * expectedReturns[i];
+      });
+
+      const next = this.projectFeasible(momentum.map((w, i) => w - step * gradient[i]), constraintSet);
+      const nextT = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+      const change = Math.sqrt(next.reduce((sum, w, i) => sum + (w - weights[i]) ** 2, 0));
+
+      momentum = next.map((w, i) => w + ((t - 1) / nextT) * (w - weights[i]));
+      weights = next;
+      t = nextT;
+
+      if (change < this.tolerance) break;
+    }
+
+    return weights;
+  }
+
+  /**
+   * Find the risk-aversion level at which the frontier reaches its maximum-return portfolio
+   * @returns {number} Upper end of the risk-aversion grid
+   */
+  findMaxReturnRiskAversion(expectedReturns, covarianceMatrix, constraintSet, lipschitz) {
+    const spread = Math.max(...expectedReturns) - Math.min(...expectedReturns);
+    if (spread < 1e-12) return 0;
+
+    const portfolioReturn = weights => weights.reduce((sum, w, i) => sum + w * expectedReturns[i], 0);
+    const maxReturn = portfolioReturn(this.maxReturnWeights(expectedReturns, constraintSet));
+
+    let riskAversion = 0.01 * lipschitz / spread;
+    for (let i = 0; i < 40; i++) {
+      const weights = this.solveMeanVariance(expectedReturns, covarianceMatrix, constraintSet, riskAversion, lipschitz);
+      if (portfolioReturn(weights) >= maxReturn - 1e-6 * Math.max(1, Math.abs(maxReturn))) break;
+      riskAversion *= 2;
+    }
+    return riskAversion;
+  }
+
+  /**
+   * Highest-return feasible portfolio. Sector groups are disjoint, so filling the
+   * best assets first up to their bound and sector headroom is optimal.
+   */
+  maxReturnWeights(expectedReturns, constraintSet) {
+    const { lower, upper, sectorGroups } = constraintSet;
+    const weights = lower.slice();
+    const sectorHeadroom = sectorGroups.map(group => group.cap - group.indices.reduce((sum, i) => sum + lower[i], 0));
+    let remaining = 1 - lower.reduce((sum, w) => sum + w, 0);
+
+    const order = expectedReturns.map((_, i) => i).sort((a, b) => expectedReturns[b] - expectedReturns[a]);
+    for (const i of order) {
+      if (remaining <= 0) break;
+      const groupIndex = sectorGroups.findIndex(group => group.indices.includes(i));
+      const headroom = groupIndex >= 0 ? sectorHeadroom[groupIndex] : Infinity;
+      const allocation = Math.max(0, Math.min(upper[i] - lower[i], headroom, remaining));
+
+      weights[i] += allocation;
+      remaining -= allocation;
+      if (groupIndex >= 0) sectorHeadroom[groupIndex] -= allocation;
+    }
+
+    return weights;
+  }
+
+  /**
+   * Maximize the Sharpe ratio along the constrained frontier with golden-section search
+   * @returns {Array} Max-Sharpe weights
+   */
+  solveMaxSharpe(expectedReturns, covarianceMatrix, constraintSet, maxRiskAversion, lipschitz) {
+    const sharpeAt = riskAversion => {
+      const weights = this.solveMeanVariance(expectedReturns, covarianceMatrix, constraintSet, riskAversion, lipschitz);
+      const { sharpeRatio } = this.portfolioStats(weights, expectedReturns, covarianceMatrix);
+      return { weights, sharpeRatio };
+    };
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = 0;
+    let high = maxRiskAversion;
+    let left = high - ratio * (high - low);
+    let right = low + ratio * (high - low);
+    let leftResult = sharpeAt(left);
+    let rightResult = sharpeAt(right);
+
+    for (let i = 0; i < 40 && high - low > 1e-8 * Math.max(1, maxRiskAversion); i++) {
+      if (leftResult.sharpeRatio >= rightResult.sharpeRatio) {
+        high = right;
+        right = left;
+        rightResult = leftResult;
+        left = high - ratio * (high - low);
+        leftResult = sharpeAt(left);
+      } else {
+        low = left;
+        left = right;
+        leftResult = rightResult;
+        right = low + ratio * (high - low);
+        rightResult = sharpeAt(right);
+      }
+    }
+
+    // The search is unimodal in practice, but the endpoints can still win when bounds bind
+    const candidates = [leftResult, rightResult, sharpeAt(0), sharpeAt(maxRiskAversion)];
+    return candidates.reduce((best, c) => (c.sharpeRatio > best.sharpeRatio ? c : best)).weights;
+  }
+
+  /**
+   * Euclidean projection onto {Σw = 1, lower ≤ w ≤ upper, sector caps} via Dykstra's algorithm
+   * @param {Array} point - Unconstrained weights
+   * @param {Object} constraintSet - Output of buildConstraints
+   * @returns {Array} Feasible weights
+   */
+  projectFeasible(point, constraintSet) {
+    const { sectorGroups } = constraintSet;
+    if (sectorGroups.length === 0) {
+      return this.projectBudgetBox(point, constraintSet.lower, constraintSet.upper);
+    }
+
+    const n = point.length;
+    const sets = [
+      x => this.projectBudgetBox(x, constraintSet.lower, constraintSet.upper),
+      ...sectorGroups.map(group => x => this.projectSectorCap(x, group))
+    ];
+    const corrections = sets.map(() => Array(n).fill(0));
+    const previous = sets.map(() => null);
+    const scale = point.reduce((sum, w) => sum + Math.abs(w), 0);
+    let current = point.slice();
+
+    for (let round = 0; round < 2000; round++) {
+      let change = 0;
+
+      sets.forEach((project, k) => {
+        const shifted = current.map((w, i) => w + corrections[k][i]);
+        const projected = project(shifted);
+        const correction = shifted.map((w, i) => w - projected[i]);
+
+        // Outputs can stall for a few rounds while the corrections are still moving
+        change += correction.reduce((sum, c, i) => sum + Math.abs(c - corrections[k][i]), 0);
+        if (previous[k]) {
+          change += projected.reduce((sum, w, i) => sum + Math.abs(w - previous[k][i]), 0);
+        }
+        corrections[k] = correction;
+        previous[k] = projected;
+        current = projected;
+      });
+
+      if (round > 0 && change < 1e-12 * (1 + scale)) break;
+    }
+
+    // Finish on the budget/box set so the weights always sum to one
+    return this.projectBudgetBox(current, constraintSet.lower, constraintSet.upper);
+  }
+
+  /**
+   * Projection onto {Σw = 1, lower ≤ w ≤ upper} by bisection on the shift τ
+   */
+  projectBudgetBox(point, lower, upper) {
+    const clipAt = tau => point.map((v, i) => Math.min(upper[i], Math.max(lower[i], v - tau)));
+    const total = tau => clipAt(tau).reduce((sum, w) => sum + w, 0);
+
+    let low = Math.min(...point.map((v, i) => v - upper[i]));
+    let high = Math.max(...point.map((v, i) => v - lower[i]));
+
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (total(mid) > 1) low = mid;
+      else high = mid;
+    }
+
+    return clipAt((low + high) / 2);
+  }
+
+  /**
+   * Projection onto the half-space Σ_{i∈sector} w_i ≤ cap
+   */
+  projectSectorCap(point, group) {
+    const exposure = group.indices.reduce((sum, i) => sum + point[i], 0);
+    if (exposure <= group.cap) return point.slice();
+
+    const excess = (exposure - group.cap) / group.indices.length;
+    const projected = point.slice();
+    group.indices.forEach(i => { projected[i] -= excess; });
+    return projected;
+  }
+
+  largestEigenvalue(covarianceMatrix) {
+    const eigenvalues = new EigenvalueDecomposition(covarianceMatrix, { assumeSymmetric: true }).realEigenvalues;
+    return Math.max(...eigenvalues, 1e-12);
+  }
+
+  /**
+   * Expected return, volatility and Sharpe ratio of a weight vector
+   */
+  portfolioStats(weights, expectedReturns, covarianceMatrix) {
+    const w = Matrix.columnVector(weights);
+    const expectedReturn = weights.reduce((sum, weight, i) => sum + weight * expectedReturns[i], 0);
+    const variance = w.transpose().mmul(covarianceMatrix).mmul(w).get(0, 0);
+    const volatility = Math.sqrt(Math.max(0, variance));
+
+    return {
+      expectedReturn,
+      volatility,
+      sharpeRatio: volatility > 0 ? (expectedReturn - this.riskFreeRate) / volatility : 0
+    };
+  }
+
+  describePortfolio(symbols, weights, expectedReturns, covarianceMatrix) {
+    return {
+      weights: this.toWeightMap(symbols, weights),
+      ...this.portfolioStats(weights, expectedReturns, covarianceMatrix)
+    };
+  }
+
+  toWeightMap(symbols, weights) {
+    return symbols.reduce((map, symbol, i) => {
+      map[symbol] = Math.abs(weights[i]) < 1e-10 ? 0 : weights[i];
+      return map;
+    }, {});
+  }
+}
+
+module.exports = PortfolioModel;
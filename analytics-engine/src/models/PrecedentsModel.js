@@ -0,0 +1,220 @@
+const {
+  summarizeMultiple,
+  resolveComparableAssumptions,
+  checkComparableAssumptions,
+  impliedValues,
+  valuationRange
+} = require('../utils/statistics');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  assertValid
+} = require('../utils/validation');
+
+// Transaction metrics: EV multiples imply an enterprise value, the control premium a price per share
+const METRICS = {
+  evToEbitda: { label: 'EV/EBITDA', targetField: 'ebitda', basis: 'enterprise' },
+  evToRevenue: { label: 'EV/Revenue', targetField: 'revenue', basis: 'enterprise' },
+  controlPremium: { label: 'Control premium', targetField: 'unaffectedPrice', basis: 'premium' }
+};
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+class PrecedentsModel {
+  constructor(options = {}) {
+    this.metrics = options.metrics || Object.keys(METRICS);
+    this.outlierMethod = options.outlierMethod || 'iqr';
+    this.outlierThreshold = options.outlierThreshold ?? null; // null uses the method's default
+    this.minDeals = options.minDeals || 3;
+  }
+
+  /**
+   * The instance's assumptions with per-call overrides applied
+   * @param {Object} overrides - Any constructor option (undefined values are ignored)
+   * @returns {Object} Frozen assumptions
+   */
+  resolveAssumptions(overrides = {}) {
+    return resolveComparableAssumptions({
+      metrics: this.metrics,
+      outlierMethod: this.outlierMethod,
+      outlierThreshold: this.outlierThreshold,
+      minDeals: this.minDeals
+    }, overrides);
+  }
+
+  /**
+   * Deals matching every given criterion
+   * @param {Array} deals - Stored precedent transactions
+   * @param {Object} criteria - { sectors, dealTypes, minEnterpriseValue, maxEnterpriseValue, from, to, maxAgeYears, asOf }
+   * @returns {Array} Matching deals, most recent first
+   */
+  screen(deals, criteria = {}) {
+    const { sectors, dealTypes, minEnterpriseValue, maxEnterpriseValue, from, to, maxAgeYears, asOf } = criteria;
+    const sectorSet = sectors && sectors.length ? new Set(sectors.map(sector => sector.toLowerCase())) : null;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const oldestTime = maxAgeYears ? (asOf ? new Date(asOf).getTime() : Date.now()) - maxAgeYears * MS_PER_YEAR : null;
+
+    return deals
+      .filter(deal => {
+        const announced = new Date(deal.announcedDate).getTime();
+        if (sectorSet && !sectorSet.has(String(deal.sector).toLowerCase())) return false;
+        if (dealTypes && dealTypes.length && !dealTypes.includes(deal.dealType)) return false;
+        if (minEnterpriseValue !== undefined && !(deal.enterpriseValue >= minEnterpriseValue)) return false;
+        if (maxEnterpriseValue !== undefined && !(deal.enterpriseValue <= maxEnterpriseValue)) return false;
+        if (fromTime !== null && !(announced >= fromTime)) return false;
+        if (toTime !== null && !(announced <= toTime)) return false;
+        if (oldestTime !== null && !(announced >= oldestTime)) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.announcedDate) - new Date(a.announcedDate));
+  }
+
+  /**
+   * Multiples and control premium paid in one deal; null when not meaningful
+   * @param {Object} deal - { enterpriseValue, ebitda, revenue, offerPrice, unaffectedPrice, controlPremium }
+   * @returns {Object} { evToEbitda, evToRevenue, controlPremium }
+   */
+  dealMetrics(deal) {
+    const ratio = (top, bottom) => (Number.isFinite(top) && bottom > 0 ? top / bottom : null);
+    const premium = Number.isFinite(deal.controlPremium)
+      ? deal.controlPremium
+      : (Number.isFinite(deal.offerPrice) && deal.unaffectedPrice > 0 ? deal.offerPrice / deal.unaffectedPrice - 1 : null);
+
+    return {
+      evToEbitda: ratio(deal.enterpriseValue, deal.ebitda),
+      evToRevenue: ratio(deal.enterpriseValue, deal.revenue),
+      controlPremium: premium
+    };
+  }
+
+  /**
+   * Value a target from the multiples and premiums paid in precedent transactions
+   * @param {Object} target - { name, ebitda, revenue, netDebt, sharesOutstanding, unaffectedPrice }
+   * @param {Array} deals - Precedent transactions (already screened)
+   * @param {Object} overrides - { metrics, outlierMethod, outlierThreshold, minDeals }
+   * @returns {Object} Deal metrics, statistics and the implied valuation range
+   */
+  calculatePrecedents(target, deals, overrides = {}) {
+    try {
+      const assumptions = this.resolveAssumptions(overrides);
+      this.validateInputs(target, deals, assumptions);
+
+      const dealMetrics = deals.map(deal => ({ id: deal.id, ...this.dealMetrics(deal) }));
+      const statistics = {};
+      const impliedValuation = {};
+      const warnings = [];
+
+      assumptions.metrics.forEach(key => {
+        const observations = dealMetrics.map(deal => ({ id: deal.id, value: deal[key] }));
+        statistics[key] = summarizeMultiple(observations, {
+          outlierMethod: assumptions.outlierMethod,
+          outlierThreshold: assumptions.outlierThreshold
+        });
+
+        const { count, excluded } = statistics[key];
+        if (excluded.length > 0) {
+          warnings.push(warning(
+            WARNING_CODES.EXCLUDED_OUTLIERS,
+            `${METRICS[key].label}: excluded ${excluded.length} deal(s) as outliers`,
+            { metric: key, ids: excluded.map(deal => deal.id) }
+          ));
+        }
+        if (count < assumptions.minDeals) {
+          warnings.push(warning(
+            WARNING_CODES.INSUFFICIENT_PEERS,
+            `${METRICS[key].label} rests on ${count} deal(s); at least ${assumptions.minDeals} are recommended`,
+            { metric: key, count }
+          ));
+        }
+
+        impliedValuation[key] = this.applyMetric(key, statistics[key], target);
+        if (impliedValuation[key] === null && count > 0) {
+          warnings.push(warning(
+            WARNING_CODES.MISSING_DATA,
+            `${METRICS[key].label} cannot be applied: the target's ${METRICS[key].targetField} is missing or not positive`,
+            { metric: key }
+          ));
+        }
+      });
+
+      const applied = Object.values(impliedValuation).filter(Boolean);
+      if (applied.length === 0) {
+        throw new ModelError(
+          ERROR_CODES.INVALID_INPUT,
+          'no precedent metric could be applied: the deals or the target lack EBITDA, revenue and prices',
+          [{ path: 'target', message: 'the target needs a positive ebitda, revenue or unaffectedPrice that the deals also report' }]
+        );
+      }
+
+      return {
+        target,
+        dealCount: deals.length,
+        deals: deals.map((deal, i) => ({ ...deal, metrics: dealMetrics[i] })),
+        statistics,
+        impliedValuation,
+        valuationRange: valuationRange(applied),
+        assumptions: { ...assumptions },
+        warnings
+      };
+    } catch (error) {
+      console.error('Precedents calculation error:', error);
+      throw ModelError.wrap(error, 'Precedents calculation failed');
+    }
+  }
+
+  /**
+   * Check the target and assumptions before any deal is analysed
+   */
+  validateInputs(target, deals, assumptions = this.resolveAssumptions()) {
+    const details = [];
+    if (!target || typeof target !== 'object') {
+      details.push({ path: 'target', message: 'target must be an object' });
+    } else {
+      ['ebitda', 'revenue', 'unaffectedPrice', 'sharesOutstanding', 'netDebt'].forEach(field => {
+        checkNumber(details, target[field], `target.${field}`);
+      });
+    }
+    if (!Array.isArray(deals) || deals.length === 0) {
+      details.push({ path: 'deals', message: 'no precedent transactions match the screen' });
+    }
+
+    checkComparableAssumptions(details, assumptions, { list: 'metrics', known: Object.keys(METRICS), minimum: 'minDeals' });
+
+    assertValid(details, 'precedent inputs');
+  }
+
+  /**
+   * Target value at the lower quartile, median, upper quartile and mean of one metric
+   * @returns {Object|null} { metric, label, basis, low, mid, high, mean } or null when it cannot be applied
+   */
+  applyMetric(key, summary, target) {
+    const { label, targetField, basis } = METRICS[key];
+    const base = target[targetField];
+    if (summary.count === 0 || !(base > 0)) return null;
+
+    const company = { netDebt: Number.isFinite(target.netDebt) ? target.netDebt : null, sharesOutstanding: target.sharesOutstanding };
+    // A premium is paid on the unaffected share price; EV multiples apply to the target's EBITDA or revenue
+    const value = statistic => ({
+      [key]: statistic,
+      ...(basis === 'premium'
+        ? impliedValues('perShare', base * (1 + statistic), company)
+        : impliedValues('enterprise', statistic * base, company))
+    });
+
+    return {
+      metric: key,
+      label,
+      basis,
+      low: value(summary.lowerQuartile),
+      mid: value(summary.median),
+      high: value(summary.upperQuartile),
+      mean: value(summary.mean)
+    };
+  }
+}
+
+module.exports = PrecedentsModel;
@@ -0,0 +1,231 @@
+const { Matrix, covariance } = require('ml-matrix');
+const stats = require('simple-statistics');
+const { buildReturnsMatrix } = require('../utils/timeSeries');
+const { normalPDF, inverseNormalCDF } = require('../utils/statistics');
+const { createRandom } = require('../utils/random');
+const { choleskyFactor } = require('../utils/correlation');
+const { ERROR_CODES, ModelError, checkNumber, assertValid } = require('../utils/validation');
+
+const METHODS = ['historical', 'parametric', 'monteCarlo'];
+
+class RiskModel {
+  constructor(options = {}) {
+    this.confidenceLevel = options.confidenceLevel || 0.95;
+    this.horizon = options.horizon || 1; // holding period in return periods (days for daily data)
+    this.simulations = options.simulations || 10000;
+  }
+
+  /**
+   * Calculate VaR and Expected Shortfall for a set of positions
+   * @param {Array} positions - [{ symbol, quantity }] or [{ symbol, value }]
+   * @param {Object} historyBySymbol - Map of symbol -> price history from getHistoricalData
+   * @param {Object} options - { confidenceLevel, horizon, simulations, methods, seed, antithetic }
+   * @returns {Object} VaR/ES and component VaR for each requested method
+   */
+  calculateVaR(positions, historyBySymbol, options = {}) {
+    try {
+      const confidenceLevel = options.confidenceLevel || this.confidenceLevel;
+      const horizon = options.horizon || this.horizon;
+      const methods = options.methods || METHODS;
+
+      const details = [];
+      if (!positions || positions.length === 0) {
+        details.push({ path: 'positions', message: 'At least one position is required' });
+      }
+      checkNumber(details, confidenceLevel, 'confidenceLevel', { exclusiveMin: 0.5 });
+      if (confidenceLevel >= 1) {
+        details.push({ path: 'confidenceLevel', message: 'confidenceLevel must be below 1' });
+      }
+      checkNumber(details, horizon, 'horizon', { exclusiveMin: 0 });
+      checkNumber(details, options.simulations, 'simulations', { min: 1 });
+      const unknown = Array.isArray(methods) ? methods.filter(method => !METHODS.includes(method)) : [methods];
+      if (unknown.length > 0) {
+        details.push({ path: 'methods', message: `Unsupported VaR method(s): ${unknown.join(', ')}; use ${METHODS.join(', ')}` });
+      }
+      assertValid(details, 'VaR inputs');
+
+      const { symbols, dates, prices, returns } = buildReturnsMatrix(historyBySymbol);
+      const exposures = this.valuePositions(positions, symbols, prices);
+      const portfolioValue = exposures.reduce((sum, p) => sum + p.value, 0);
+      const values = exposures.map(p => p.value);
+
+      const results = {
+        portfolioValue,
+        confidenceLevel,
+        horizon,
+        observations: returns.length,
+        startDate: dates[0],
+        endDate: dates[dates.length - 1],
+        positions: exposures.map(p => ({ ...p, weight: portfolioValue !== 0 ? p.value / portfolioValue : 0 }))
+      };
+
+      if (methods.includes('historical')) {
+        results.historical = this.historicalVaR(symbols, values, returns, confidenceLevel, horizon, portfolioValue);
+      }
+      if (methods.includes('parametric')) {
+        results.parametric = this.parametricVaR(symbols, values, returns, confidenceLevel, horizon, portfolioValue);
+      }
+      if (methods.includes('monteCarlo')) {
+        results.monteCarlo = this.monteCarloVaR(
+          symbols, values, returns, confidenceLevel, horizon, portfolioValue,
+          options.simulations || this.simulations, createRandom(options)
+        );
+      }
+
+      return results;
+    } catch (error) {
+      console.error('VaR calculation error:', error);
+      throw ModelError.wrap(error, 'VaR calculation failed');
+    }
+  }
+
+  /**
+   * Mark positions to the latest aligned price
+   * @returns {Array} [{ symbol, quantity, price, value }] in returns-column order
+   */
+  valuePositions(positions, symbols, prices) {
+    return symbols.map(symbol => {
+      const matching = positions.filter(p => p.symbol === symbol);
+      if (matching.length === 0) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, `No position supplied for ${symbol}`, [
+          { path: 'positions', message: `No position supplied for ${symbol}` }
+        ]);
+      }
+
+      // Several lots of the same symbol are combined into one position
+      const series = prices[symbol];
+      const price = series[series.length - 1];
+      const value = matching.reduce((sum, p) => sum + (p.value ?? (p.quantity || 0) * price), 0);
+
+      return { symbol, quantity: value / price, price, value };
+    });
+  }
+
+  /**
+   * Historical simulation: revalue today's positions under every observed return vector.
+   * Multi-period horizons use square-root-of-time scaling of the one-period P&L.
+   */
+  historicalVaR(symbols, values, returns, confidenceLevel, horizon, portfolioValue) {
+    const scale = Math.sqrt(horizon);
+    const scenarios = returns.map(row => row.map((r, i) => values[i] * r * scale));
+    return this.summarizeScenarios(symbols, scenarios, confidenceLevel, portfolioValue);
+  }
+
+  /**
+   * Delta-normal VaR using the sample mean and covariance of returns
+   */
+  parametricVaR(symbols, values, returns, confidenceLevel, horizon, portfolioValue) {
+    const { mean, cov } = this.estimateMoments(returns);
+    const z = inverseNormalCDF(1 - confidenceLevel); // negative for confidence > 50%
+
+    const expectedPnL = values.reduce((sum, v, i) => sum + v * mean[i], 0) * horizon;
+    const covTimesValues = cov.mmul(Matrix.columnVector(values)).getColumn(0);
+    const variance = values.reduce((sum, v, i) => sum + v * covTimesValues[i], 0) * horizon;
+    const sigma = Math.sqrt(Math.max(0, variance));
+
+    const valueAtRisk = -(expectedPnL + z * sigma);
+    const expectedShortfall = -expectedPnL + sigma * normalPDF(z) / (1 - confidenceLevel);
+
+    // Euler allocation: contributions sum exactly to the portfolio VaR
+    const componentVaR = symbols.map((symbol, i) => {
+      const marginal = sigma > 0 ? -z * covTimesValues[i] * horizon / sigma : 0;
+      const contribution = values[i] * (marginal - mean[i] * horizon);
+      return this.describeComponent(symbol, contribution, valueAtRisk);
+    });
+
+    return {
+      valueAtRisk,
+      expectedShortfall,
+      varPercent: portfolioValue !== 0 ? valueAtRisk / portfolioValue : 0,
+      esPercent: portfolioValue !== 0 ? expectedShortfall / portfolioValue : 0,
+      expectedPnL,
+      standardDeviation: sigma,
+      componentVaR
+    };
+  }
+
+  /**
+   * Monte Carlo VaR: draw correlated normal returns from the sample covariance
+   */
+  monteCarloVaR(symbols, values, returns, confidenceLevel, horizon, portfolioValue, simulations, random = createRandom()) {
+    const { mean, cov } = this.estimateMoments(returns);
+    const lower = choleskyFactor(cov.clone().mul(horizon));
+    const n = symbols.length;
+
+    const scenarios = [];
+    for (let s = 0; s < simulations; s++) {
+      if (random.nextPath) random.nextPath();
+      const shocks = Array(n).fill(null).map(() => random.normal(0, 1));
+      scenarios.push(values.map((v, i) => {
+        let shock = 0;
+        for (let j = 0; j <= i; j++) shock += lower.get(i, j) * shocks[j];
+        return v * (mean[i] * horizon + shock);
+      }));
+    }
+
+    return {
+      ...this.summarizeScenarios(symbols, scenarios, confidenceLevel, portfolioValue),
+      simulations,
+      seed: random.seed ?? null,
+      antithetic: Boolean(random.antithetic)
+    };
+  }
+
+  /**
+   * VaR, ES and component VaR from a set of per-position P&L scenarios
+   * @param {Array} symbols - Position symbols
+   * @param {Array} scenarios - Rows of per-position P&L
+   * @returns {Object} Risk summary
+   */
+  summarizeScenarios(symbols, scenarios, confidenceLevel, portfolioValue) {
+    const ranked = scenarios
+      .map(row => ({ row, pnl: row.reduce((sum, x) => sum + x, 0) }))
+      .sort((a, b) => a.pnl - b.pnl);
+
+    const pnls = ranked.map(s => s.pnl);
+    const valueAtRisk = -stats.quantileSorted(pnls, 1 - confidenceLevel);
+    const tail = ranked.filter(s => s.pnl <= -valueAtRisk);
+    const expectedShortfall = -stats.mean(tail.map(s => s.pnl));
+
+    // Average position losses in a small window of scenarios around the VaR quantile,
+    // then rescale so the components add up to the portfolio VaR
+    const varIndex = Math.min(ranked.length - 1, Math.floor((1 - confidenceLevel) * ranked.length));
+    const window = Math.max(1, Math.round(ranked.length * 0.01));
+    const neighbourhood = ranked.slice(Math.max(0, varIndex - window), Math.min(ranked.length, varIndex + window + 1));
+    const rawComponents = symbols.map((_, i) => -stats.mean(neighbourhood.map(s => s.row[i])));
+    const rawTotal = rawComponents.reduce((sum, c) => sum + c, 0);
+
+    const componentVaR = symbols.map((symbol, i) => {
+      const contribution = rawTotal !== 0 ? rawComponents[i] * valueAtRisk / rawTotal : 0;
+      return this.describeComponent(symbol, contribution, valueAtRisk);
+    });
+
+    return {
+      valueAtRisk,
+      expectedShortfall,
+      varPercent: portfolioValue !== 0 ? valueAtRisk / portfolioValue : 0,
+      esPercent: portfolioValue !== 0 ? expectedShortfall / portfolioValue : 0,
+      tailObservations: tail.length,
+      componentVaR
+    };
+  }
+
+  describeComponent(symbol, contribution, valueAtRisk) {
+    return {
+      symbol,
+      contribution,
+      percentOfVaR: valueAtRisk !== 0 ? contribution / valueAtRisk : 0
+    };
+  }
+
+  estimateMoments(returns) {
+    const returnsMatrix = new Matrix(returns);
+    const mean = [];
+    for (let j = 0; j < returnsMatrix.columns; j++) {
+      mean.push(stats.mean(returnsMatrix.getColumn(j)));
+    }
+    return { mean, cov: covariance(returnsMatrix) };
+  }
+}
+
+module.exports = RiskModel;
@@ -0,0 +1,263 @@
+const { driverFor } = require('../utils/periods');
+const DebtSchedule = require('./DebtSchedule');
+const { ERROR_CODES, ModelError } = require('../utils/validation');
+
+function invalidInput(path, message) {
+  return new ModelError(ERROR_CODES.INVALID_INPUT, message, [{ path, message }]);
+}
+
+// Opening balance sheet lines; anything not supplied starts at zero (or is derived, see project)
+const ASSET_LINES = ['cash', 'accountsReceivable', 'inventory', 'ppe', 'otherAssets'];
+const LIABILITY_LINES = ['accountsPayable', 'otherLiabilities', 'debt'];
+
+class ThreeStatementModel {
+  constructor(options = {}) {
+    this.projectionYears = options.projectionYears || 5;
+    this.taxRate = options.taxRate || 0.25;
+    this.daysInYear = options.daysInYear || 365;
+    this.interestConvention = options.interestConvention || 'opening'; // 'opening' or 'average' balance
+    this.balanceTolerance = options.balanceTolerance || 1e-6;
+  }
+
+  /**
+   * Project a linked income statement, balance sheet and cash flow statement
+   * @param {Object} openingBalanceSheet - { cash, accountsReceivable, inventory, ppe, otherAssets,
+   *   accountsPayable, otherLiabilities, debt, equity }
+   * @param {number} baseRevenue - Revenue of the last actual year
+   * @param {Object} assumptions - Per-year scalars or arrays: revenueGrowth, ebitdaMargin, cogsPercent,
+   *   dso, dio, dpo, capexPercent, depreciationRate (of opening net PP&E), payoutRatio, minimumCash,
+   *   interestRate, debtAmortization, debtTranches, baseRates, cashSweep
+   * @returns {Object} Statements by year, debt schedule, unlevered free cash flow and balance check
+   */
+  project(openingBalanceSheet, baseRevenue, assumptions = {}) {
+    try {
+      if (!(baseRevenue > 0)) {
+        throw invalidInput('baseRevenue', 'baseRevenue must be positive');
+      }
+
+      const days = this.daysInYear;
+      const cogsPercentFor = year => driverFor(assumptions.cogsPercent, year, 0.6);
+      const debtSchedule = this.buildDebtSchedule(openingBalanceSheet, assumptions);
+      const opening = this.openingBalanceSheet(openingBalanceSheet, baseRevenue, cogsPercentFor(0), assumptions, debtSchedule);
+
+      const results = {
+        incomeStatement: [],
+        balanceSheet: [opening],
+        cashFlowStatement: [],
+        unleveredFreeCashFlow: [],
+        debtSchedule: [],
+        balanceCheck: {}
+      };
+
+      let previous = opening;
+      let revenue = baseRevenue;
+
+      for (let year = 1; year <= this.projectionYears; year++) {
+        const i = year - 1;
+
+        // Income statement down to EBIT
+        revenue *= 1 + driverFor(assumptions.revenueGrowth, i, 0);
+        const cogs = revenue * cogsPercentFor(i);
+        const ebitda = revenue * driverFor(assumptions.ebitdaMargin, i, 0.15);
+        const operatingExpenses = revenue - cogs - ebitda;
+        const depreciation = previous.ppe * driverFor(assumptions.depreciationRate, i, 0.1);
+        const ebit = ebitda - depreciation;
+
+        // Working capital from days outstanding
+        const accountsReceivable = revenue * driverFor(assumptions.dso, i, 45) / days;
+        const inventory = cogs * driverFor(assumptions.dio, i, 60) / days;
+        const accountsPayable = cogs * driverFor(assumptions.dpo, i, 30) / days;
+        const netWorkingCapital = accountsReceivable + inventory - accountsPayable;
+        const changeInWorkingCapital = netWorkingCapital -
+          (previous.accountsReceivable + previous.inventory - previous.accountsPayable);
+
+        // PP&E roll-forward
+        const capex = revenue * driverFor(assumptions.capexPercent, i, 0.04);
+        const ppe = previous.ppe + capex - depreciation;
+
+        const payoutRatio = driverFor(assumptions.payoutRatio, i, 0);
+        const minimumCash = driverFor(assumptions.minimumCash, i, 0);
+        const earningsAfter = interest => {
+          const ebt = ebit - interest.total;
+          const taxes = Math.max(0, ebt * this.taxRate);
+          const netIncome = ebt - taxes;
+          const dividends = Math.max(0, netIncome * payoutRatio);
+          const operatingCashFlow = netIncome + depreciation + interest.pik - changeInWorkingCapital;
+          return { ebt, taxes, netIncome, dividends, operatingCashFlow };
+        };
+
+        // Cash above the minimum balance plus this year's flows is available for debt service
+        const cashAvailableFor = interest => {
+          const { dividends, operatingCashFlow } = earningsAfter(interest);
+          return previous.cash - minimumCash + operatingCashFlow - capex - dividends;
+        };
+
+        const circularity = debtSchedule.solveInterest(year, cashAvailableFor, { convention: this.interestConvention });
+        const { interest } = circularity;
+        const { ebt, taxes, netIncome, dividends, operatingCashFlow } = earningsAfter(interest);
+        const debtService = debtSchedule.close(interest, cashAvailableFor(interest));
+
+        const investingCashFlow = -capex;
+        const financingCashFlow = debtService.revolverDrawdown - debtService.mandatoryRepayment -
+          debtService.sweepRepayment - dividends;
+        const netChangeInCash = operatingCashFlow + investingCashFlow + financingCashFlow;
+
+        const balanceSheet = {
+          year,
+          cash: previous.cash + netChangeInCash,
+          accountsReceivable,
+          inventory,
+          ppe,
+          otherAssets: previous.otherAssets,
+          accountsPayable,
+          otherLiabilities: previous.otherLiabilities,
+          debt: debtService.closingDebt,
+          equity: previous.equity + netIncome - dividends
+        };
+        this.totalBalanceSheet(balanceSheet);
+
+        results.incomeStatement.push({
+          year,
+          revenue,
+          cogs,
+          grossProfit: revenue - cogs,
+          operatingExpenses,
+          ebitda,
+          depreciation,
+          ebit,
+          interestExpense: interest.total,
+          cashInterest: interest.cash,
+          pikInterest: interest.pik,
+          ebt,
+          taxes,
+          netIncome
+        });
+
+        results.cashFlowStatement.push({
+          year,
+          netIncome,
+          depreciation,
+          pikInterest: interest.pik,
+          changeInWorkingCapital,
+          operatingCashFlow,
+          capex,
+          investingCashFlow,
+          debtDrawdown: debtService.revolverDrawdown,
+          debtRepayment: debtService.mandatoryRepayment + debtService.sweepRepayment,
+          dividends,
+          financingCashFlow,
+          netChangeInCash,
+          fundingShortfall: debtService.fundingShortfall,
+          circularity: {
+            iterations: circularity.iterations,
+            residual: circularity.residual,
+            converged: circularity.converged
+          }
+        });
+
+        const nopat = ebit - ebit * this.taxRate;
+        results.unleveredFreeCashFlow.push({
+          year,
+          revenue,
+          ebitda,
+          ebit,
+          nopat,
+          depreciation,
+          capex,
+          changeInWorkingCapital,
+          freeCashFlow: nopat + depreciation - capex - changeInWorkingCapital
+        });
+
+        results.balanceSheet.push(balanceSheet);
+        previous = balanceSheet;
+      }
+
+      results.debtSchedule = debtSchedule.toJSON();
+
+      const differences = results.balanceSheet.map(sheet => sheet.totalAssets - sheet.totalLiabilitiesAndEquity);
+      const maxDifference = Math.max(...differences.map(Math.abs));
+      const scale = Math.max(1, ...results.balanceSheet.map(sheet => Math.abs(sheet.totalAssets)));
+      results.balanceCheck = {
+        balanced: maxDifference <= this.balanceTolerance * scale,
+        maxDifference,
+        differences: differences.map((difference, year) => ({ year, difference }))
+      };
+
+      if (!results.balanceCheck.balanced) {
+        throw new ModelError(ERROR_CODES.CALCULATION_FAILED, `balance sheet does not balance (max difference ${maxDifference})`);
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Three-statement calculation error:', error);
+      throw ModelError.wrap(error, 'Three-statement calculation failed');
+    }
+  }
+
+  /**
+   * Debt tranches from assumptions.debtTranches, or a single term loan for balanceSheet.debt
+   */
+  buildDebtSchedule(openingBalanceSheet, assumptions) {
+    const options = { baseRates: assumptions.baseRates, cashSweep: assumptions.cashSweep ?? 0 };
+
+    if (Array.isArray(assumptions.debtTranches)) {
+      const schedule = new DebtSchedule(assumptions.debtTranches, options);
+      const reported = openingBalanceSheet.debt;
+      if (Number.isFinite(reported) && Math.abs(reported - schedule.totalDebt) > this.balanceTolerance * Math.max(1, reported)) {
+        throw invalidInput('debtTranches', 'debtTranches must add up to the opening balance sheet debt');
+      }
+      return schedule;
+    }
+
+    return new DebtSchedule([{
+      name: 'debt',
+      type: 'termLoan',
+      amount: openingBalanceSheet.debt || 0,
+      rate: assumptions.interestRate ?? 0.06,
+      amortization: assumptions.debtAmortization ?? 0,
+      sweepPriority: 1
+    }], options);
+  }
+
+  /**
+   * Opening balance sheet; working capital lines default to the first year's days
+   * outstanding on base revenue, and equity is the plug when not supplied
+   */
+  openingBalanceSheet(openingBalanceSheet, baseRevenue, cogsPercent, assumptions, debtSchedule) {
+    const baseCogs = baseRevenue * cogsPercent;
+    const sheet = {
+      year: 0,
+      cash: 0,
+      accountsReceivable: baseRevenue * driverFor(assumptions.dso, 0, 45) / this.daysInYear,
+      inventory: baseCogs * driverFor(assumptions.dio, 0, 60) / this.daysInYear,
+      ppe: 0,
+      otherAssets: 0,
+      accountsPayable: baseCogs * driverFor(assumptions.dpo, 0, 30) / this.daysInYear,
+      otherLiabilities: 0
+    };
+
+    [...ASSET_LINES, ...LIABILITY_LINES].forEach(line => {
+      if (Number.isFinite(openingBalanceSheet[line])) sheet[line] = openingBalanceSheet[line];
+    });
+    sheet.debt = debtSchedule.totalDebt;
+
+    const assets = ASSET_LINES.reduce((sum, line) => sum + sheet[line], 0);
+    const liabilities = LIABILITY_LINES.reduce((sum, line) => sum + sheet[line], 0);
+    sheet.equity = openingBalanceSheet.equity ?? assets - liabilities;
+
+    this.totalBalanceSheet(sheet);
+    if (Math.abs(sheet.totalAssets - sheet.totalLiabilitiesAndEquity) > this.balanceTolerance * Math.max(1, assets)) {
+      throw invalidInput('openingBalanceSheet', 'opening balance sheet does not balance');
+    }
+    return sheet;
+  }
+
+  totalBalanceSheet(sheet) {
+    sheet.totalAssets = ASSET_LINES.reduce((sum, line) => sum + sheet[line], 0);
+    sheet.totalLiabilities = LIABILITY_LINES.reduce((sum, line) => sum + sheet[line], 0);
+    sheet.totalLiabilitiesAndEquity = sheet.totalLiabilities + sheet.equity;
+    return sheet;
+  }
+}
+
+module.exports = ThreeStatementModel;
@@ -0,0 +1,403 @@
+const { Matrix, solve } = require('ml-matrix');
+const OptionsModel = require('./OptionsModel');
+const { normalCDF } = require('../utils/statistics');
+const { nelderMead, solveFor } = require('../utils/solvers');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning
+} = require('../utils/validation');
+
+/**
+ * Implied volatility surface from an options chain.
+ *
+ * Each expiry's out-of-the-money quotes (calls above the forward, puts below) are
+ * turned into implied volatilities and fitted with Gatheral's raw SVI smile in
+ * total variance w = σ²T against log forward moneyness k = ln(K/F). Between expiries
+ * the surface interpolates total variance linearly at constant k, which keeps it free
+ * of calendar arbitrage whenever the fitted slices are; outside the quoted tenors the
+ * nearest slice's volatility is held flat.
+ *
+ * Deltas for the 25-delta skew are Black-Scholes forward deltas, N(d1) for calls.
+ */
+
+const DAYS_PER_YEAR = 365;
+const SECONDS_PER_YEAR = DAYS_PER_YEAR * 24 * 60 * 60;
+
+// Quotes that fail any of these are treated as stale or illiquid and left out of the fit
+const DEFAULT_FILTERS = {
+  minDaysToExpiry: 7,
+  maxQuoteAgeDays: 5, // since the contract's last trade
+  maxRelativeSpread: 0.5, // (ask - bid) / mid
+  minOpenInterest: 10, // unless the contract traded today
+  minPrice: 0.05
+};
+
+const DEFAULT_MONEYNESS = [0.7, 0.8, 0.85, 0.9, 0.95, 1, 1.05, 1.1, 1.15, 1.2, 1.3];
+
+// Log-moneyness points for the arbitrage checks
+const CHECK_POINTS = Array.from({ length: 61 }, (_, i) => -1.5 + i * 0.05);
+
+const SVI_PARAMETERS = 5;
+
+// Each American quote inverts a binomial tree, so a full multi-expiry chain would block the server for minutes
+const MAX_AMERICAN_QUOTES = 300;
+
+class VolSurfaceModel {
+  constructor(options = {}) {
+    this.optionsModel = options.optionsModel || new OptionsModel({ steps: options.steps });
+    this.filters = { ...DEFAULT_FILTERS, ...(options.filters || {}) };
+  }
+
+  /**
+   * Fit a volatility surface to every expiry in an options chain. Quotes are inverted
+   * with Black-Scholes unless style is 'american'.
+   * @param {Object} chain - Yahoo options chain with one entry in `options` per expiration
+   * @param {Object} options - { style, dividendYield, dividends: [{ date, amount }], riskFreeRate, riskFreeCurve: [{ time, rate }],
+   *   valuationDate, steps, filters, moneyness (K/F grid), tenors (grid days) }
+   * @returns {Object} { underlyingSymbol, spot, valuationDate, style, dividendYield, slices, grid, atmTermStructure, skew25, quotes, arbitrage, warnings }
+   */
+  buildSurface(chain, options = {}) {
+    try {
+      const spot = chain && chain.quote && chain.quote.regularMarketPrice;
+      if (!(spot > 0) || !Array.isArray(chain.options)) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'options chain needs quote.regularMarketPrice and an options array', [
+          { path: 'chain', message: 'not a Yahoo options chain' }
+        ]);
+      }
+      if (!Number.isFinite(options.riskFreeRate) && !(Array.isArray(options.riskFreeCurve) && options.riskFreeCurve.length > 0)) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'a riskFreeRate or riskFreeCurve is required', [
+          { path: 'riskFreeRate', message: 'riskFreeRate or riskFreeCurve is required' }
+        ]);
+      }
+
+      const filters = { ...this.filters, ...(options.filters || {}) };
+      const style = options.style || 'european';
+      const dividendYield = options.dividendYield ?? chain.quote.trailingAnnualDividendYield ?? 0;
+      const valuationDate = options.valuationDate ? new Date(options.valuationDate) : new Date();
+      const now = valuationDate.getTime() / 1000;
+      const warnings = [];
+      const excluded = { noQuote: 0, wideSpread: 0, illiquid: 0, stale: 0, belowMinPrice: 0, inTheMoney: 0, noImpliedVolatility: 0 };
+      let total = 0;
+      let inverted = 0;
+
+      const slices = [];
+      chain.options
+        .slice()
+        .sort((a, b) => a.expirationDate - b.expirationDate)
+        .forEach(expiry => {
+          const expirationDate = new Date(expiry.expirationDate * 1000).toISOString().split('T')[0];
+          const time = (expiry.expirationDate - now) / SECONDS_PER_YEAR;
+          const contracts = [...(expiry.calls || []).map(c => ({ ...c, type: 'call' })), ...(expiry.puts || []).map(c => ({ ...c, type: 'put' }))];
+          total += contracts.length;
+
+          if (time * DAYS_PER_YEAR < filters.minDaysToExpiry) {
+            warnings.push(warning(WARNING_CODES.MISSING_DATA, `${expirationDate}: expires within ${filters.minDaysToExpiry} days and was left out`, { expirationDate }));
+            return;
+          }
+
+          const rate = Number.isFinite(options.riskFreeRate) ? options.riskFreeRate : this.optionsModel.rateForTime(options.riskFreeCurve, time);
+          const dividends = (options.dividends || [])
+            .map(dividend => ({ amount: dividend.amount, time: (new Date(dividend.date).getTime() / 1000 - now) / SECONDS_PER_YEAR }))
+            .filter(dividend => dividend.time > 0 && dividend.time < time);
+          const forward = (spot - this.optionsModel.dividendPresentValue(dividends, time, rate)) * Math.exp((rate - dividendYield) * time);
+          const params = { style, spot, time, rate, dividendYield, dividends, steps: options.steps };
+
+          const points = [];
+          contracts.forEach(contract => {
+            const reason = this.exclusionReason(contract, forward, now, filters);
+            if (reason) {
+              excluded[reason]++;
+              return;
+            }
+            if (style === 'american' && ++inverted > MAX_AMERICAN_QUOTES) {
+              throw new ModelError(ERROR_CODES.INVALID_INPUT, `American implied volatilities are limited to ${MAX_AMERICAN_QUOTES} quotes per surface`, [
+                { path: 'style', message: 'use style european, or fewer expirations or tighter filters' }
+              ]);
+            }
+            const marketPrice = (contract.bid + contract.ask) / 2;
+            try {
+              const { volatility } = this.optionsModel.impliedVolatility(marketPrice, { ...params, type: contract.type, strike: contract.strike });
+              const logMoneyness = Math.log(contract.strike / forward);
+              points.push({
+                contractSymbol: contract.contractSymbol,
+                type: contract.type,
+                strike: contract.strike,
+                moneyness: contract.strike / forward,
+                logMoneyness,
+                marketPrice,
+                impliedVolatility: volatility,
+                totalVariance: volatility * volatility * time
+              });
+            } catch (error) {
+              excluded.noImpliedVolatility++;
+            }
+          });
+
+          if (points.length < SVI_PARAMETERS) {
+            warnings.push(warning(
+              WARNING_CODES.MISSING_DATA,
+              `${expirationDate}: ${points.length} usable quote(s), at least ${SVI_PARAMETERS} are needed to fit a smile`,
+              { expirationDate, quotes: points.length }
+            ));
+            return;
+          }
+
+          const fit = this.fitSVI(points);
+          if (!fit.converged) {
+            warnings.push(warning(WARNING_CODES.SOLVER_NOT_CONVERGED, `${expirationDate}: SVI fit did not converge`, { expirationDate }));
+          }
+          const sviVolatility = logMoneyness => Math.sqrt(Math.max(this.sviTotalVariance(fit.svi, logMoneyness), 0) / time);
+          const fitted = points
+            .sort((a, b) => a.strike - b.strike)
+            .map(point => ({ ...point, fittedVolatility: sviVolatility(point.logMoneyness) }));
+
+          slices.push({
+            expirationDate,
+            days: Math.round(time * DAYS_PER_YEAR),
+            time,
+            rate,
+            forward,
+            svi: fit.svi,
+            rmse: Math.sqrt(fitted.reduce((sum, point) => sum + (point.fittedVolatility - point.impliedVolatility) ** 2, 0) / fitted.length),
+            atmVolatility: sviVolatility(0),
+            points: fitted
+          });
+        });
+
+      if (slices.length === 0) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, 'no expiration has enough liquid quotes to fit a volatility smile', [
+          { path: 'chain.options', message: 'no expiration has enough usable quotes' }
+        ]);
+      }
+
+      const skew25 = slices.map(slice => this.skew25(slice, warnings));
+      const arbitrage = this.checkArbitrage(slices);
+      arbitrage.butterfly.forEach(violation => warnings.push(warning(
+        WARNING_CODES.ARBITRAGE_VIOLATION,
+        `${violation.expirationDate}: SVI smile admits butterfly arbitrage between log-moneyness ${violation.from} and ${violation.to}`,
+        violation
+      )));
+      arbitrage.calendar.forEach(violation => warnings.push(warning(
+        WARNING_CODES.ARBITRAGE_VIOLATION,
+        `${violation.expirationDate}: total variance falls below the ${violation.previousExpirationDate} slice between log-moneyness ${violation.from} and ${violation.to}`,
+        violation
+      )));
+
+      const used = slices.reduce((sum, slice) => sum + slice.points.length, 0);
+      return {
+        underlyingSymbol: chain.underlyingSymbol || chain.quote.symbol || null,
+        spot,
+        valuationDate: valuationDate.toISOString(),
+        style,
+        dividendYield,
+        slices,
+        grid: this.grid(slices, options.moneyness || DEFAULT_MONEYNESS, options.tenors || slices.map(slice => slice.days), spot, dividendYield, options),
+        atmTermStructure: slices.map(slice => ({ expirationDate: slice.expirationDate, days: slice.days, time: slice.time, atmVolatility: slice.atmVolatility })),
+        skew25,
+        quotes: { total, used, excluded },
+        arbitrage,
+        warnings
+      };
+    } catch (error) {
+      console.error('Volatility surface calculation error:', error);
+      throw ModelError.wrap(error, 'Volatility surface calculation failed');
+    }
+  }
+
+  /**
+   * Why a quote is left out of the fit, or null to keep it. Only out-of-the-money contracts are
+   * kept: they are the more liquid side and carry little early-exercise premium.
+   */
+  exclusionReason(contract, forward, now, filters) {
+    const { bid, ask } = contract;
+    if (!(bid > 0) || !(ask >= bid)) return 'noQuote';
+    const mid = (bid + ask) / 2;
+    if (mid < filters.minPrice) return 'belowMinPrice';
+    if ((ask - bid) / mid > filters.maxRelativeSpread) return 'wideSpread';
+    if ((contract.openInterest || 0) < filters.minOpenInterest && !(contract.volume > 0)) return 'illiquid';
+    if (contract.lastTradeDate && (now - contract.lastTradeDate) / (24 * 60 * 60) > filters.maxQuoteAgeDays) return 'stale';
+    if (contract.type === 'call' ? contract.strike < forward : contract.strike >= forward) return 'inTheMoney';
+    return null;
+  }
+
+  /**
+   * Raw SVI total variance w(k) = a + b (ρ (k - m) + sqrt((k - m)² + σ²))
+   */
+  sviTotalVariance({ a, b, rho, m, sigma }, k) {
+    return a + b * (rho * (k - m) + Math.sqrt((k - m) ** 2 + sigma * sigma));
+  }
+
+  /**
+   * Least-squares SVI fit in total variance (Zeliade's quasi-explicit method): for fixed m and σ
+   * the smile is linear in its other three parameters, so only m and σ are searched.
+   * @param {Array} points - [{ logMoneyness, totalVariance }]
+   * @returns {Object} { svi: { a, b, rho, m, sigma }, sse, converged }
+   */
+  fitSVI(points) {
+    const ks = points.map(point => point.logMoneyness);
+    const ws = points.map(point => point.totalVariance);
+
+    // Best a, d = ρbσ, c = bσ for fixed m and σ, projected onto the no-arbitrage bounds c >= 0, |d| <= c, min w >= 0
+    const innerFit = (m, sigma) => {
+      const ys = ks.map(k => (k - m) / sigma);
+      const design = new Matrix(ys.map(y => [1, y, Math.sqrt(y * y + 1)]));
+      let [a, d, c] = solve(design, Matrix.columnVector(ws), true).to1DArray();
+      if (!(c >= 0) || Math.abs(d) > c) {
+        c = Math.max(c, 0);
+        d = Math.max(-c, Math.min(d, c));
+        a = ws.reduce((sum, w, i) => sum + w - d * ys[i] - c * Math.sqrt(ys[i] * ys[i] + 1), 0) / ws.length;
+      }
+      a = Math.max(a, -Math.sqrt(c * c - d * d));
+      const sse = ws.reduce((sum, w, i) => sum + (a + d * ys[i] + c * Math.sqrt(ys[i] * ys[i] + 1) - w) ** 2, 0);
+      return { a, d, c, sse };
+    };
+
+    const toParameters = ([m, logSigma]) => ({ m, sigma: Math.exp(logSigma) });
+    const objective = x => {
+      const { m, sigma } = toParameters(x);
+      return innerFit(m, sigma).sse;
+    };
+
+    const search = nelderMead(objective, [0, Math.log(0.1)], { steps: [0.1, 1], maxIterations: 1000, tolerance: 1e-12 });
+    const { m, sigma } = toParameters(search.point);
+    const { a, d, c, sse } = innerFit(m, sigma);
+    return {
+      svi: { a, b: c / sigma, rho: c > 0 ? d / c : 0, m, sigma },
+      sse,
+      converged: search.converged
+    };
+  }
+
+  /**
+   * Volatilities at the 25-delta put and call, with risk reversal (call - put) and butterfly
+   */
+  skew25(slice, warnings) {
+    const { svi, time } = slice;
+    const variance = k => Math.max(this.sviTotalVariance(svi, k), 1e-12);
+    const callDelta = k => normalCDF((-k + variance(k) / 2) / Math.sqrt(variance(k)));
+    const volatilityAt = k => Math.sqrt(variance(k) / time);
+
+    // Call delta falls with strike: 0.25 above the forward, 0.75 (a -0.25 put) below it
+    const point = delta => {
+      try {
+        const { root } = solveFor(callDelta, delta, { lower: -3, upper: 3 });
+        return { logMoneyness: root, strike: slice.forward * Math.exp(root), volatility: volatilityAt(root) };
+      } catch (error) {
+        warnings.push(warning(WARNING_CODES.MISSING_DATA, `${slice.expirationDate}: no ${delta === 0.25 ? 'call' : 'put'} strike at 25 delta`, { expirationDate: slice.expirationDate }));
+        return null;
+      }
+    };
+
+    const put = point(0.75);
+    const call = point(0.25);
+    return {
+      expirationDate: slice.expirationDate,
+      days: slice.days,
+      atmVolatility: slice.atmVolatility,
+      put,
+      call,
+      riskReversal: put && call ? call.volatility - put.volatility : null,
+      butterfly: put && call ? (call.volatility + put.volatility) / 2 - slice.atmVolatility : null
+    };
+  }
+
+  /**
+   * Butterfly arbitrage (Gatheral's density condition g(k) >= 0) in each slice and calendar
+   * arbitrage (total variance decreasing with tenor) between neighbouring slices
+   * @returns {Object} { butterfly: [{ expirationDate, from, to, minimum }], calendar: [{ expirationDate, previousExpirationDate, from, to }] }
+   */
+  checkArbitrage(slices) {
+    const butterfly = [];
+    const calendar = [];
+
+    slices.forEach((slice, index) => {
+      const { a, b, rho, m, sigma } = slice.svi;
+      const density = k => {
+        const root = Math.sqrt((k - m) ** 2 + sigma * sigma);
+        const w = a + b * (rho * (k - m) + root);
+        const w1 = b * (rho + (k - m) / root);
+        const w2 = b * sigma * sigma / root ** 3;
+        return (1 - k * w1 / (2 * w)) ** 2 - (w1 * w1 / 4) * (1 / w + 0.25) + w2 / 2;
+      };
+      const negative = CHECK_POINTS.filter(k => !(density(k) >= 0));
+      if (negative.length > 0) {
+        butterfly.push({
+          expirationDate: slice.expirationDate,
+          from: round(negative[0]),
+          to: round(negative[negative.length - 1]),
+          minimum: Math.min(...negative.map(density).filter(Number.isFinite))
+        });
+      }
+
+      if (index > 0) {
+        const previous = slices[index - 1];
+        const below = CHECK_POINTS.filter(k => this.sviTotalVariance(slice.svi, k) < this.sviTotalVariance(previous.svi, k) - 1e-10);
+        if (below.length > 0) {
+          calendar.push({
+            expirationDate: slice.expirationDate,
+            previousExpirationDate: previous.expirationDate,
+            from: round(below[0]),
+            to: round(below[below.length - 1])
+          });
+        }
+      }
+    });
+
+    return { butterfly, calendar };
+  }
+
+  /**
+   * Volatility at a tenor and log forward moneyness, interpolating total variance between slices
+   */
+  volatilityAt(slices, time, k) {
+    const first = slices[0];
+    const last = slices[slices.length - 1];
+    const w = slice => Math.max(this.sviTotalVariance(slice.svi, k), 0);
+
+    let variance;
+    if (time <= first.time) {
+      variance = w(first) * time / first.time;
+    } else if (time >= last.time) {
+      variance = w(last) * time / last.time;
+    } else {
+      const upperIndex = slices.findIndex(slice => slice.time >= time);
+      const lower = slices[upperIndex - 1];
+      const upper = slices[upperIndex];
+      variance = w(lower) + (w(upper) - w(lower)) * (time - lower.time) / (upper.time - lower.time);
+    }
+    return Math.sqrt(variance / time);
+  }
+
+  /**
+   * Surface sampled on tenor (days) x forward moneyness (K/F); strikes use each tenor's forward
+   * @returns {Object} { moneyness, tenors: [{ days, time, forward, strikes, volatilities }] }
+   */
+  grid(slices, moneyness, tenors, spot, dividendYield, options) {
+    const rateAt = time => (Number.isFinite(options.riskFreeRate)
+      ? options.riskFreeRate
+      : this.optionsModel.rateForTime(options.riskFreeCurve, time));
+
+    return {
+      moneyness,
+      tenors: [...new Set(tenors)].sort((a, b) => a - b).map(days => {
+        const time = days / DAYS_PER_YEAR;
+        const forward = spot * Math.exp((rateAt(time) - dividendYield) * time);
+        return {
+          days,
+          time,
+          forward,
+          strikes: moneyness.map(level => forward * level),
+          volatilities: moneyness.map(level => this.volatilityAt(slices, time, Math.log(level)))
+        };
+      })
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = VolSurfaceModel;
@@ -0,0 +1,265 @@
+const { Matrix, solve } = require('ml-matrix');
+const { nelderMead } = require('../utils/solvers');
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning
+} = require('../utils/validation');
+
+/**
+ * Treasury zero curve bootstrapped from constant-maturity par yields (FRED GS3M-GS30).
+ *
+ * Par yields are semi-annual bond-equivalent rates. Tenors up to six months pay no
+ * coupon before maturity; longer tenors are bootstrapped coupon by coupon, with par
+ * yields between quoted tenors interpolated linearly. Zero and forward rates are
+ * continuously compounded; times are in years.
+ *
+ * Between pillars the zero curve is interpolated linearly, with a natural cubic spline,
+ * or from a Nelson-Siegel-Svensson fit to the pillar zero rates. Linear and spline
+ * curves are held flat beyond the first and last pillars.
+ *
+ * A curve is a plain object, so it can be returned from an endpoint and passed back
+ * in as a model input: { date, method, pillars: [{ tenor, time, parYield, zeroRate, discountFactor }], nss }
+ */
+
+const METHODS = ['linear', 'cubic', 'nss'];
+
+// Years to maturity of each FRED constant-maturity series in FREDApi.getYieldCurve
+const TENORS = { '3M': 0.25, '6M': 0.5, '1Y': 1, '2Y': 2, '3Y': 3, '5Y': 5, '7Y': 7, '10Y': 10, '20Y': 20, '30Y': 30 };
+
+const COUPONS_PER_YEAR = 2;
+const NSS_PARAMETERS = 6;
+
+// Default times for sampled curves
+const SAMPLE_TIMES = [0.25, 0.5, 1, 2, 3, 5, 7, 10, 15, 20, 25, 30];
+
+class YieldCurveModel {
+  constructor(options = {}) {
+    this.method = options.method || 'linear';
+  }
+
+  /**
+   * Bootstrap a zero curve from one day's par yields
+   * @param {Object} observation - { date, yields: { '3M': 4.1, ... } } in percent, as returned by FREDApi.getYieldCurve
+   * @param {Object} options - { method: 'linear'|'cubic'|'nss' }
+   * @returns {Object} { date, method, pillars: [{ tenor, time, parYield, zeroRate, discountFactor }], nss, warnings }
+   */
+  build(observation, options = {}) {
+    try {
+      const method = options.method || this.method;
+      if (!METHODS.includes(method)) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, `method must be one of: ${METHODS.join(', ')}`, [
+          { path: 'method', message: `method must be one of: ${METHODS.join(', ')}` }
+        ]);
+      }
+
+      const yields = (observation && observation.yields) || {};
+      const quotes = Object.entries(TENORS)
+        .filter(([tenor]) => Number.isFinite(yields[tenor]))
+        .map(([tenor, time]) => ({ tenor, time, parYield: yields[tenor] / 100 }));
+      const minimum = method === 'nss' ? NSS_PARAMETERS : 2;
+      if (quotes.length < minimum) {
+        throw new ModelError(ERROR_CODES.INVALID_INPUT, `${quotes.length} par yield(s) given; the ${method} curve needs at least ${minimum}`, [
+          { path: 'yields', message: `at least ${minimum} of ${Object.keys(TENORS).join(', ')} are required` }
+        ]);
+      }
+
+      const warnings = Object.keys(TENORS)
+        .filter(tenor => !Number.isFinite(yields[tenor]))
+        .map(tenor => warning(WARNING_CODES.MISSING_DATA, `no ${tenor} par yield; the curve interpolates across it`, { tenor }));
+
+      const discountFactors = this.bootstrapDiscountFactors(quotes);
+      const pillars = quotes.map(quote => {
+        const discountFactor = discountFactors(quote.time);
+        return { ...quote, zeroRate: -Math.log(discountFactor) / quote.time, discountFactor };
+      });
+
+      const curve = {
+        date: observation.date ? new Date(observation.date).toISOString().split('T')[0] : null,
+        method,
+        pillars,
+        nss: method === 'nss' ? this.fitNSS(pillars) : null
+      };
+      if (curve.nss && !curve.nss.converged) {
+        warnings.push(warning(WARNING_CODES.SOLVER_NOT_CONVERGED, 'Nelson-Siegel-Svensson fit did not converge'));
+      }
+      return { ...curve, warnings };
+    } catch (error) {
+      console.error('Yield curve calculation error:', error);
+      throw ModelError.wrap(error, 'Yield curve calculation failed');
+    }
+  }
+
+  /**
+   * Discount factors at each quoted tenor, bootstrapped coupon by coupon
+   * @param {Array} quotes - [{ time, parYield }] sorted by time
+   * @returns {Function} time -> discount factor, for quoted times
+   */
+  bootstrapDiscountFactors(quotes) {
+    const parYieldAt = time => interpolateLinear(quotes.map(quote => [quote.time, quote.parYield]), time);
+    const factors = new Map();
+
+    // Bills and the first coupon date: a single payment at maturity
+    quotes.filter(quote => quote.time <= 1 / COUPONS_PER_YEAR).forEach(quote => {
+      factors.set(quote.time, Math.pow(1 + quote.parYield / COUPONS_PER_YEAR, -COUPONS_PER_YEAR * quote.time));
+    });
+
+    const last = quotes[quotes.length - 1].time;
+    let couponSum = 0;
+    for (let n = 1; n / COUPONS_PER_YEAR <= last + 1e-9; n++) {
+      const time = n / COUPONS_PER_YEAR;
+      const coupon = parYieldAt(time) / COUPONS_PER_YEAR;
+      const factor = n === 1
+        ? 1 / (1 + coupon)
+        : (1 - coupon * couponSum) / (1 + coupon);
+      if (!(factor > 0)) {
+        throw new ModelError(ERROR_CODES.CALCULATION_FAILED, `bootstrapping gave a non-positive discount factor at ${time} years`);
+      }
+      if (!factors.has(time)) factors.set(time, factor);
+      couponSum += factor;
+    }
+
+    return time => factors.get(time);
+  }
+
+  /**
+   * Least-squares Nelson-Siegel-Svensson fit to the pillar zero rates. The betas are linear
+   * given the two decay times, so only the decay times are searched.
+   * @returns {Object} { beta0, beta1, beta2, beta3, tau1, tau2, rmse, converged }
+   */
+  fitNSS(pillars) {
+    const times = pillars.map(pillar => pillar.time);
+    const rates = pillars.map(pillar => pillar.zeroRate);
+
+    const betasFor = (tau1, tau2) => {
+      const design = new Matrix(times.map(time => nssLoadings(time, tau1, tau2)));
+      const betas = solve(design, Matrix.columnVector(rates), true).to1DArray();
+      const sse = times.reduce((sum, time, i) => sum + (dot(nssLoadings(time, tau1, tau2), betas) - rates[i]) ** 2, 0);
+      return { betas, sse };
+    };
+    const decayTimes = ([logTau1, logTau2]) => [Math.exp(logTau1), Math.exp(logTau2)];
+
+    const search = nelderMead(x => betasFor(...decayTimes(x)).sse, [Math.log(1.5), Math.log(8)], {
+      steps: [0.5, 0.5],
+      maxIterations: 1000,
+      tolerance: 1e-14
+    });
+    const [tau1, tau2] = decayTimes(search.point);
+    const { betas: [beta0, beta1, beta2, beta3], sse } = betasFor(tau1, tau2);
+    return { beta0, beta1, beta2, beta3, tau1, tau2, rmse: Math.sqrt(sse / times.length), converged: search.converged };
+  }
+
+  /**
+   * Continuously compounded zero rate for a maturity
+   * @param {Object} curve - Curve from build
+   * @param {number} time - Years
+   * @returns {number} Zero rate
+   */
+  zeroRate(curve, time) {
+    const { pillars, nss } = curve;
+    if (curve.method === 'nss') {
+      return dot(nssLoadings(time, nss.tau1, nss.tau2), [nss.beta0, nss.beta1, nss.beta2, nss.beta3]);
+    }
+    const points = pillars.map(pillar => [pillar.time, pillar.zeroRate]);
+    return curve.method === 'cubic' ? interpolateSpline(points, time) : interpolateLinear(points, time);
+  }
+
+  discountFactor(curve, time) {
+    return Math.exp(-this.zeroRate(curve, time) * time);
+  }
+
+  /**
+   * Continuously compounded forward rate between two times
+   */
+  forwardRate(curve, start, end) {
+    if (start <= 0) return this.zeroRate(curve, end);
+    return (this.zeroRate(curve, end) * end - this.zeroRate(curve, start) * start) / (end - start);
+  }
+
+  /**
+   * Annually compounded zero rate, the convention the DCF discounts with
+   */
+  annualRate(curve, time) {
+    return Math.exp(this.zeroRate(curve, time)) - 1;
+  }
+
+  /**
+   * Zero rates, discount factors and forward rates (from the previous time) on a set of times
+   * @returns {Array} [{ time, zeroRate, discountFactor, forwardRate }]
+   */
+  sample(curve, times = SAMPLE_TIMES) {
+    const sorted = [...times].sort((a, b) => a - b);
+    return sorted.map((time, i) => ({
+      time,
+      zeroRate: this.zeroRate(curve, time),
+      discountFactor: this.discountFactor(curve, time),
+      forwardRate: this.forwardRate(curve, i === 0 ? 0 : sorted[i - 1], time)
+    }));
+  }
+
+  /**
+   * Whether a value looks like a curve from build
+   */
+  static isCurve(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+      && METHODS.includes(value.method) && Array.isArray(value.pillars) && value.pillars.length > 0
+      && (value.method !== 'nss' || Boolean(value.nss));
+  }
+}
+
+// Svensson factor loadings for beta0..beta3 at a maturity
+function nssLoadings(time, tau1, tau2) {
+  const slope = tau => (time > 0 ? (1 - Math.exp(-time / tau)) / (time / tau) : 1);
+  const hump = tau => slope(tau) - Math.exp(-time / tau);
+  return [1, slope(tau1), hump(tau1), hump(tau2)];
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+// Linear interpolation over sorted [x, y] points, flat beyond the ends
+function interpolateLinear(points, x) {
+  if (x <= points[0][0]) return points[0][1];
+  const last = points[points.length - 1];
+  if (x >= last[0]) return last[1];
+  const upper = points.findIndex(point => point[0] >= x);
+  const [x0, y0] = points[upper - 1];
+  const [x1, y1] = points[upper];
+  return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+// Natural cubic spline through sorted [x, y] points, flat beyond the ends
+function interpolateSpline(points, x) {
+  const n = points.length;
+  if (n < 3 || x <= points[0][0] || x >= points[n - 1][0]) return interpolateLinear(points, x);
+
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const h = xs.slice(1).map((value, i) => value - xs[i]);
+
+  // Second derivatives from the tridiagonal system (Thomas algorithm), zero at both ends
+  const second = new Array(n).fill(0);
+  const diagonal = new Array(n).fill(0);
+  const rhs = new Array(n).fill(0);
+  for (let i = 1; i < n - 1; i++) {
+    diagonal[i] = 2 * (h[i - 1] + h[i]);
+    rhs[i] = 6 * ((ys[i + 1] - ys[i]) / h[i] - (ys[i] - ys[i - 1]) / h[i - 1]);
+  }
+  for (let i = 2; i < n - 1; i++) {
+    const factor = h[i - 1] / diagonal[i - 1];
+    diagonal[i] -= factor * h[i - 1];
+    rhs[i] -= factor * rhs[i - 1];
+  }
+  for (let i = n - 2; i >= 1; i--) {
+    second[i] = (rhs[i] - h[i] * second[i + 1]) / diagonal[i];
+  }
+
+  const i = xs.findIndex(value => value >= x) - 1;
+  const a = (xs[i + 1] - x) / h[i];
+  const b = (x - xs[i]) / h[i];
+  return a * ys[i] + b * ys[i + 1] + ((a ** 3 - a) * second[i] + (b ** 3 - b) * second[i + 1]) * h[i] * h[i] / 6;
+}
+
+module.exports = YieldCurveModel;
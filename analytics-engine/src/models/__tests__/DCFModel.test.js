@@ -0,0 +1,211 @@
+const DCFModel = require('../DCFModel');
+const { RandomGenerator } = require('../../utils/random');
+
+const financialData = {
+  revenue: 1000,
+  sharesOutstanding: 100,
+  currentPrice: 12,
+  cash: 50,
+  totalDebt: 200
+};
+
+const projections = {
+  revenueGrowth: [0.08, 0.07, 0.06, 0.05, 0.04],
+  ebitdaMargin: [0.2, 0.21, 0.22, 0.22, 0.22]
+};
+
+const constructorOptions = { discountRate: 0.09, terminalGrowthRate: 0.02 };
+
+// Yield to the event loop so calls from different tasks interleave
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Own fields of the instance, to check that no call leaves state behind
+const snapshot = model => JSON.parse(JSON.stringify(model));
+
+// A generator that fails after a number of draws, to throw from inside the simulation loop
+function failingRandom(draws) {
+  const random = new RandomGenerator({ seed: 7 });
+  const uniform = random.uniform.bind(random);
+  let remaining = draws;
+  random.uniform = () => {
+    if (remaining-- <= 0) throw new Error('random source failed');
+    return uniform();
+  };
+  return random;
+}
+
+describe('DCFModel with one instance shared between concurrent calls', () => {
+  let shared;
+
+  beforeEach(() => {
+    shared = new DCFModel(constructorOptions);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const calls = [
+    {
+      name: 'calculateDCF at a 12% discount rate',
+      run: model => model.calculateDCF(financialData, projections, { discountRate: 0.12 })
+    },
+    {
+      name: 'calculateDCF with an exit multiple terminal value',
+      run: model => model.calculateDCF(financialData, projections, { terminalMethod: 'exitMultiple', exitMultiple: 9 })
+    },
+    {
+      name: 'calculateDCF on the instance assumptions',
+      run: model => model.calculateDCF(financialData, projections)
+    },
+    {
+      name: 'sensitivityAnalysis with a mid-year convention',
+      run: model => model.sensitivityAnalysis(financialData, projections, {
+        discountRates: [0.08, 0.1],
+        terminalGrowthRates: [0.01, 0.03]
+      }, { midYearConvention: true })
+    },
+    {
+      name: 'sensitivityAnalysis on the instance assumptions',
+      run: model => model.sensitivityAnalysis(financialData, projections)
+    },
+    {
+      name: 'monteCarloDCF at an 11% discount rate',
+      run: model => model.monteCarloDCF(financialData, projections, 300, { seed: 1, assumptions: { discountRate: 0.11 } })
+    },
+    {
+      name: 'monteCarloDCF with user distributions',
+      run: model => model.monteCarloDCF(financialData, projections, 300, {
+        seed: 2,
+        assumptions: { terminalGrowthRate: 0.03 },
+        distributions: { discountRate: { type: 'uniform', min: 0.08, max: 0.1 } }
+      })
+    }
+  ];
+
+  test('interleaved calls with different overrides match calls on fresh instances', async () => {
+    const expected = calls.map(call => call.run(new DCFModel(constructorOptions)));
+    const before = snapshot(shared);
+
+    // Each task runs every call in a different order, yielding between calls
+    const tasks = calls.map((_, offset) => (async () => {
+      const results = [];
+      for (let i = 0; i < calls.length; i++) {
+        const index = (i + offset) % calls.length;
+        await tick();
+        results[index] = calls[index].run(shared);
+      }
+      return results;
+    })());
+
+    const outcomes = await Promise.all(tasks);
+    outcomes.forEach(results => {
+      results.forEach((result, i) => expect(result).toEqual(expected[i]));
+    });
+    expect(snapshot(shared)).toEqual(before);
+  });
+
+  test('the overrides of one call do not leak into the next', () => {
+    const high = shared.calculateDCF(financialData, projections, { discountRate: 0.15, terminalGrowthRate: 0.01 });
+    const base = shared.calculateDCF(financialData, projections);
+
+    expect(high.assumptions.discountRate).toBe(0.15);
+    expect(base.assumptions.discountRate).toBe(0.09);
+    expect(base).toEqual(new DCFModel(constructorOptions).calculateDCF(financialData, projections));
+  });
+
+  test('a call that throws leaves later calls unaffected', async () => {
+    const expected = calls.map(call => call.run(new DCFModel(constructorOptions)));
+    const before = snapshot(shared);
+
+    const failures = [
+      // Rejected before any calculation
+      () => shared.calculateDCF(financialData, projections, { discountRate: 0.05, terminalGrowthRate: 0.06 }),
+      // Thrown from inside the simulation loop after some paths have run
+      () => shared.monteCarloDCF(financialData, projections, 300, {
+        random: failingRandom(500),
+        assumptions: { discountRate: 0.14 }
+      }),
+      () => shared.monteCarloDCF(financialData, projections, 10, {
+        distributions: { discountRate: { type: 'normal', mean: 0.1, std: 0.001, min: 0.2, max: 0.3 } }
+      })
+    ];
+
+    for (const fail of failures) {
+      await tick();
+      expect(fail).toThrow();
+      expect(snapshot(shared)).toEqual(before);
+      calls.forEach((call, i) => expect(call.run(shared)).toEqual(expected[i]));
+    }
+  });
+
+  test('failures in one task do not disturb a concurrent task', async () => {
+    const expected = calls.map(call => call.run(new DCFModel(constructorOptions)));
+
+    const failing = (async () => {
+      const messages = [];
+      for (let i = 0; i < calls.length; i++) {
+        await tick();
+        try {
+          shared.monteCarloDCF(financialData, projections, 200, { random: failingRandom(50 * (i + 1)), assumptions: { discountRate: 0.2 } });
+        } catch (error) {
+          messages.push(error.message);
+        }
+      }
+      return messages;
+    })();
+
+    const working = (async () => {
+      const results = [];
+      for (const call of calls) {
+        await tick();
+        results.push(call.run(shared));
+      }
+      return results;
+    })();
+
+    const [failures, results] = await Promise.all([failing, working]);
+    expect(failures).toHaveLength(calls.length);
+    results.forEach((result, i) => expect(result).toEqual(expected[i]));
+  });
+});
+
+describe('DCFModel Monte Carlo with scalar projections', () => {
+  const withBalanceSheet = {
+    ...financialData,
+    balanceSheet: { cash: 100, accountsReceivable: 120, inventory: 80, ppe: 500, accountsPayable: 60, debt: 200, equity: 540 }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('centres each year on the scalar, as the three-statement projection applies it', () => {
+    const model = new DCFModel(constructorOptions);
+    const scalar = model.monteCarloDCF(withBalanceSheet, { revenueGrowth: 0.2, ebitdaMargin: 0.4 }, 200, { seed: 3 });
+    const arrays = model.monteCarloDCF(withBalanceSheet, { revenueGrowth: Array(5).fill(0.2), ebitdaMargin: Array(5).fill(0.4) }, 200, { seed: 3 });
+
+    expect(scalar.intrinsicValue).toEqual(arrays.intrinsicValue);
+  });
+});
+
+describe('DCFModel Monte Carlo defaults', () => {
+  test('centres depreciation and capex on the revenue share calculateDCF falls back to', () => {
+    const model = new DCFModel(constructorOptions);
+    const drawn = model.generateRandomProjections(projections, new RandomGenerator({ seed: 5 }), {}, null,
+      model.resolveAssumptions(), financialData.revenue);
+
+    let revenue = financialData.revenue;
+    drawn.revenueGrowth.forEach((growth, year) => {
+      revenue *= 1 + growth;
+      expect(drawn.depreciation[year]).toBeCloseTo(revenue * 0.03, 0);
+      expect(drawn.capex[year]).toBeCloseTo(revenue * 0.04, 0);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const FootballFieldModel = require('../FootballFieldModel');
+
+// No share count, cash or debt here: those come from `company`
+const dcf = {
+  financialData: { revenue: 1000 },
+  projections: {
+    revenueGrowth: [0.05, 0.05, 0.05, 0.05, 0.05],
+    ebitdaMargin: [0.2, 0.2, 0.2, 0.2, 0.2]
+  },
+  assumptions: { discountRate: 0.09, terminalGrowthRate: 0.02 }
+};
+
+const fiftyTwoWeek = { low: 50, high: 80 };
+
+const band = (result, method) => result.bands.find(b => b.method === method);
+
+describe('FootballFieldModel DCF band', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('values the DCF per share through the company share count and net debt', () => {
+    const result = new FootballFieldModel().build({ company: { sharesOutstanding: 10, netDebt: 40 }, dcf, fiftyTwoWeek });
+    const dcfBand = band(result, 'dcf');
+
+    expect(dcfBand.error).toBeNull();
+    expect(dcfBand.mid).toBeCloseTo((dcfBand.details.enterpriseValue - 40) / 10, 8);
+    expect(dcfBand.low).toBeGreaterThan(0);
+    expect(dcfBand.low).toBeLessThan(dcfBand.mid);
+    expect(dcfBand.high).toBeGreaterThan(dcfBand.mid);
+    expect(result.range.low).toBe(50);
+  });
+
+  test('fails the DCF band with INVALID_INPUT when no share count is available', () => {
+    const result = new FootballFieldModel().build({ dcf, fiftyTwoWeek });
+    const dcfBand = band(result, 'dcf');
+
+    expect(dcfBand.low).toBeNull();
+    expect(dcfBand.error.code).toBe('INVALID_INPUT');
+    expect(dcfBand.error.details[0].path).toBe('company.sharesOutstanding');
+    expect(result.range).toEqual({ low: 50, high: 80 });
+    expect(result.warnings.map(w => w.code)).toContain('FAILED_SCENARIOS');
+  });
+});
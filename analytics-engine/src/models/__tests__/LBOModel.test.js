@@ -0,0 +1,189 @@
+const LBOModel = require('../LBOModel');
+const { buildPeriods } = require('../../utils/periods');
+
+// Revenue is set directly so the projections do not depend on the margin back-solve
+const baseDeal = {
+  enterpriseValue: 1000,
+  ebitda: 200,
+  exitMultiple: 8,
+  ebitdaMargin: 0.2,
+  baseRevenue: 1000,
+  termLoanB: 400
+};
+
+const revenues = result => result.projections.map(p => p.revenue);
+
+describe('LBOModel revenue projections', () => {
+  test('chains each year\'s growth rate onto the previous year', () => {
+    const result = new LBOModel({ holdPeriod: 3 }).calculateLBO({ ...baseDeal, revenueGrowth: [0.1, 0.2, 0.05] });
+
+    // 1000 -> x1.10 -> x1.20 -> x1.05
+    const expected = [1000, 1100, 1320, 1386];
+    revenues(result).forEach((revenue, i) => expect(revenue).toBeCloseTo(expected[i], 8));
+
+    // The old formula raised each year's rate to the power of the year: 1000 * 1.2^2 and 1000 * 1.05^3
+    expect(result.projections[2].revenue).not.toBeCloseTo(1440, 0);
+    expect(result.projections[3].revenue).not.toBeCloseTo(1157.625, 0);
+  });
+
+  test('carries the last growth rate forward past the end of the array', () => {
+    const result = new LBOModel({ holdPeriod: 3 }).calculateLBO({ ...baseDeal, revenueGrowth: [0.1] });
+
+    expect(result.projections[3].revenue).toBeCloseTo(1331, 8);
+  });
+
+  test('splits quarterly periods so four quarters compound to one year of growth', () => {
+    const result = new LBOModel({ holdPeriod: 1 }).calculateLBO({ ...baseDeal, revenueGrowth: 0.21, periodicity: 'quarterly' });
+    const quarters = result.projections.slice(1);
+
+    expect(quarters).toHaveLength(4);
+    quarters.forEach(quarter => {
+      expect(quarter.fraction).toBeCloseTo(0.25, 12);
+      expect(quarter.year).toBe(1);
+    });
+
+    // Run rate grows by 1.21^(1/4) = 1.1^(1/2) a quarter; revenue is a quarter of the run rate
+    expect(quarters[0].revenue).toBeCloseTo(250 * Math.sqrt(1.1), 8); // 262.2022
+    expect(quarters[1].revenue).toBeCloseTo(275, 8);
+    expect(quarters[3].revenue).toBeCloseTo(302.5, 8);
+    expect(quarters[3].runRateEbitda).toBeCloseTo(1210 * 0.2, 8);
+  });
+
+  test('compounds monthly periods to the annual rate', () => {
+    const result = new LBOModel({ holdPeriod: 1 }).calculateLBO({ ...baseDeal, revenueGrowth: 0.44, periodicity: 'monthly' });
+    const months = result.projections.slice(1);
+
+    expect(months).toHaveLength(12);
+    // Six months of 44% annual growth is 1.44^(1/2) = 1.2; each month is a twelfth of the run rate
+    expect(months[5].revenue).toBeCloseTo(100, 8);
+    expect(months[11].revenue).toBeCloseTo(120, 8);
+  });
+
+  test('prorates entry and exit stubs against their fiscal years', () => {
+    const result = new LBOModel().calculateLBO({
+      ...baseDeal,
+      revenueGrowth: 0.1,
+      entryDate: '2024-03-31',
+      exitDate: '2026-06-30'
+    });
+    const [, entryStub, fullYear, exitStub] = result.projections;
+
+    // 31 Mar - 31 Dec 2024 is 275 of 366 days; 31 Dec 2025 - 30 Jun 2026 is 181 of 365
+    expect(entryStub.fraction).toBeCloseTo(275 / 366, 12);
+    expect(fullYear.fraction).toBe(1);
+    expect(exitStub.fraction).toBeCloseTo(181 / 365, 12);
+    expect([entryStub.endDate, fullYear.endDate, exitStub.endDate]).toEqual(['2024-12-31', '2025-12-31', '2026-06-30']);
+
+    expect(entryStub.revenue).toBeCloseTo(1000 * Math.pow(1.1, 275 / 366) * (275 / 366), 8); // 807.147
+    expect(fullYear.revenue).toBeCloseTo(1000 * Math.pow(1.1, 275 / 366 + 1), 8); // 1181.663
+    expect(exitStub.revenue).toBeCloseTo(1000 * Math.pow(1.1, 275 / 366 + 1 + 181 / 365) * (181 / 365), 8); // 614.336
+    expect(result.returns.holdPeriodYears).toBeCloseTo(275 / 366 + 1 + 181 / 365, 12);
+  });
+
+  test('discounts stub-period sponsor flows at their fractional times', () => {
+    const result = new LBOModel().calculateLBO({
+      ...baseDeal,
+      revenueGrowth: 0.1,
+      entryDate: '2024-03-31',
+      exitDate: '2026-06-30'
+    });
+    const periods = result.projections.slice(1);
+    const flows = [-result.returns.entryEquity, ...periods.map(p => p.cashToSponsor)];
+    flows[flows.length - 1] += result.returns.exitEquityValue;
+    const times = [0, 275 / 366, 275 / 366 + 1, 275 / 366 + 1 + 181 / 365];
+
+    const npv = flows.reduce((sum, flow, i) => sum + flow / Math.pow(1 + result.returns.irr, times[i]), 0);
+    expect(Math.abs(npv)).toBeLessThan(1e-6);
+  });
+});
+
+describe('buildPeriods', () => {
+  test('splits an undated hold into equal periods', () => {
+    const periods = buildPeriods({ holdPeriod: 2, periodicity: 'quarterly' });
+
+    expect(periods).toHaveLength(8);
+    expect(periods.map(p => p.year)).toEqual([1, 1, 1, 1, 2, 2, 2, 2]);
+    expect(periods[7].end).toBeCloseTo(2, 12);
+  });
+
+  test('prorates quarterly stubs against the quarter they fall in', () => {
+    const periods = buildPeriods({ periodicity: 'quarterly', entryDate: '2024-02-15', exitDate: '2024-08-15' });
+
+    // 15 Feb - 31 Mar is 45 of the 91 days in Q1 2024; 30 Jun - 15 Aug is 46 of 92 in Q3
+    expect(periods.map(p => p.endDate)).toEqual(['2024-03-31', '2024-06-30', '2024-08-15']);
+    expect(periods[0].fraction).toBeCloseTo(45 / 91 / 4, 12);
+    expect(periods[1].fraction).toBeCloseTo(0.25, 12);
+    expect(periods[2].fraction).toBeCloseTo(46 / 92 / 4, 12);
+  });
+
+  test('aligns periods with a non-December fiscal year end', () => {
+    const periods = buildPeriods({ entryDate: '2024-01-31', exitDate: '2025-06-30', fiscalYearEnd: 6 });
+
+    // FY ends 30 June: 31 Jan - 30 Jun 2024 is 151 of the 366 days from 30 Jun 2023
+    expect(periods.map(p => p.endDate)).toEqual(['2024-06-30', '2025-06-30']);
+    expect(periods[0].fraction).toBeCloseTo(151 / 366, 12);
+    expect(periods[1].fraction).toBe(1);
+  });
+
+  test.each([
+    [{ periodicity: 'weekly' }, 'periodicity'],
+    [{ entryDate: 'garbage' }, 'entryDate'],
+    [{ entryDate: '2025-01-01', exitDate: '2024-01-01' }, 'exitDate'],
+    [{ exitDate: '2025-01-01' }, 'exitDate']
+  ])('rejects %j with INVALID_INPUT', (options, path) => {
+    expect.assertions(2);
+    try {
+      buildPeriods(options);
+    } catch (error) {
+      expect(error.code).toBe('INVALID_INPUT');
+      expect(error.details[0].path).toBe(path);
+    }
+  });
+});
+
+describe('LBOModel.calculateIRR', () => {
+  const model = new LBOModel();
+
+  test('defaults to annual cash flow times', () => {
+    // 100 -> 121 over two years
+    expect(model.calculateIRR(100, [0, 0], 121)).toBeCloseTo(0.1, 10);
+  });
+
+  test('solves on non-integer times', () => {
+    // At 21%, 10 at half a year is worth 10 / 1.1; the remaining 90.909 grows by 1.21^1.5 = 1.331 to 121
+    expect(model.calculateIRR(100, [10, 121], 0, [0.5, 1.5])).toBeCloseTo(0.21, 10);
+    // A single 133.1 after 1.5 years on 100 is also 21%
+    expect(model.calculateIRR(100, [0, 0], 133.1, [0.75, 1.5])).toBeCloseTo(0.21, 10);
+  });
+});
+
+describe('LBOModel implied rating', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('measures default over the dated hold rather than the default hold period', () => {
+    const result = new LBOModel().calculateLBO({ ...baseDeal, revenueGrowth: 0.05, entryDate: '2024-01-01', exitDate: '2025-07-01' });
+    const { impliedRating } = result.creditMetrics;
+
+    expect(impliedRating.horizon).toBeCloseTo(result.returns.holdPeriodYears, 12);
+    expect(impliedRating.horizon).toBeLessThan(2);
+  });
+
+  test.each([
+    [{ assetVolatility: -0.2 }, 'assetVolatility'],
+    [{ riskFreeRate: 'x' }, 'riskFreeRate']
+  ])('rejects %j as an invalid assumption', (overrides, path) => {
+    expect.assertions(2);
+    try {
+      new LBOModel().calculateLBO({ ...baseDeal, revenueGrowth: 0.05 }, overrides);
+    } catch (error) {
+      expect(error.code).toBe('INVALID_ASSUMPTION');
+      expect(error.details[0].path).toBe(path);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+const { getPath, setPath } = require('../utils/inputPaths');
+const { SOLVER_METHODS, solveFor } = require('../utils/solvers');
+const { ERROR_CODES, WARNING_CODES, ModelError, warning } = require('../utils/validation');
+const {
+  MODEL_ADAPTERS,
+  createModels,
+  validateModelRequest,
+  qualifyPath,
+  pathErrors,
+  resolveInputs,
+  evaluateModel,
+  numericOutput
+} = require('./modelAdapters');
+
+class GoalSeekRunner {
+  constructor() {
+    this.models = createModels();
+  }
+
+  /**
+   * Check a goal seek request before it is run
+   * @param {Object} request - { model, inputs, path, metric, target, lower, upper, method, tolerance, maxIterations }
+   * @returns {Array} Validation error messages (empty when valid)
+   */
+  validate(request = {}) {
+    const errors = validateModelRequest(request);
+    errors.push(...pathErrors(request.model, request.path, 'path'));
+
+    if (!Number.isFinite(request.target)) {
+      errors.push('target must be a finite number');
+    }
+    if (!Number.isFinite(request.lower) || !Number.isFinite(request.upper) || !(request.lower < request.upper)) {
+      errors.push('lower and upper must be finite numbers with lower < upper');
+    }
+    if (request.method !== undefined && !SOLVER_METHODS.includes(request.method)) {
+      errors.push(`method must be one of: ${SOLVER_METHODS.join(', ')}`);
+    }
+    if (request.metric !== undefined && typeof request.metric !== 'string') {
+      errors.push('metric must be an output path such as intrinsicValue');
+    }
+    if (request.tolerance !== undefined && !(request.tolerance > 0)) {
+      errors.push('tolerance must be positive');
+    }
+    if (request.maxIterations !== undefined && (!Number.isInteger(request.maxIterations) || request.maxIterations < 1)) {
+      errors.push('maxIterations must be a positive integer');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find the value of one input that makes an output metric hit a target
+   * @param {Object} request - { model: 'dcf'|'lbo', inputs, path, metric, target, lower, upper,
+   *   method: 'brent'|'bisection', tolerance, maxIterations }
+   * @returns {Object} Solved input value, achieved output and solver diagnostics
+   */
+  solve(request) {
+    const errors = this.validate(request);
+    if (errors.length > 0) {
+      throw new ModelError(
+        ERROR_CODES.INVALID_INPUT,
+        `Invalid goal seek request: ${errors.join('; ')}`,
+        errors.map(message => ({ path: 'request', message }))
+      );
+    }
+
+    const { model, target, lower, upper, method = 'brent', tolerance, maxIterations } = request;
+    const metric = request.metric || MODEL_ADAPTERS[model].defaultMetric;
+    const path = qualifyPath(model, request.path);
+    const inputs = resolveInputs(this.models, model, request.inputs);
+    const baseInput = getPath(inputs, path);
+
+    if (baseInput !== undefined && baseInput !== null && typeof baseInput !== 'number') {
+      throw new ModelError(ERROR_CODES.INVALID_INPUT, `${path} must address a single number`, [{ path, message: 'not a numeric input' }]);
+    }
+
+    let evaluations = 0;
+    const outputAt = value => {
+      evaluations++;
+      const output = numericOutput(evaluateModel(this.models, model, setPath(inputs, path, value)), metric, model);
+      if (output === null) {
+        throw new ModelError(ERROR_CODES.CALCULATION_FAILED, `${metric} is not defined when ${path} is ${value}`);
+      }
+      return output;
+    };
+
+    const result = solveFor(outputAt, target, { lower, upper, method, tolerance, maxIterations });
+
+    return {
+      model,
+      path,
+      metric,
+      target,
+      method,
+      value: result.root,
+      achieved: result.value,
+      baseInput: baseInput ?? null,
+      bounds: { lower, upper },
+      iterations: result.iterations,
+      evaluations,
+      converged: result.converged,
+      warnings: result.converged
+        ? []
+        : [warning(WARNING_CODES.SOLVER_NOT_CONVERGED, `solver stopped after ${result.iterations} iterations; ${metric} is ${result.value}`, { path })]
+    };
+  }
+}
+
+module.exports = GoalSeekRunner;
@@ -0,0 +1,85 @@
+const DCFModel = require('../models/DCFModel');
+const LBOModel = require('../models/LBOModel');
+const { ERROR_CODES, ModelError } = require('../utils/validation');
+
+const SUPPORTED_MODELS = ['dcf', 'lbo'];
+
+class MonteCarloRunner {
+  constructor(options = {}) {
+    this.maxSimulations = options.maxSimulations || 100000;
+  }
+
+  /**
+   * Check a simulation request before it is run or queued
+   * @param {Object} request - { model, inputs, distributions, simulations }
+   * @returns {Array} Validation error messages (empty when valid)
+   */
+  validate(request = {}) {
+    const errors = [];
+    const { model, inputs, simulations } = request;
+
+    if (!SUPPORTED_MODELS.includes(model)) {
+      errors.push(`model must be one of: ${SUPPORTED_MODELS.join(', ')}`);
+    }
+    if (!inputs || typeof inputs !== 'object') {
+      errors.push('inputs object is required');
+    } else if (model === 'dcf' && (!inputs.financialData || !inputs.projections)) {
+      errors.push('dcf inputs require financialData and projections');
+    } else if (model === 'lbo' && !inputs.dealParams) {
+      errors.push('lbo inputs require dealParams');
+    } else if (model === 'dcf') {
+      const dcf = new DCFModel(inputs.assumptions || {});
+      errors.push(...dcf.validateDistributions(inputs.projections, request.distributions, request.correlation));
+    } else if (model === 'lbo') {
+      const lbo = new LBOModel(inputs.assumptions || {});
+      errors.push(...lbo.validateDistributions(request.distributions, request.correlation));
+    }
+    if (simulations !== undefined && (!Number.isInteger(simulations) || simulations < 1 || simulations > this.maxSimulations)) {
+      errors.push(`simulations must be an integer between 1 and ${this.maxSimulations}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run the Monte Carlo method of the requested model
+   * @param {Object} request - { model: 'dcf'|'lbo', inputs, distributions, correlation, simulations, seed, antithetic, histogramBins }
+   * @returns {Object} Model statistics plus histogram bins
+   */
+  run(request) {
+    const errors = this.validate(request);
+    if (errors.length > 0) {
+      throw new ModelError(
+        ERROR_CODES.INVALID_INPUT,
+        `Invalid simulation request: ${errors.join('; ')}`,
+        errors.map(message => ({ path: 'request', message }))
+      );
+    }
+
+    const { model, inputs, distributions = {}, correlation, simulations, seed, antithetic, histogramBins } = request;
+    const runOptions = { correlation, seed, antithetic, histogramBins };
+    const assumptions = inputs.assumptions || {};
+    const startedAt = Date.now();
+    let output;
+
+    if (model === 'dcf') {
+      const dcf = new DCFModel(assumptions);
+      output = dcf.monteCarloDCF(inputs.financialData, inputs.projections, simulations || 10000, {
+        ...runOptions,
+        distributions
+      });
+    } else {
+      const lbo = new LBOModel(assumptions);
+      output = lbo.monteCarioLBO(inputs.dealParams, distributions, simulations || 5000, runOptions);
+    }
+
+    return {
+      model,
+      requestedSimulations: simulations || (model === 'dcf' ? 10000 : 5000),
+      durationMs: Date.now() - startedAt,
+      ...output
+    };
+  }
+}
+
+module.exports = MonteCarloRunner;
@@ -0,0 +1,269 @@
+const { getPath, setPath } = require('../utils/inputPaths');
+const { ERROR_CODES, WARNING_CODES, ModelError, warning } = require('../utils/validation');
+const {
+  MODEL_ADAPTERS,
+  createModels,
+  validateModelRequest,
+  qualifyPath,
+  pathErrors,
+  resolveInputs,
+  evaluateModel,
+  numericOutput
+} = require('./modelAdapters');
+
+class SensitivityRunner {
+  constructor(options = {}) {
+    this.maxCells = options.maxCells || 2500;
+    this.maxDrivers = options.maxDrivers || 50;
+    this.models = createModels();
+  }
+
+  /**
+   * Check a grid request before it is run
+   * @param {Object} request - { model, inputs, dimensions: [{ path, values }], metrics }
+   * @returns {Array} Validation error messages (empty when valid)
+   */
+  validateGrid(request = {}) {
+    const errors = validateModelRequest(request);
+    const { dimensions } = request;
+
+    if (!Array.isArray(dimensions) || dimensions.length === 0) {
+      errors.push('dimensions must be a non-empty array of { path, values }');
+      return errors;
+    }
+    dimensions.forEach((dimension, i) => {
+      errors.push(...pathErrors(request.model, dimension && dimension.path, `dimensions[${i}].path`));
+      if (!dimension || !Array.isArray(dimension.values) || dimension.values.length === 0) {
+        errors.push(`dimensions[${i}].values must be a non-empty array`);
+      }
+    });
+    if (errors.length === 0) {
+      const paths = dimensions.map(dimension => qualifyPath(request.model, dimension.path));
+      if (new Set(paths).size !== paths.length) {
+        errors.push('each dimension must flex a different path');
+      }
+    }
+    const cells = dimensions.reduce((count, dimension) => count * ((dimension && dimension.values) || []).length, 1);
+    if (cells > this.maxCells) {
+      errors.push(`grid has ${cells} cells; at most ${this.maxCells} are allowed`);
+    }
+    if (request.metrics !== undefined && (!Array.isArray(request.metrics) || request.metrics.length === 0)) {
+      errors.push('metrics must be a non-empty array of output paths');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a tornado request before it is run
+   * @param {Object} request - { model, inputs, drivers: [{ path, low, high } | { path, shift } | { path, percent }], metric }
+   * @returns {Array} Validation error messages (empty when valid)
+   */
+  validateTornado(request = {}) {
+    const errors = validateModelRequest(request);
+    const { drivers } = request;
+
+    if (!Array.isArray(drivers) || drivers.length === 0) {
+      errors.push('drivers must be a non-empty array');
+      return errors;
+    }
+    if (drivers.length > this.maxDrivers) {
+      errors.push(`at most ${this.maxDrivers} drivers are allowed`);
+    }
+    drivers.forEach((driver, i) => {
+      errors.push(...pathErrors(request.model, driver && driver.path, `drivers[${i}].path`));
+      if (!driver) return;
+      const explicit = driver.low !== undefined || driver.high !== undefined;
+      const modes = [explicit, driver.shift !== undefined, driver.percent !== undefined].filter(Boolean).length;
+      if (modes !== 1) {
+        errors.push(`drivers[${i}] needs exactly one of low/high, shift or percent`);
+      } else if (explicit && (driver.low === undefined || driver.high === undefined)) {
+        errors.push(`drivers[${i}] needs both low and high`);
+      } else if (!explicit && !Number.isFinite(driver.shift ?? driver.percent)) {
+        errors.push(`drivers[${i}] shift/percent must be a finite number`);
+      }
+    });
+    if (request.metric !== undefined && typeof request.metric !== 'string') {
+      errors.push('metric must be an output path such as returns.irr');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluate the model over the cartesian product of the dimension values
+   * @param {Object} request - { model: 'dcf'|'lbo', inputs, dimensions: [{ path, values }], metrics }
+   * @returns {Object} Base case, one cell per combination, and metric tables for one or two dimensions
+   */
+  grid(request) {
+    this.assertValid(this.validateGrid(request), 'sensitivity grid');
+
+    const { model } = request;
+    const metrics = request.metrics || [MODEL_ADAPTERS[model].defaultMetric];
+    const inputs = resolveInputs(this.models, model, request.inputs);
+    const dimensions = request.dimensions.map(dimension => ({
+      path: qualifyPath(model, dimension.path),
+      values: dimension.values
+    }));
+    const base = this.baseCase(model, inputs, metrics, dimensions.map(d => d.path));
+
+    const combinations = dimensions.reduce(
+      (combos, dimension) => combos.flatMap(combo => dimension.values.map(value => [...combo, value])),
+      [[]]
+    );
+
+    const cells = combinations.map(values => {
+      const flexed = dimensions.reduce((current, dimension, i) => setPath(current, dimension.path, values[i]), inputs);
+      return {
+        inputs: Object.fromEntries(dimensions.map((dimension, i) => [dimension.path, values[i]])),
+        ...this.evaluateMetrics(model, flexed, metrics)
+      };
+    });
+
+    const failed = cells.filter(cell => cell.error);
+    return {
+      model,
+      metrics,
+      dimensions,
+      base,
+      cells,
+      tables: dimensions.length <= 2 ? this.tables(dimensions, cells, metrics) : null,
+      failedCells: failed.length,
+      warnings: failed.length > 0
+        ? [warning(WARNING_CODES.FAILED_SCENARIOS, `${failed.length} of ${cells.length} grid cell(s) failed; their outputs are null`, { count: failed.length })]
+        : []
+    };
+  }
+
+  /**
+   * Flex each driver to its low and high value on its own and rank drivers by output swing
+   * @param {Object} request - { model: 'dcf'|'lbo', inputs, drivers, metric }
+   * @returns {Object} Base output and drivers sorted by swing (largest first)
+   */
+  tornado(request) {
+    this.assertValid(this.validateTornado(request), 'tornado');
+
+    const { model } = request;
+    const metric = request.metric || MODEL_ADAPTERS[model].defaultMetric;
+    const inputs = resolveInputs(this.models, model, request.inputs);
+    const paths = request.drivers.map(driver => qualifyPath(model, driver.path));
+    const base = this.baseCase(model, inputs, [metric], paths);
+    const baseOutput = base.outputs[metric];
+
+    const drivers = request.drivers.map((driver, i) => {
+      const path = paths[i];
+      const baseInput = getPath(inputs, path);
+      const { low, high } = this.flexRange(driver, baseInput, path);
+      const lowCase = this.evaluateMetrics(model, setPath(inputs, path, low), [metric]);
+      const highCase = this.evaluateMetrics(model, setPath(inputs, path, high), [metric]);
+      const lowOutput = lowCase.outputs[metric];
+      const highOutput = highCase.outputs[metric];
+      const complete = [lowOutput, highOutput, baseOutput].every(Number.isFinite);
+
+      return {
+        path,
+        label: driver.label || path,
+        baseInput: baseInput ?? null,
+        lowInput: low,
+        highInput: high,
+        lowOutput,
+        highOutput,
+        lowDelta: complete ? lowOutput - baseOutput : null,
+        highDelta: complete ? highOutput - baseOutput : null,
+        swing: complete ? Math.abs(highOutput - lowOutput) : null,
+        error: lowCase.error || highCase.error
+      };
+    });
+
+    // Drivers whose cases failed sort last
+    drivers.sort((a, b) => (b.swing ?? -1) - (a.swing ?? -1));
+
+    const failed = drivers.filter(driver => driver.error);
+    return {
+      model,
+      metric,
+      baseOutput,
+      drivers,
+      warnings: failed.map(driver => warning(
+        WARNING_CODES.FAILED_SCENARIOS,
+        `${driver.path}: ${driver.error.message}`,
+        { path: driver.path }
+      ))
+    };
+  }
+
+  baseCase(model, inputs, metrics, paths) {
+    const result = evaluateModel(this.models, model, inputs);
+    return {
+      inputs: Object.fromEntries(paths.map(path => [path, getPath(inputs, path) ?? null])),
+      outputs: Object.fromEntries(metrics.map(metric => [metric, numericOutput(result, metric, model)]))
+    };
+  }
+
+  evaluateMetrics(model, inputs, metrics) {
+    try {
+      const result = evaluateModel(this.models, model, inputs);
+      return {
+        outputs: Object.fromEntries(metrics.map(metric => [metric, getPath(result, metric) ?? null])),
+        error: null
+      };
+    } catch (error) {
+      return {
+        outputs: Object.fromEntries(metrics.map(metric => [metric, null])),
+        error: { code: error.code || ERROR_CODES.CALCULATION_FAILED, message: error.message }
+      };
+    }
+  }
+
+  /**
+   * Low and high input values for a tornado driver. Shifts and percentages apply
+   * to every element when the base input is a per-year array.
+   */
+  flexRange(driver, baseInput, path) {
+    if (driver.low !== undefined) {
+      return { low: driver.low, high: driver.high };
+    }
+
+    const flex = value => (driver.shift !== undefined
+      ? [value - driver.shift, value + driver.shift]
+      : [value * (1 - driver.percent), value * (1 + driver.percent)]);
+
+    if (Number.isFinite(baseInput)) {
+      const [low, high] = flex(baseInput);
+      return { low, high };
+    }
+    if (Array.isArray(baseInput) && baseInput.length > 0 && baseInput.every(Number.isFinite)) {
+      const pairs = baseInput.map(flex);
+      return { low: pairs.map(pair => pair[0]), high: pairs.map(pair => pair[1]) };
+    }
+    throw new ModelError(
+      ERROR_CODES.INVALID_INPUT,
+      `${path} needs a numeric base value to apply a shift or percent; give low and high instead`,
+      [{ path, message: 'no numeric base value' }]
+    );
+  }
+
+  /**
+   * Metric values laid out as a series (one dimension) or a rows x columns matrix (two)
+   */
+  tables(dimensions, cells, metrics) {
+    const columns = dimensions.length === 2 ? dimensions[1].values.length : 1;
+    return Object.fromEntries(metrics.map(metric => {
+      const values = cells.map(cell => cell.outputs[metric]);
+      if (dimensions.length === 1) return [metric, values];
+      return [metric, dimensions[0].values.map((_, row) => values.slice(row * columns, (row + 1) * columns))];
+    }));
+  }
+
+  assertValid(errors, label) {
+    if (errors.length > 0) {
+      throw new ModelError(
+        ERROR_CODES.INVALID_INPUT,
+        `Invalid ${label} request: ${errors.join('; ')}`,
+        errors.map(message => ({ path: 'request', message }))
+      );
+    }
+  }
+}
+
+module.exports = SensitivityRunner;
@@ -0,0 +1,103 @@
+const DCFModel = require('../models/DCFModel');
+const LBOModel = require('../models/LBOModel');
+const { getPath, parsePath } = require('../utils/inputPaths');
+const { ERROR_CODES, ModelError } = require('../utils/validation');
+
+// Input roots each model accepts; LBO paths without a root are read from dealParams
+const MODEL_ADAPTERS = {
+  dcf: {
+    roots: ['financialData', 'projections', 'assumptions'],
+    defaultRoot: null,
+    defaultMetric: 'intrinsicValue',
+    create: () => new DCFModel(),
+    evaluate: (model, inputs) => model.calculateDCF(inputs.financialData, inputs.projections, inputs.assumptions)
+  },
+  lbo: {
+    roots: ['dealParams', 'assumptions'],
+    defaultRoot: 'dealParams',
+    defaultMetric: 'returns.irr',
+    create: () => new LBOModel(),
+    evaluate: (model, inputs) => model.calculateLBO(inputs.dealParams, inputs.assumptions)
+  }
+};
+
+/**
+ * One instance of each model. Model calls take assumptions explicitly, so the
+ * instances can be shared by every request.
+ */
+function createModels() {
+  return Object.fromEntries(Object.entries(MODEL_ADAPTERS).map(([name, adapter]) => [name, adapter.create()]));
+}
+
+/**
+ * Check the model name and inputs object common to path-driven requests
+ * @returns {Array} Validation error messages
+ */
+function validateModelRequest(request) {
+  const errors = [];
+  if (!MODEL_ADAPTERS[request.model]) {
+    errors.push(`model must be one of: ${Object.keys(MODEL_ADAPTERS).join(', ')}`);
+  }
+  if (!request.inputs || typeof request.inputs !== 'object') {
+    errors.push('inputs object is required');
+  }
+  return errors;
+}
+
+/**
+ * Path rooted at one of the model's input objects
+ */
+function qualifyPath(model, path) {
+  const { roots, defaultRoot } = MODEL_ADAPTERS[model];
+  const [root] = parsePath(path);
+  if (roots.includes(root)) return path;
+  if (defaultRoot) return `${defaultRoot}.${path}`;
+  throw new ModelError(ERROR_CODES.INVALID_INPUT, `${path} must start with one of: ${roots.join(', ')}`);
+}
+
+/**
+ * Validation messages for an input path (empty when valid or when the model is unknown)
+ */
+function pathErrors(model, path, label) {
+  if (!MODEL_ADAPTERS[model]) return [];
+  try {
+    qualifyPath(model, path);
+    return [];
+  } catch (error) {
+    return [`${label}: ${error.message}`];
+  }
+}
+
+/**
+ * Request inputs with the model's assumptions resolved, so assumption paths have a base value
+ */
+function resolveInputs(models, model, inputs) {
+  return { ...inputs, assumptions: { ...models[model].resolveAssumptions(inputs.assumptions) } };
+}
+
+function evaluateModel(models, model, inputs) {
+  return MODEL_ADAPTERS[model].evaluate(models[model], inputs);
+}
+
+/**
+ * Read a numeric output, rejecting paths that are not numeric outputs of the model
+ * @returns {number|null} Output value (null when the model reports none)
+ */
+function numericOutput(result, metric, model) {
+  const value = getPath(result, metric);
+  if (value !== null && typeof value !== 'number') {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, `${metric} is not a numeric ${model} output`, [{ path: metric, message: 'unknown output metric' }]);
+  }
+  return value;
+}
+
+module.exports = {
+  MODEL_ADAPTERS,
+  createModels,
+  validateModelRequest,
+  qualifyPath,
+  pathErrors,
+  resolveInputs,
+  evaluateModel,
+  numericOutput
+};
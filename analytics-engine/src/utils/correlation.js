@@ -0,0 +1,114 @@
+const { Matrix, CholeskyDecomposition, correlation } = require('ml-matrix');
+const { normalCDF } = require('./statistics');
+
+/**
+ * Lower Cholesky factor, adding a small ridge when the matrix is only semi-definite
+ * (e.g. perfectly correlated drivers)
+ * @param {Matrix} matrix - Symmetric covariance or correlation matrix
+ * @returns {Matrix} Lower-triangular factor L with LL' ≈ matrix
+ */
+function choleskyFactor(matrix) {
+  let candidate = matrix;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const decomposition = new CholeskyDecomposition(candidate);
+    if (decomposition.isPositiveDefinite()) {
+      return decomposition.lowerTriangularMatrix;
+    }
+    const ridge = 1e-10 * Math.pow(10, attempt) * Math.max(1e-12, matrix.trace() / matrix.rows);
+    candidate = matrix.clone().add(Matrix.eye(matrix.rows).mul(ridge));
+  }
+  throw new Error('Matrix is not positive semi-definite');
+}
+
+/**
+ * Check a driver correlation spec
+ * @param {Object} spec - { drivers: [...], matrix: [[...]] }
+ * @param {Array} allowedDrivers - Driver names the model can correlate
+ * @returns {Array} Validation error messages (empty when valid)
+ */
+function validateCorrelation(spec, allowedDrivers) {
+  if (!spec || !Array.isArray(spec.drivers) || !Array.isArray(spec.matrix)) {
+    return ['correlation requires drivers and matrix arrays'];
+  }
+
+  const errors = [];
+  const n = spec.drivers.length;
+  const unknown = spec.drivers.filter(driver => !allowedDrivers.includes(driver));
+  if (unknown.length > 0) {
+    errors.push(`correlation drivers must be among: ${allowedDrivers.join(', ')}`);
+  }
+  if (new Set(spec.drivers).size !== n) {
+    errors.push('correlation drivers must be unique');
+  }
+  if (spec.matrix.length !== n || spec.matrix.some(row => !Array.isArray(row) || row.length !== n)) {
+    errors.push(`correlation matrix must be ${n}x${n}`);
+    return errors;
+  }
+
+  for (let i = 0; i < n; i++) {
+    if (Math.abs(spec.matrix[i][i] - 1) > 1e-9) errors.push('correlation matrix diagonal must be 1');
+    for (let j = 0; j < n; j++) {
+      const rho = spec.matrix[i][j];
+      if (!Number.isFinite(rho) || Math.abs(rho) > 1) {
+        errors.push(`correlation between ${spec.drivers[i]} and ${spec.drivers[j]} must be within [-1, 1]`);
+      } else if (Math.abs(rho - spec.matrix[j][i]) > 1e-9) {
+        errors.push('correlation matrix must be symmetric');
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    try {
+      choleskyFactor(new Matrix(spec.matrix));
+    } catch (error) {
+      errors.push('correlation matrix must be positive semi-definite');
+    }
+  }
+
+  return [...new Set(errors)];
+}
+
+/**
+ * Gaussian-copula sampler: turns independent normals into correlated uniforms,
+ * which each driver then maps through its own marginal distribution.
+ */
+class CorrelatedSampler {
+  constructor(spec) {
+    this.drivers = spec.drivers.slice();
+    this.target = spec.matrix.map(row => row.slice());
+    this.lower = choleskyFactor(new Matrix(spec.matrix)).to2DArray();
+  }
+
+  /**
+   * Draw one correlated uniform per driver
+   * @param {Object} random - Generator with normal()
+   * @returns {Object} Map of driver -> uniform in (0, 1)
+   */
+  draw(random) {
+    const shocks = this.drivers.map(() => random.normal(0, 1));
+    return this.drivers.reduce((uniforms, driver, i) => {
+      let z = 0;
+      for (let j = 0; j <= i; j++) z += this.lower[i][j] * shocks[j];
+      uniforms[driver] = normalCDF(z);
+      return uniforms;
+    }, {});
+  }
+}
+
+/**
+ * Pearson correlation of sampled driver values
+ * @param {Array} samples - Rows of sampled values, one column per driver
+ * @returns {Array} Correlation matrix (null where a driver never varied)
+ */
+function realizedCorrelation(samples) {
+  if (samples.length < 2) return null;
+  return correlation(new Matrix(samples)).to2DArray()
+    .map(row => row.map(rho => (Number.isFinite(rho) ? rho : null)));
+}
+
+module.exports = {
+  choleskyFactor,
+  validateCorrelation,
+  CorrelatedSampler,
+  realizedCorrelation
+};
@@ -0,0 +1,90 @@
+/**
+ * Day-count conventions for accrual and coupon calculations. Dates are handled as UTC days.
+ *
+ * 30/360 is the US bond basis. ACT/ACT follows ICMA when the coupon period is known
+ * (actual days over frequency x days in the period, as for Treasuries) and ISDA
+ * (each calendar year's days over that year's length) otherwise.
+ */
+
+const DAY_COUNTS = ['30/360', 'ACT/360', 'ACT/365', 'ACT/ACT'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function toUTCDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function actualDays(start, end) {
+  return Math.round((toUTCDate(end) - toUTCDate(start)) / MS_PER_DAY);
+}
+
+// Days between two dates on the US 30/360 bond basis
+function days360(start, end) {
+  const a = toUTCDate(start);
+  const b = toUTCDate(end);
+  let d1 = a.getUTCDate();
+  let d2 = b.getUTCDate();
+  if (d1 === 31) d1 = 30;
+  if (d2 === 31 && d1 >= 30) d2 = 30;
+  return 360 * (b.getUTCFullYear() - a.getUTCFullYear()) + 30 * (b.getUTCMonth() - a.getUTCMonth()) + (d2 - d1);
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Year fraction between two dates
+ * @param {Date|string} start - Accrual start
+ * @param {Date|string} end - Accrual end
+ * @param {string} convention - One of DAY_COUNTS
+ * @param {Object} period - For ACT/ACT ICMA: { start, end, frequency } of the coupon period containing the accrual
+ * @returns {number} Year fraction
+ */
+function yearFraction(start, end, convention, period = null) {
+  switch (convention) {
+    case '30/360':
+      return days360(start, end) / 360;
+    case 'ACT/360':
+      return actualDays(start, end) / 360;
+    case 'ACT/365':
+      return actualDays(start, end) / 365;
+    case 'ACT/ACT': {
+      if (period) {
+        return actualDays(start, end) / (period.frequency * actualDays(period.start, period.end));
+      }
+      const a = toUTCDate(start);
+      const b = toUTCDate(end);
+      let fraction = 0;
+      for (let year = a.getUTCFullYear(); year <= b.getUTCFullYear(); year++) {
+        const from = year === a.getUTCFullYear() ? a : new Date(Date.UTC(year, 0, 1));
+        const to = year === b.getUTCFullYear() ? b : new Date(Date.UTC(year + 1, 0, 1));
+        fraction += actualDays(from, to) / (isLeapYear(year) ? 366 : 365);
+      }
+      return fraction;
+    }
+    default:
+      throw new Error(`dayCount must be one of: ${DAY_COUNTS.join(', ')}`);
+  }
+}
+
+/**
+ * Date `months` months after `date`, clamped to the end of shorter months
+ */
+function addMonths(date, months) {
+  const d = toUTCDate(date);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+  return target;
+}
+
+module.exports = {
+  DAY_COUNTS,
+  toUTCDate,
+  actualDays,
+  days360,
+  yearFraction,
+  addMonths
+};
@@ -0,0 +1,210 @@
+const { normalCDF, inverseNormalCDF } = require('./statistics');
+const { ERROR_CODES, ModelError } = require('./validation');
+
+/**
+ * Probability distributions for Monte Carlo drivers.
+ *
+ * A spec is a plain object such as
+ *   { type: 'normal', mean: 0.05, std: 0.02, min: -0.1, max: 0.2 }
+ *   { type: 'lognormal', mean: 10, std: 1.5 }            (or { mu, sigma } of the log)
+ *   { type: 'triangular', min: 8, mode: 10, max: 13 }
+ *   { type: 'uniform', min: 0.08, max: 0.12 }
+ *   { type: 'empirical', values: [0.03, 0.05, 0.04, ...] }
+ *   { type: 'fixed', value: 0.25 }
+ *
+ * Every draw inverts the CDF of one uniform, truncated to [min, max], so draws
+ * stay inside their bounds without rejection and work with antithetic or
+ * copula-correlated uniforms.
+ */
+
+const TYPES = ['normal', 'lognormal', 'triangular', 'uniform', 'empirical', 'fixed'];
+
+/**
+ * Check a distribution spec, including that some probability mass lies between its bounds
+ * @param {Object} spec - Distribution spec
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDistribution(spec) {
+  if (!spec || typeof spec !== 'object') return 'distribution must be an object';
+  if (!TYPES.includes(spec.type)) return `distribution type must be one of: ${TYPES.join(', ')}`;
+
+  switch (spec.type) {
+    case 'normal':
+      if (!Number.isFinite(spec.mean) || !(spec.std >= 0)) return 'normal requires mean and std >= 0';
+      break;
+    case 'lognormal':
+      if (Number.isFinite(spec.mu) && spec.sigma >= 0) break;
+      if (!(spec.mean > 0) || !(spec.std >= 0)) return 'lognormal requires mean > 0 and std >= 0 (or mu and sigma)';
+      break;
+    case 'triangular':
+      if (!(spec.min <= spec.mode && spec.mode <= spec.max) || spec.min === spec.max) {
+        return 'triangular requires min <= mode <= max with min < max';
+      }
+      break;
+    case 'uniform':
+      if (!(spec.min < spec.max)) return 'uniform requires min < max';
+      break;
+    case 'empirical':
+      if (!Array.isArray(spec.values) || spec.values.length === 0 || !spec.values.every(Number.isFinite)) {
+        return 'empirical requires a non-empty array of numeric values';
+      }
+      break;
+    case 'fixed':
+      if (!Number.isFinite(spec.value)) return 'fixed requires a numeric value';
+      break;
+  }
+
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+    return 'distribution min must not exceed max';
+  }
+  if (spec.type !== 'fixed' && !(truncatedMass(spec) > 0)) {
+    return `${spec.type} distribution has no probability mass between min ${spec.min ?? '-Infinity'} and max ${spec.max ?? 'Infinity'}`;
+  }
+  return null;
+}
+
+function lognormalParams(spec) {
+  if (Number.isFinite(spec.mu)) return { mu: spec.mu, sigma: spec.sigma };
+  const sigmaSquared = Math.log(1 + (spec.std * spec.std) / (spec.mean * spec.mean));
+  return { mu: Math.log(spec.mean) - sigmaSquared / 2, sigma: Math.sqrt(sigmaSquared) };
+}
+
+// Sorted copies of empirical samples, cached per spec without touching the caller's object
+const sortedCache = new WeakMap();
+
+function sortedValues(spec) {
+  if (!sortedCache.has(spec)) {
+    sortedCache.set(spec, spec.values.slice().sort((a, b) => a - b));
+  }
+  return sortedCache.get(spec);
+}
+
+/**
+ * Untruncated cumulative distribution function
+ */
+function cdf(spec, x) {
+  switch (spec.type) {
+    case 'normal':
+      return spec.std > 0 ? normalCDF((x - spec.mean) / spec.std) : (x >= spec.mean ? 1 : 0);
+    case 'lognormal': {
+      if (x <= 0) return 0;
+      const { mu, sigma } = lognormalParams(spec);
+      return sigma > 0 ? normalCDF((Math.log(x) - mu) / sigma) : (Math.log(x) >= mu ? 1 : 0);
+    }
+    case 'triangular': {
+      const { min, mode, max } = spec;
+      if (x <= min) return 0;
+      if (x >= max) return 1;
+      if (x <= mode) return ((x - min) ** 2) / ((max - min) * (mode - min));
+      return 1 - ((max - x) ** 2) / ((max - min) * (max - mode));
+    }
+    case 'uniform':
+      return Math.min(1, Math.max(0, (x - spec.min) / (spec.max - spec.min)));
+    case 'empirical': {
+      const values = sortedValues(spec);
+      let low = 0;
+      let high = values.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[mid] <= x) low = mid + 1;
+        else high = mid;
+      }
+      return low / values.length;
+    }
+    case 'fixed':
+      return x >= spec.value ? 1 : 0;
+    default:
+      throw new Error(`Unsupported distribution type: ${spec.type}`);
+  }
+}
+
+/**
+ * Untruncated quantile (inverse CDF)
+ */
+function quantile(spec, p) {
+  switch (spec.type) {
+    case 'normal':
+      return spec.mean + spec.std * inverseNormalCDF(p);
+    case 'lognormal': {
+      const { mu, sigma } = lognormalParams(spec);
+      return Math.exp(mu + sigma * inverseNormalCDF(p));
+    }
+    case 'triangular': {
+      const { min, mode, max } = spec;
+      const split = (mode - min) / (max - min);
+      return p < split
+        ? min + Math.sqrt(p * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - p) * (max - min) * (max - mode));
+    }
+    case 'uniform':
+      return spec.min + p * (spec.max - spec.min);
+    case 'empirical': {
+      const values = sortedValues(spec);
+      return values[Math.min(values.length - 1, Math.floor(p * values.length))];
+    }
+    case 'fixed':
+      return spec.value;
+    default:
+      throw new Error(`Unsupported distribution type: ${spec.type}`);
+  }
+}
+
+// CDF at the bounds of a spec; the lower bound is nudged down so a draw can land on it
+function massBounds(spec) {
+  const hasMin = spec.min !== undefined && spec.min !== null;
+  const hasMax = spec.max !== undefined && spec.max !== null;
+  return {
+    lowerMass: hasMin ? cdf(spec, spec.min - 1e-15 * Math.max(1, Math.abs(spec.min))) : 0,
+    upperMass: hasMax ? cdf(spec, spec.max) : 1
+  };
+}
+
+function truncatedMass(spec) {
+  const { lowerMass, upperMass } = massBounds(spec);
+  return upperMass - lowerMass;
+}
+
+/**
+ * Map a uniform draw onto the distribution, truncated to [min, max]
+ * @param {Object} spec - Distribution spec
+ * @param {number} u - Uniform variate in (0, 1)
+ * @returns {number} Draw from the (truncated) distribution
+ */
+function sampleFromUniform(spec, u) {
+  if (spec.type === 'fixed') return spec.value;
+
+  const hasMin = spec.min !== undefined && spec.min !== null;
+  const hasMax = spec.max !== undefined && spec.max !== null;
+  const { lowerMass, upperMass } = massBounds(spec);
+
+  if (upperMass - lowerMass <= 0) {
+    const message = `${spec.type} distribution has no probability mass between its bounds`;
+    throw new ModelError(ERROR_CODES.INVALID_ASSUMPTION, message, [{ path: 'distributions', message }]);
+  }
+
+  let value = quantile(spec, lowerMass + u * (upperMass - lowerMass));
+
+  // Guard against rounding at the edges of the truncated range
+  if (hasMin) value = Math.max(spec.min, value);
+  if (hasMax) value = Math.min(spec.max, value);
+  return value;
+}
+
+/**
+ * Draw one value from a distribution spec
+ * @param {Object} spec - Distribution spec
+ * @param {Object} random - Generator with uniform()
+ * @returns {number} Random draw
+ */
+function sampleDistribution(spec, random) {
+  return sampleFromUniform(spec, random.uniform());
+}
+
+module.exports = {
+  DISTRIBUTION_TYPES: TYPES,
+  validateDistribution,
+  cdf,
+  quantile,
+  sampleFromUniform,
+  sampleDistribution
+};
@@ -0,0 +1,242 @@
+/**
+ * Discounting, IRR/XIRR and fund-style return multiples shared by the valuation models.
+ *
+ * Cash flows are signed from the investor's side: contributions negative,
+ * distributions positive. Times are in years from the first flow; dated flows
+ * use an actual/365 day count.
+ */
+
+const { brent } = require('./solvers');
+const { ERROR_CODES, WARNING_CODES, ModelError, warning } = require('./validation');
+
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Rates scanned for sign changes when Newton fails or several IRRs are possible
+const SCAN_RATES = [
+  -0.9999,
+  -0.999,
+  ...Array.from({ length: 199 }, (_, i) => -0.99 + i * 0.01),
+  ...Array.from({ length: 48 }, (_, i) => Math.pow(1.1, i + 1) - 0.1)
+];
+
+/**
+ * Discount factor for a cash flow `time` years out
+ */
+function discountFactor(rate, time) {
+  return 1 / Math.pow(1 + rate, time);
+}
+
+/**
+ * Net present value of cash flows at the given times
+ * @param {number} rate - Annual discount rate
+ * @param {Array} cashFlows - Signed cash flows
+ * @param {Array} times - Time of each flow in years (defaults to 0, 1, 2, ...)
+ * @returns {number} NPV at time 0
+ */
+function npv(rate, cashFlows, times = null) {
+  return cashFlows.reduce((sum, cashFlow, i) => sum + cashFlow * discountFactor(rate, times ? times[i] : i), 0);
+}
+
+/**
+ * Number of sign changes in a cash flow sequence (zeros ignored). More than one
+ * means the flows may have several IRRs (Descartes' rule of signs).
+ */
+function countSignChanges(cashFlows) {
+  const signs = cashFlows.filter(cashFlow => cashFlow !== 0).map(Math.sign);
+  return signs.slice(1).filter((sign, i) => sign !== signs[i]).length;
+}
+
+/**
+ * Every rate in the scan range at which NPV crosses zero
+ */
+function scanRoots(f) {
+  const roots = [];
+  let previousRate = SCAN_RATES[0];
+  let previousValue = f(previousRate);
+
+  SCAN_RATES.slice(1).forEach(rate => {
+    const value = f(rate);
+    if (Number.isFinite(value) && Number.isFinite(previousValue)) {
+      if (value === 0) {
+        roots.push(rate);
+      } else if (Math.sign(value) === -Math.sign(previousValue)) {
+        roots.push(brent(f, previousRate, rate, { tolerance: 1e-12 }).root);
+      }
+    }
+    previousRate = rate;
+    previousValue = value;
+  });
+
+  return roots;
+}
+
+/**
+ * Internal rate of return. Newton-Raphson from the guess, falling back to a
+ * bracketing scan with Brent's method when Newton fails or leaves (-100%, ∞).
+ * @param {Array} cashFlows - Signed cash flows
+ * @param {Array} times - Time of each flow in years (defaults to 0, 1, 2, ...)
+ * @param {Object} options - { guess, tolerance, maxIterations }
+ * @returns {Object} { rate, method, iterations, signChanges, roots, multipleRoots, warnings }
+ */
+function irr(cashFlows, times = null, options = {}) {
+  const { guess = 0.1, tolerance = 1e-10, maxIterations = 100 } = options;
+  const flowTimes = times || cashFlows.map((_, i) => i);
+
+  if (!Array.isArray(cashFlows) || cashFlows.length < 2 || !cashFlows.every(Number.isFinite)) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'IRR needs at least two finite cash flows');
+  }
+  if (flowTimes.length !== cashFlows.length || !flowTimes.every(Number.isFinite)) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'IRR needs one finite time per cash flow');
+  }
+
+  const signChanges = countSignChanges(cashFlows);
+  if (signChanges === 0) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'IRR is undefined: cash flows never change sign');
+  }
+
+  const f = rate => npv(rate, cashFlows, flowTimes);
+  const scale = Math.max(...cashFlows.map(Math.abs));
+
+  let rate = guess;
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIterations) {
+    let value = 0;
+    let derivative = 0;
+    flowTimes.forEach((time, i) => {
+      value += cashFlows[i] * discountFactor(rate, time);
+      derivative -= time * cashFlows[i] / Math.pow(1 + rate, time + 1);
+    });
+
+    if (Math.abs(value) <= tolerance * scale) {
+      converged = true;
+      break;
+    }
+    if (!Number.isFinite(derivative) || derivative === 0) break;
+
+    rate -= value / derivative;
+    iterations++;
+    if (!Number.isFinite(rate) || rate <= -1) break;
+  }
+
+  const roots = (!converged || signChanges > 1) ? scanRoots(f) : [rate];
+  let method = 'newton';
+  if (!converged) {
+    if (roots.length === 0) {
+      throw new ModelError(ERROR_CODES.CALCULATION_FAILED, 'IRR calculation failed: no rate between -99.99% and the scan limit sets NPV to zero');
+    }
+    // The root nearest the guess is the conventional choice
+    rate = roots.reduce((best, root) => (Math.abs(root - guess) < Math.abs(best - guess) ? root : best));
+    method = 'brent';
+  }
+
+  const multipleRoots = roots.length > 1;
+  return {
+    rate,
+    method,
+    iterations,
+    signChanges,
+    roots,
+    multipleRoots,
+    warnings: multipleRoots
+      ? [warning(WARNING_CODES.MULTIPLE_IRRS, `cash flows change sign ${signChanges} times and have ${roots.length} IRRs (${roots.map(root => root.toFixed(4)).join(', ')}); reported ${rate.toFixed(4)}`, { roots })]
+      : []
+  };
+}
+
+function toTime(date) {
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (isNaN(parsed.getTime())) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, `${date} is not a valid date`);
+  }
+  return parsed.getTime();
+}
+
+/**
+ * Year fractions (actual/365) of dated flows measured from the earliest date
+ * @param {Array} flows - [{ date, amount }]
+ * @returns {Array} Times in years
+ */
+function yearFractions(flows) {
+  const stamps = flows.map(flow => toTime(flow.date));
+  const start = Math.min(...stamps);
+  return stamps.map(stamp => (stamp - start) / MS_PER_DAY / DAYS_PER_YEAR);
+}
+
+/**
+ * IRR of irregularly dated cash flows
+ * @param {Array} flows - [{ date, amount }]
+ * @param {Object} options - See irr
+ * @returns {Object} irr result plus startDate
+ */
+function xirr(flows, options = {}) {
+  const result = irr(flows.map(flow => flow.amount), yearFractions(flows), options);
+  const start = Math.min(...flows.map(flow => toTime(flow.date)));
+  return { ...result, startDate: new Date(start).toISOString().split('T')[0] };
+}
+
+/**
+ * NPV of dated cash flows at the earliest date
+ */
+function xnpv(rate, flows) {
+  return npv(rate, flows.map(flow => flow.amount), yearFractions(flows));
+}
+
+/**
+ * Fund-style return metrics for one investment
+ * @param {Array} flows - [{ date, amount }] or [{ time, amount }]; contributions negative
+ * @param {Object} options - { residualValue (unrealized value at the last flow), hurdleRate, guess }
+ * @returns {Object} paidIn, distributed, moic, dpi, rvpi, tvpi, irr, npvAtHurdle, warnings
+ */
+function returnMetrics(flows, options = {}) {
+  const { residualValue = 0, hurdleRate = null } = options;
+  if (!Array.isArray(flows) || flows.length === 0) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'flows must be a non-empty array of { date|time, amount }');
+  }
+
+  const dated = flows.every(flow => flow.date !== undefined);
+  const times = dated ? yearFractions(flows) : flows.map(flow => flow.time);
+  const amounts = flows.map(flow => flow.amount);
+  const paidIn = -amounts.filter(amount => amount < 0).reduce((sum, amount) => sum + amount, 0);
+  const distributed = amounts.filter(amount => amount > 0).reduce((sum, amount) => sum + amount, 0);
+
+  if (!(paidIn > 0)) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'flows must include at least one contribution (negative amount)');
+  }
+
+  // Residual value is treated as received with the last flow
+  const lastIndex = times.indexOf(Math.max(...times));
+  const valuedAmounts = amounts.map((amount, i) => (i === lastIndex ? amount + residualValue : amount));
+  const irrResult = countSignChanges(valuedAmounts) > 0
+    ? irr(valuedAmounts, times, options)
+    : { rate: null, method: null, roots: [], warnings: [] };
+
+  return {
+    paidIn,
+    distributed,
+    residualValue,
+    moic: (distributed + residualValue) / paidIn,
+    dpi: distributed / paidIn,
+    rvpi: residualValue / paidIn,
+    tvpi: (distributed + residualValue) / paidIn,
+    irr: irrResult.rate,
+    irrMethod: irrResult.method,
+    irrRoots: irrResult.roots,
+    hurdleRate,
+    npvAtHurdle: hurdleRate === null ? null : npv(hurdleRate, valuedAmounts, times),
+    warnings: irrResult.warnings
+  };
+}
+
+module.exports = {
+  DAYS_PER_YEAR,
+  discountFactor,
+  npv,
+  countSignChanges,
+  irr,
+  xirr,
+  xnpv,
+  yearFractions,
+  returnMetrics
+};
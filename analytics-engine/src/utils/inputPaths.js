@@ -0,0 +1,86 @@
+/**
+ * Read and replace model inputs addressed by paths such as
+ * 'projections.ebitdaMargin[2]' or 'dealParams.interestRates.termLoanB'.
+ *
+ * Updates are copy-on-write: only the objects and arrays along the path are
+ * cloned, so the caller's inputs are never modified.
+ */
+
+const { ERROR_CODES, ModelError } = require('./validation');
+
+const FORBIDDEN_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+function invalidPath(path, message) {
+  return new ModelError(ERROR_CODES.INVALID_INPUT, `Invalid input path ${path}: ${message}`, [{ path, message }]);
+}
+
+/**
+ * Split a path into property names and array indices
+ * @param {string} path - Dotted path with optional [index] suffixes
+ * @returns {Array} Segments, e.g. ['projections', 'ebitdaMargin', 2]
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || path.length === 0) {
+    throw invalidPath(String(path), 'path must be a non-empty string');
+  }
+
+  const segments = [];
+  path.split('.').forEach(part => {
+    const match = part.match(/^([A-Za-z_$][\w$]*)((?:\[\d+\])*)$/);
+    if (!match) throw invalidPath(path, `cannot parse "${part}"`);
+    if (FORBIDDEN_KEYS.includes(match[1])) throw invalidPath(path, `"${match[1]}" is not allowed`);
+    segments.push(match[1]);
+    (match[2].match(/\d+/g) || []).forEach(index => segments.push(Number(index)));
+  });
+  return segments;
+}
+
+/**
+ * Value at a path, or undefined when any part of it is missing
+ */
+function getPath(root, path) {
+  return parsePath(path).reduce((node, segment) => (
+    node !== null && node !== undefined ? node[segment] : undefined
+  ), root);
+}
+
+/**
+ * Copy of `root` with the value at `path` replaced. Missing objects along the
+ * path are created; arrays may only be indexed up to their current length.
+ * @param {Object} root - Inputs to copy
+ * @param {string} path - Path to replace
+ * @param {*} value - New value
+ * @returns {Object} Updated copy
+ */
+function setPath(root, path, value) {
+  const segments = parsePath(path);
+
+  const assign = (node, depth) => {
+    const segment = segments[depth];
+    const isIndex = typeof segment === 'number';
+    let copy;
+
+    if (isIndex) {
+      if (!Array.isArray(node)) throw invalidPath(path, `${segments.slice(0, depth).join('.')} is not an array`);
+      if (segment > node.length) throw invalidPath(path, `index ${segment} is beyond the end of the array`);
+      copy = [...node];
+    } else if (node === undefined || node === null) {
+      copy = {};
+    } else if (typeof node === 'object' && !Array.isArray(node)) {
+      copy = { ...node };
+    } else {
+      throw invalidPath(path, `${segments.slice(0, depth).join('.')} is not an object`);
+    }
+
+    copy[segment] = depth === segments.length - 1 ? value : assign(node ? node[segment] : undefined, depth + 1);
+    return copy;
+  };
+
+  return assign(root, 0);
+}
+
+module.exports = {
+  parsePath,
+  getPath,
+  setPath
+};
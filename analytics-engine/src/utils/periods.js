@@ -0,0 +1,149 @@
+/**
+ * Projection period calendars and year-indexed assumption lookup for the cash flow models.
+ *
+ * Without dates a hold period is split into equal periods. With an entry date the
+ * periods follow the fiscal calendar, so the first and last periods may be stubs
+ * whose fraction is their share of the full period they fall in.
+ */
+
+const { assertValid } = require('./validation');
+
+const PERIODS_PER_YEAR = {
+  annual: 1,
+  quarterly: 4,
+  monthly: 12
+};
+
+// UTC midnight of a date, or null when it cannot be parsed
+function parseDate(value) {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Last day of the month `offset` months after the month of `date`
+function monthEnd(date, offset = 0) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset + 1, 0));
+}
+
+function toISODate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Problems with period options, for callers that collect input details before building
+ * @param {Object} options - As for buildPeriods
+ * @returns {Array} [{ path, message }], empty when the periods can be built
+ */
+function periodProblems(options = {}) {
+  const { holdPeriod = 5, periodicity = 'annual', entryDate, exitDate, fiscalYearEnd = 12 } = options;
+  const details = [];
+
+  if (!PERIODS_PER_YEAR[periodicity]) {
+    details.push({ path: 'periodicity', message: `periodicity must be one of: ${Object.keys(PERIODS_PER_YEAR).join(', ')}` });
+  }
+  if (!(Number.isInteger(fiscalYearEnd) && fiscalYearEnd >= 1 && fiscalYearEnd <= 12)) {
+    details.push({ path: 'fiscalYearEnd', message: 'fiscalYearEnd must be a month from 1 to 12' });
+  }
+  if (!exitDate && !(holdPeriod > 0)) {
+    details.push({ path: 'holdPeriod', message: 'holdPeriod must be positive' });
+  }
+  if (exitDate && !entryDate) {
+    details.push({ path: 'exitDate', message: 'exitDate requires an entryDate' });
+  }
+
+  const entry = entryDate ? parseDate(entryDate) : null;
+  const exit = exitDate ? parseDate(exitDate) : null;
+  if (entryDate && !entry) details.push({ path: 'entryDate', message: 'entryDate is not a valid date' });
+  if (exitDate && !exit) details.push({ path: 'exitDate', message: 'exitDate is not a valid date' });
+  if (entry && exit && exit <= entry) {
+    details.push({ path: 'exitDate', message: 'exitDate must be after entryDate' });
+  }
+  return details;
+}
+
+/**
+ * Build the projection periods for a hold
+ * @param {Object} options - { holdPeriod (years), periodicity, entryDate, exitDate, fiscalYearEnd (month 1-12) }
+ * @returns {Array} [{ index, year, fraction, start, end, startDate, endDate }] where start/end are in years
+ */
+function buildPeriods(options = {}) {
+  const { holdPeriod = 5, periodicity = 'annual', entryDate, exitDate, fiscalYearEnd = 12 } = options;
+  assertValid(periodProblems(options), 'periods');
+  const perYear = PERIODS_PER_YEAR[periodicity];
+
+  const withYears = periods => {
+    let elapsed = 0;
+    return periods.map((period, i) => {
+      const start = elapsed;
+      elapsed += period.fraction;
+      return {
+        index: i + 1,
+        year: Math.floor((start + elapsed) / 2 + 1e-9) + 1,
+        fraction: period.fraction,
+        start,
+        end: elapsed,
+        startDate: period.startDate ? toISODate(period.startDate) : null,
+        endDate: period.endDate ? toISODate(period.endDate) : null
+      };
+    });
+  };
+
+  if (!entryDate) {
+    const count = Math.round(holdPeriod * perYear);
+    return withYears(Array(count).fill(null).map(() => ({ fraction: 1 / perYear })));
+  }
+
+  const entry = parseDate(entryDate);
+  const exit = exitDate
+    ? parseDate(exitDate)
+    : new Date(Date.UTC(entry.getUTCFullYear() + Math.floor(holdPeriod), entry.getUTCMonth(),
+      entry.getUTCDate() + Math.round((holdPeriod % 1) * 365)));
+  if (exit <= entry) {
+    assertValid([{ path: 'holdPeriod', message: 'holdPeriod must cover at least one day after entryDate' }], 'periods');
+  }
+
+  // Period ends fall on month ends aligned with the fiscal year end
+  const monthsPerPeriod = 12 / perYear;
+  const isBoundaryMonth = date => ((date.getUTCMonth() + 1 - fiscalYearEnd) % monthsPerPeriod + monthsPerPeriod) % monthsPerPeriod === 0;
+
+  let boundary = monthEnd(entry);
+  while (boundary <= entry || !isBoundaryMonth(boundary)) {
+    boundary = monthEnd(boundary, 1);
+  }
+
+  const periods = [];
+  let start = entry;
+  while (start < exit) {
+    const fullStart = monthEnd(boundary, -monthsPerPeriod);
+    const end = boundary < exit ? boundary : exit;
+    const fraction = ((end - start) / (boundary - fullStart)) / perYear;
+    periods.push({ fraction, startDate: start, endDate: end });
+    start = end;
+    boundary = monthEnd(boundary, monthsPerPeriod);
+  }
+
+  return withYears(periods);
+}
+
+/**
+ * Look up a year-indexed assumption: arrays carry their last value forward and
+ * scalars apply to every year
+ * @param {number|Array} value - Scalar or per-year array
+ * @param {number} index - Zero-based year index
+ * @param {number} fallback - Value when nothing usable is supplied
+ * @returns {number} Assumption for the year
+ */
+function driverFor(value, index, fallback) {
+  if (Array.isArray(value)) {
+    return value.length === 0 ? fallback : (value[Math.min(index, value.length - 1)] ?? fallback);
+  }
+  return Number.isFinite(value) ? value : fallback;
+}
+
+module.exports = {
+  PERIODS_PER_YEAR,
+  buildPeriods,
+  periodProblems,
+  driverFor
+};
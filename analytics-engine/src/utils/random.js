@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { inverseNormalCDF } = require('./statistics');
+
+/**
+ * Seedable pseudo-random number generator (mulberry32) used by every Monte Carlo path.
+ *
+ * Normals are drawn by inverting the CDF of a single uniform, so with antithetic
+ * sampling enabled every second path replays the previous one with mirrored
+ * uniforms (1 - u) and therefore exactly negated normal shocks.
+ */
+class RandomGenerator {
+  constructor(options = {}) {
+    this.seed = RandomGenerator.normalizeSeed(options.seed ?? RandomGenerator.randomSeed());
+    this.antithetic = Boolean(options.antithetic);
+    this.state = this.seed;
+    this.pathIndex = 0;
+    this.recorded = [];
+    this.replay = null;
+    this.cursor = 0;
+  }
+
+  static randomSeed() {
+    return crypto.randomBytes(4).readUInt32LE(0);
+  }
+
+  /**
+   * Map any number or string seed onto an unsigned 32-bit integer
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Mark the start of a new simulation path (drives antithetic pairing)
+   */
+  nextPath() {
+    if (!this.antithetic) return;
+
+    if (this.pathIndex % 2 === 0) {
+      this.recorded = [];
+      this.replay = null;
+    } else {
+      this.replay = this.recorded;
+      this.cursor = 0;
+    }
+    this.pathIndex++;
+  }
+
+  /**
+   * Uniform draw on the open interval (0, 1)
+   * @returns {number} Uniform variate
+   */
+  uniform() {
+    if (this.replay && this.cursor < this.replay.length) {
+      return 1 - this.replay[this.cursor++];
+    }
+
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const u = (((t ^ (t >>> 14)) >>> 0) + 0.5) / 4294967296;
+
+    if (this.antithetic && !this.replay) this.recorded.push(u);
+    return u;
+  }
+
+  /**
+   * Normal draw via the inverse CDF
+   * @param {number} mean - Distribution mean
+   * @param {number} std - Standard deviation
+   * @returns {number} Normal variate
+   */
+  normal(mean = 0, std = 1) {
+    return mean + std * inverseNormalCDF(this.uniform());
+  }
+}
+
+/**
+ * Resolve the generator for a simulation run. A caller-supplied generator
+ * (anything with uniform() and normal()) takes precedence over seed options.
+ * @param {Object} options - { random, seed, antithetic }
+ * @returns {RandomGenerator} Generator to use for the run
+ */
+function createRandom(options = {}) {
+  if (options.random) return options.random;
+  return new RandomGenerator({ seed: options.seed, antithetic: options.antithetic });
+}
+
+module.exports = {
+  RandomGenerator,
+  createRandom
+};
@@ -0,0 +1,259 @@
+/**
+ * One-dimensional root finding for goal seek: find x in [lower, upper] with f(x) = 0.
+ *
+ * Both methods need a bracket whose endpoints give function values of opposite
+ * sign. Bisection halves the bracket each step; Brent's method combines bisection
+ * with secant and inverse quadratic interpolation steps and usually converges in
+ * far fewer model evaluations while keeping the same guarantee.
+ *
+ * Also a derivative-free Nelder-Mead minimizer for fitting small parametric curves.
+ */
+
+const { ERROR_CODES, ModelError } = require('./validation');
+
+const SOLVER_METHODS = ['brent', 'bisection'];
+
+function notBracketed(lower, upper, fLower, fUpper, target = 0) {
+  return new ModelError(
+    ERROR_CODES.TARGET_NOT_BRACKETED,
+    `target ${target} is not bracketed: the output is ${fLower + target} at ${lower} and ${fUpper + target} at ${upper}`,
+    [{ path: 'bounds', message: 'the target output must lie between the outputs at the lower and upper bounds' }]
+  );
+}
+
+function checkValue(value, x) {
+  if (!Number.isFinite(value)) {
+    throw new ModelError(ERROR_CODES.CALCULATION_FAILED, `function value at ${x} is not a finite number`);
+  }
+  return value;
+}
+
+/**
+ * Bisection root finder
+ * @param {Function} fn - f(x)
+ * @param {number} lower - Lower bound
+ * @param {number} upper - Upper bound
+ * @param {Object} options - { tolerance (on x), valueTolerance (on f), maxIterations }
+ * @returns {Object} { root, value, iterations, converged }
+ */
+function bisection(fn, lower, upper, options = {}) {
+  const { tolerance = 1e-8, valueTolerance = 1e-10, maxIterations = 200 } = options;
+  let a = lower;
+  let b = upper;
+  let fa = checkValue(fn(a), a);
+  const fb = checkValue(fn(b), b);
+
+  if (fa === 0) return { root: a, value: fa, iterations: 0, converged: true };
+  if (fb === 0) return { root: b, value: fb, iterations: 0, converged: true };
+  if (Math.sign(fa) === Math.sign(fb)) throw notBracketed(lower, upper, fa, fb);
+
+  let mid = a;
+  let fMid = fa;
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    mid = (a + b) / 2;
+    fMid = checkValue(fn(mid), mid);
+
+    if (Math.abs(fMid) <= valueTolerance || (b - a) / 2 <= tolerance) {
+      return { root: mid, value: fMid, iterations: iteration, converged: true };
+    }
+    if (Math.sign(fMid) === Math.sign(fa)) {
+      a = mid;
+      fa = fMid;
+    } else {
+      b = mid;
+    }
+  }
+
+  return { root: mid, value: fMid, iterations: maxIterations, converged: false };
+}
+
+/**
+ * Brent's method root finder
+ * @param {Function} fn - f(x)
+ * @param {number} lower - Lower bound
+ * @param {number} upper - Upper bound
+ * @param {Object} options - { tolerance (on x), valueTolerance (on f), maxIterations }
+ * @returns {Object} { root, value, iterations, converged }
+ */
+function brent(fn, lower, upper, options = {}) {
+  const { tolerance = 1e-8, valueTolerance = 1e-10, maxIterations = 100 } = options;
+  let a = lower;
+  let b = upper;
+  let fa = checkValue(fn(a), a);
+  let fb = checkValue(fn(b), b);
+
+  if (fa === 0) return { root: a, value: fa, iterations: 0, converged: true };
+  if (fb === 0) return { root: b, value: fb, iterations: 0, converged: true };
+  if (Math.sign(fa) === Math.sign(fb)) throw notBracketed(lower, upper, fa, fb);
+
+  // b is the best estimate, a the previous one and c the far end of the bracket
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let e = d;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    if (Math.sign(fb) === Math.sign(fc)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b;
+      b = c;
+      c = a;
+      fa = fb;
+      fb = fc;
+      fc = fa;
+    }
+
+    const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+    const m = (c - b) / 2;
+    if (Math.abs(m) <= tol || Math.abs(fb) <= valueTolerance) {
+      return { root: b, value: fb, iterations: iteration - 1, converged: true };
+    }
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Secant (two points) or inverse quadratic interpolation (three points)
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * m * s;
+        q = 1 - s;
+      } else {
+        const r = fb / fc;
+        const t = fa / fc;
+        p = s * (2 * m * t * (t - r) - (b - a) * (r - 1));
+        q = (t - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q;
+      else p = -p;
+
+      // Accept the interpolation only if it stays well inside the bracket
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = m;
+        e = m;
+      }
+    } else {
+      d = m;
+      e = m;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+    fb = checkValue(fn(b), b);
+  }
+
+  return { root: b, value: fb, iterations: maxIterations, converged: false };
+}
+
+/**
+ * Nelder-Mead simplex minimizer for small unconstrained problems (curve fitting).
+ * Needs no derivatives; constraints are best handled by reparameterizing or penalizing fn.
+ * @param {Function} fn - f(x) for a parameter array x
+ * @param {Array} start - Initial parameters
+ * @param {Object} options - { steps (initial simplex size per parameter), tolerance (on f), maxIterations }
+ * @returns {Object} { point, value, iterations, converged }
+ */
+function nelderMead(fn, start, options = {}) {
+  const { tolerance = 1e-10, maxIterations = 500 } = options;
+  const size = start.length;
+  const steps = options.steps || start.map(x => (x !== 0 ? Math.abs(x) * 0.1 : 0.05));
+  const evaluate = x => {
+    const value = fn(x);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  let simplex = [start, ...start.map((_, i) => start.map((x, j) => (i === j ? x + steps[i] : x)))]
+    .map(point => ({ point, value: evaluate(point) }));
+  const along = (from, to, t) => from.map((x, i) => x + t * (to[i] - x));
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[size];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+      return { point: best.point, value: best.value, iterations: iteration - 1, converged: true };
+    }
+
+    const centroid = start.map((_, j) => simplex.slice(0, size).reduce((sum, vertex) => sum + vertex.point[j], 0) / size);
+    const reflected = along(centroid, worst.point, -1);
+    const reflectedValue = evaluate(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = along(centroid, worst.point, -2);
+      const expandedValue = evaluate(expanded);
+      simplex[size] = expandedValue < reflectedValue
+        ? { point: expanded, value: expandedValue }
+        : { point: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[size - 1].value) {
+      simplex[size] = { point: reflected, value: reflectedValue };
+    } else {
+      // Contract towards the better of the worst and reflected points, or shrink onto the best
+      const outside = reflectedValue < worst.value;
+      const contracted = along(centroid, outside ? reflected : worst.point, 0.5);
+      const contractedValue = evaluate(contracted);
+      if (contractedValue < Math.min(reflectedValue, worst.value)) {
+        simplex[size] = { point: contracted, value: contractedValue };
+      } else {
+        simplex = simplex.map((vertex, i) => {
+          if (i === 0) return vertex;
+          const point = along(best.point, vertex.point, 0.5);
+          return { point, value: evaluate(point) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return { point: simplex[0].point, value: simplex[0].value, iterations: maxIterations, converged: false };
+}
+
+/**
+ * Solve fn(x) = target over [lower, upper]
+ * @param {Function} fn - Output as a function of the input
+ * @param {number} target - Output to hit
+ * @param {Object} options - { lower, upper, method: 'brent'|'bisection', tolerance, valueTolerance, maxIterations }
+ * @returns {Object} { root, value (output at root), iterations, converged, method }
+ */
+function solveFor(fn, target, options = {}) {
+  const { lower, upper, method = 'brent' } = options;
+  if (!SOLVER_METHODS.includes(method)) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, `method must be one of: ${SOLVER_METHODS.join(', ')}`);
+  }
+  if (!Number.isFinite(lower) || !Number.isFinite(upper) || !(lower < upper)) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'bounds must be finite numbers with lower < upper', [
+      { path: 'bounds', message: 'lower must be below upper' }
+    ]);
+  }
+
+  const solver = method === 'brent' ? brent : bisection;
+  const outputs = {};
+  const shifted = x => {
+    const output = fn(x);
+    if (x === lower || x === upper) outputs[x] = output;
+    return output - target;
+  };
+
+  try {
+    const result = solver(shifted, lower, upper, options);
+    return { ...result, value: result.value + target, method };
+  } catch (error) {
+    if (error.code !== ERROR_CODES.TARGET_NOT_BRACKETED) throw error;
+    throw notBracketed(lower, upper, outputs[lower] - target, outputs[upper] - target, target);
+  }
+}
+
+module.exports = {
+  SOLVER_METHODS,
+  bisection,
+  brent,
+  nelderMead,
+  solveFor
+};
@@ -0,0 +1,283 @@
+/**
+ * Statistical helpers shared across the analytics models.
+ */
+
+const stats = require('simple-statistics');
+const { checkNumber } = require('./validation');
+
+const OUTLIER_METHODS = ['iqr', 'zscore', 'none'];
+
+// Default fence for each outlier method: Tukey's 1.5 x IQR, or 2 standard deviations
+const DEFAULT_OUTLIER_THRESHOLDS = { iqr: 1.5, zscore: 2 };
+
+/**
+ * Bucket values into equal-width bins for charting
+ * @param {Array} values - Numeric observations
+ * @param {number} binCount - Number of bins
+ * @returns {Array} [{ binStart, binEnd, count, frequency }]
+ */
+function histogram(values, binCount = 30) {
+  const finite = values.filter(v => Number.isFinite(v));
+  if (finite.length === 0) return [];
+
+  let min = Infinity;
+  let max = -Infinity;
+  finite.forEach(v => {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  });
+
+  if (min === max) {
+    return [{ binStart: min, binEnd: max, count: finite.length, frequency: 1 }];
+  }
+
+  const width = (max - min) / binCount;
+  const counts = Array(binCount).fill(0);
+  finite.forEach(v => {
+    counts[Math.min(binCount - 1, Math.floor((v - min) / width))]++;
+  });
+
+  return counts.map((count, i) => ({
+    binStart: min + i * width,
+    binEnd: i === binCount - 1 ? max : min + (i + 1) * width,
+    count,
+    frequency: count / finite.length
+  }));
+}
+
+/**
+ * Standard normal density
+ * @param {number} x - Point to evaluate
+ * @returns {number} φ(x)
+ */
+function normalPDF(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Hart's double-precision algorithm, as given by West 2005)
+ * @param {number} x - Point to evaluate
+ * @returns {number} Φ(x)
+ */
+function normalCDF(x) {
+  const z = Math.abs(x);
+  let tail;
+
+  if (z > 37) {
+    tail = 0;
+  } else if (z < 7.07106781186547) {
+    const exponential = Math.exp(-z * z / 2);
+    const numerator = ((((((0.0352624965998911 * z + 0.700383064443688) * z + 6.37396220353165) * z
+      + 33.912866078383) * z + 112.079291497871) * z + 221.213596169931) * z + 220.206867912376);
+    const denominator = (((((((0.0883883476483184 * z + 1.75566716318264) * z + 16.064177579207) * z
+      + 86.7807322029461) * z + 296.564248779674) * z + 637.333633378831) * z + 793.826512519948) * z
+      + 440.413735824752);
+    tail = exponential * numerator / denominator;
+  } else {
+    const exponential = Math.exp(-z * z / 2);
+    const fraction = z + 1 / (z + 2 / (z + 3 / (z + 4 / (z + 0.65))));
+    tail = exponential / fraction / 2.506628274631;
+  }
+
+  return x > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, relative error below 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that Φ(z) = p
+ */
+function inverseNormalCDF(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lowTail = 0.02425;
+
+  if (p < lowTail) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - lowTail) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Linearly interpolated quantile (Excel's QUARTILE.INC), which stays inside the data for small samples
+ * @param {Array} values - Numeric observations
+ * @param {number} p - Probability in [0, 1]
+ * @returns {number} Quantile
+ */
+function interpolatedQuantile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * p;
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (position - below) * (sorted[above] - sorted[below]);
+}
+
+/**
+ * Flags for values outside the Tukey fences (iqr) or more than `threshold`
+ * standard deviations from the mean (zscore). Fewer than four values are never trimmed.
+ * @param {Array} values - Numeric observations
+ * @param {string} method - One of OUTLIER_METHODS
+ * @param {number} threshold - Fence width (defaults per method)
+ * @returns {Array} true for each outlier
+ */
+function flagOutliers(values, method = 'iqr', threshold = DEFAULT_OUTLIER_THRESHOLDS[method]) {
+  if (method === 'none' || values.length < 4) return values.map(() => false);
+
+  if (method === 'zscore') {
+    const mean = stats.mean(values);
+    const std = stats.standardDeviation(values);
+    return values.map(value => std > 0 && Math.abs(value - mean) / std > threshold);
+  }
+
+  const lower = interpolatedQuantile(values, 0.25);
+  const upper = interpolatedQuantile(values, 0.75);
+  const spread = upper - lower;
+  return values.map(value => value < lower - threshold * spread || value > upper + threshold * spread);
+}
+
+/**
+ * Summary statistics of a valuation multiple across comparables after removing outliers
+ * @param {Array} observations - [{ [idField], value }] with null where the multiple is not meaningful
+ * @param {Object} options - { outlierMethod, outlierThreshold, idField }
+ * @returns {Object} { count, mean, median, harmonicMean, lowerQuartile, upperQuartile, min, max, included, excluded, notMeaningful }
+ */
+function summarizeMultiple(observations, options = {}) {
+  const { outlierMethod = 'iqr', outlierThreshold, idField = 'id' } = options;
+  const meaningful = observations.filter(observation => observation.value !== null);
+  const outliers = flagOutliers(meaningful.map(observation => observation.value), outlierMethod, outlierThreshold ?? DEFAULT_OUTLIER_THRESHOLDS[outlierMethod]);
+  const included = meaningful.filter((_, i) => !outliers[i]);
+  const values = included.map(observation => observation.value);
+  const describe = fn => (values.length > 0 ? fn(values) : null);
+
+  return {
+    count: values.length,
+    mean: describe(stats.mean),
+    median: describe(stats.median),
+    // Only defined for positive values (premiums can be negative)
+    harmonicMean: describe(v => (v.every(value => value > 0) ? stats.harmonicMean(v) : null)),
+    lowerQuartile: describe(v => interpolatedQuantile(v, 0.25)),
+    upperQuartile: describe(v => interpolatedQuantile(v, 0.75)),
+    min: describe(stats.min),
+    max: describe(stats.max),
+    included: included.map(observation => observation[idField]),
+    excluded: meaningful.filter((_, i) => outliers[i]),
+    notMeaningful: observations.filter(observation => observation.value === null).map(observation => observation[idField])
+  };
+}
+
+/**
+ * Comparables assumptions: defaults with the defined overrides applied and the
+ * outlier threshold filled in from the method when not given
+ * @param {Object} defaults - The model instance's settings
+ * @param {Object} overrides - Per-call overrides (undefined values are ignored)
+ * @returns {Object} Frozen assumptions
+ */
+function resolveComparableAssumptions(defaults, overrides = {}) {
+  const defined = Object.fromEntries(Object.entries(overrides || {}).filter(([, value]) => value !== undefined));
+  const assumptions = { ...defaults, ...defined };
+  return Object.freeze({
+    ...assumptions,
+    outlierThreshold: assumptions.outlierThreshold ?? DEFAULT_OUTLIER_THRESHOLDS[assumptions.outlierMethod] ?? null
+  });
+}
+
+/**
+ * Problems with comparables assumptions: the multiples to use, the outlier screen and the minimum sample
+ * @param {Array} details - Problems found so far (appended to)
+ * @param {Object} assumptions - Resolved assumptions
+ * @param {Object} keys - { list: field naming the multiples, known: the supported multiples, minimum: field holding the minimum count }
+ */
+function checkComparableAssumptions(details, assumptions, { list, known, minimum }) {
+  const requested = assumptions[list];
+  const unknown = (Array.isArray(requested) ? requested : []).filter(key => !known.includes(key));
+  if (!Array.isArray(requested) || requested.length === 0 || unknown.length > 0) {
+    details.push({ path: list, message: `${list} must be a non-empty subset of: ${known.join(', ')}` });
+  }
+  if (!OUTLIER_METHODS.includes(assumptions.outlierMethod)) {
+    details.push({ path: 'outlierMethod', message: `outlierMethod must be one of: ${OUTLIER_METHODS.join(', ')}` });
+  }
+  if (assumptions.outlierMethod !== 'none') {
+    checkNumber(details, assumptions.outlierThreshold, 'outlierThreshold', { exclusiveMin: 0 });
+  }
+  checkNumber(details, assumptions[minimum], minimum, { min: 1 });
+}
+
+/**
+ * Enterprise value, equity value and price per share implied by one of them
+ * @param {string} basis - 'enterprise' when `amount` is an enterprise value, 'perShare' when a price per share
+ * @param {number} amount - The implied value on that basis
+ * @param {Object} company - { netDebt, sharesOutstanding } (null when unknown)
+ * @returns {Object} { enterpriseValue, equityValue, perShare } with null where an input is missing
+ */
+function impliedValues(basis, amount, { netDebt = null, sharesOutstanding = null }) {
+  const shares = sharesOutstanding > 0 ? sharesOutstanding : null;
+  if (basis === 'perShare') {
+    const equityValue = shares !== null ? amount * shares : null;
+    return {
+      enterpriseValue: equityValue !== null && netDebt !== null ? equityValue + netDebt : null,
+      equityValue,
+      perShare: amount
+    };
+  }
+
+  const equityValue = netDebt !== null ? amount - netDebt : null;
+  return {
+    enterpriseValue: amount,
+    equityValue,
+    perShare: equityValue !== null && shares !== null ? equityValue / shares : null
+  };
+}
+
+/**
+ * Overall range across applied multiples: lowest lower-quartile value,
+ * median of the medians and highest upper-quartile value
+ * @param {Array} applied - [{ low, mid, high }] each holding enterpriseValue, equityValue and perShare
+ * @returns {Object} { enterpriseValue, equityValue, perShare } as { low, mid, high }, null where no multiple gives one
+ */
+function valuationRange(applied) {
+  const range = field => {
+    const lows = applied.map(valuation => valuation.low[field]).filter(v => v !== null);
+    const mids = applied.map(valuation => valuation.mid[field]).filter(v => v !== null);
+    const highs = applied.map(valuation => valuation.high[field]).filter(v => v !== null);
+    if (mids.length === 0) return null;
+    return { low: stats.min(lows), mid: stats.median(mids), high: stats.max(highs) };
+  };
+
+  return {
+    enterpriseValue: range('enterpriseValue'),
+    equityValue: range('equityValue'),
+    perShare: range('perShare')
+  };
+}
+
+module.exports = {
+  OUTLIER_METHODS,
+  DEFAULT_OUTLIER_THRESHOLDS,
+  histogram,
+  normalPDF,
+  normalCDF,
+  inverseNormalCDF,
+  interpolatedQuantile,
+  flagOutliers,
+  summarizeMultiple,
+  resolveComparableAssumptions,
+  checkComparableAssumptions,
+  impliedValues,
+  valuationRange
+};
@@ -0,0 +1,104 @@
+/**
+ * Helpers for turning raw price history (as returned by
+ * YahooFinanceAPI.getHistoricalData) into aligned return series.
+ */
+
+const { ERROR_CODES, ModelError } = require('./validation');
+
+const PERIODS_PER_YEAR = {
+  '1d': 252,
+  '5d': 52,
+  '1wk': 52,
+  '1mo': 12,
+  '3mo': 4
+};
+
+/**
+ * Number of return observations per year for a Yahoo interval
+ * @param {string} interval - Yahoo interval (1d, 1wk, 1mo, ...)
+ * @returns {number} Periods per year
+ */
+function periodsPerYear(interval = '1d') {
+  return PERIODS_PER_YEAR[interval] || 252;
+}
+
+/**
+ * Align several price histories on their common dates
+ * @param {Object} historyBySymbol - Map of symbol -> [{ date, close, adjClose }]
+ * @returns {Object} { dates, prices } where prices[symbol] is aligned to dates
+ */
+function alignPriceSeries(historyBySymbol) {
+  const symbols = Object.keys(historyBySymbol);
+  if (symbols.length === 0) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'At least one price series is required', [
+      { path: 'symbols', message: 'At least one price series is required' }
+    ]);
+  }
+
+  const seriesMaps = symbols.map(symbol => {
+    const map = new Map();
+    (historyBySymbol[symbol] || []).forEach(point => {
+      const price = point.adjClose ?? point.close;
+      if (price === null || price === undefined || isNaN(price)) return;
+      const dateKey = new Date(point.date).toISOString().split('T')[0];
+      map.set(dateKey, price);
+    });
+    return map;
+  });
+
+  const dates = Array.from(seriesMaps[0].keys())
+    .filter(dateKey => seriesMaps.every(map => map.has(dateKey)))
+    .sort();
+
+  const prices = {};
+  symbols.forEach((symbol, index) => {
+    prices[symbol] = dates.map(dateKey => seriesMaps[index].get(dateKey));
+  });
+
+  return { dates, prices };
+}
+
+/**
+ * Convert a price series into period returns
+ * @param {Array} prices - Ordered prices
+ * @param {string} method - 'simple' or 'log'
+ * @returns {Array} Returns, one shorter than prices
+ */
+function toReturns(prices, method = 'simple') {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    returns.push(method === 'log'
+      ? Math.log(prices[i] / prices[i - 1])
+      : prices[i] / prices[i - 1] - 1);
+  }
+  return returns;
+}
+
+/**
+ * Align price histories and build a returns matrix (rows = periods, columns = symbols)
+ * @param {Object} historyBySymbol - Map of symbol -> price history
+ * @param {string} method - 'simple' or 'log'
+ * @returns {Object} { symbols, dates, prices, returns }
+ */
+function buildReturnsMatrix(historyBySymbol, method = 'simple') {
+  const symbols = Object.keys(historyBySymbol);
+  const { dates, prices } = alignPriceSeries(historyBySymbol);
+
+  if (dates.length < 3) {
+    throw new ModelError(ERROR_CODES.INVALID_INPUT, 'Not enough overlapping price history to compute returns', [
+      { path: 'period1', message: 'the requested window has fewer than three common trading dates' }
+    ]);
+  }
+
+  const columns = symbols.map(symbol => toReturns(prices[symbol], method));
+  const returns = columns[0].map((_, row) => columns.map(column => column[row]));
+
+  return { symbols, dates, prices, returns };
+}
+
+module.exports = {
+  periodsPerYear,
+  alignPriceSeries,
+  toReturns,
+  buildReturnsMatrix
+};
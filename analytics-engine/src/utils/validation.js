@@ -0,0 +1,152 @@
+/**
+ * Structured errors, warnings and input checks shared by the valuation models.
+ *
+ * Errors carry a stable `code` (and optional `details`) so API layers can map
+ * them to responses; warnings are plain { code, message, ...context } objects
+ * returned alongside results.
+ */
+
+const ERROR_CODES = {
+  INVALID_INPUT: 'INVALID_INPUT',
+  INVALID_ASSUMPTION: 'INVALID_ASSUMPTION',
+  TERMINAL_GROWTH_EXCEEDS_DISCOUNT: 'TERMINAL_GROWTH_EXCEEDS_DISCOUNT',
+  NEGATIVE_EQUITY_CONTRIBUTION: 'NEGATIVE_EQUITY_CONTRIBUTION',
+  TARGET_NOT_BRACKETED: 'TARGET_NOT_BRACKETED',
+  CALCULATION_FAILED: 'CALCULATION_FAILED',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE' // a market data source the calculation needs failed
+};
+
+const WARNING_CODES = {
+  DEFAULTED_VALUE: 'DEFAULTED_VALUE',
+  CLAMPED_VALUE: 'CLAMPED_VALUE',
+  DROPPED_SIMULATIONS: 'DROPPED_SIMULATIONS',
+  FAILED_SCENARIOS: 'FAILED_SCENARIOS',
+  IMPLAUSIBLE_ASSUMPTION: 'IMPLAUSIBLE_ASSUMPTION',
+  NO_DEBT: 'NO_DEBT',
+  FUNDING_SHORTFALL: 'FUNDING_SHORTFALL',
+  CIRCULARITY_NOT_CONVERGED: 'CIRCULARITY_NOT_CONVERGED',
+  SOLVER_NOT_CONVERGED: 'SOLVER_NOT_CONVERGED',
+  MULTIPLE_IRRS: 'MULTIPLE_IRRS',
+  MISSING_DATA: 'MISSING_DATA',
+  EXCLUDED_OUTLIERS: 'EXCLUDED_OUTLIERS',
+  INSUFFICIENT_PEERS: 'INSUFFICIENT_PEERS',
+  ARBITRAGE_VIOLATION: 'ARBITRAGE_VIOLATION'
+};
+
+class ModelError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {Array} details - Optional [{ path, message }] for input errors
+   */
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'ModelError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Re-throwable error that keeps the original code when wrapping a failure
+   * @param {Error} error - Caught error
+   * @param {string} prefix - Context such as 'DCF calculation failed'
+   * @returns {ModelError} Wrapped error
+   */
+  static wrap(error, prefix) {
+    return new ModelError(error.code || ERROR_CODES.CALCULATION_FAILED, `${prefix}: ${error.message}`, error.details || []);
+  }
+}
+
+/**
+ * Build a warning entry
+ * @param {string} code - One of WARNING_CODES
+ * @param {string} message - Human-readable message
+ * @param {Object} context - Extra fields (path, value, count, ...)
+ * @returns {Object} Warning
+ */
+function warning(code, message, context = {}) {
+  return { code, message, ...context };
+}
+
+/**
+ * Check one numeric field and push { path, message } entries onto `details`
+ * @param {Array} details - Accumulated problems
+ * @param {*} value - Value to check
+ * @param {string} path - Dotted path reported to the caller
+ * @param {Object} rules - { required, min, max, exclusiveMin }
+ */
+function checkNumber(details, value, path, rules = {}) {
+  if (value === undefined || value === null) {
+    if (rules.required) details.push({ path, message: `${path} is required` });
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    details.push({ path, message: `${path} must be a finite number` });
+    return;
+  }
+  if (rules.exclusiveMin !== undefined && !(value > rules.exclusiveMin)) {
+    details.push({ path, message: `${path} must be greater than ${rules.exclusiveMin}` });
+  }
+  if (rules.min !== undefined && value < rules.min) {
+    details.push({ path, message: `${path} must be at least ${rules.min}` });
+  }
+  if (rules.max !== undefined && value > rules.max) {
+    details.push({ path, message: `${path} must be at most ${rules.max}` });
+  }
+}
+
+/**
+ * Check a per-year assumption given as a number or an array of numbers
+ */
+function checkSeries(details, value, path, rules = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => checkNumber(details, item, `${path}[${i}]`, { ...rules, required: true }));
+    if (rules.required && value.length === 0) details.push({ path, message: `${path} must not be empty` });
+    return;
+  }
+  if (rules.arrayOnly && value !== undefined && value !== null) {
+    details.push({ path, message: `${path} must be an array` });
+    return;
+  }
+  checkNumber(details, value, path, rules);
+}
+
+/**
+ * Throw an INVALID_INPUT ModelError when any problems were collected
+ */
+function assertValid(details, label) {
+  if (details.length > 0) {
+    throw new ModelError(
+      ERROR_CODES.INVALID_INPUT,
+      `Invalid ${label}: ${details.map(d => d.message).join('; ')}`,
+      details
+    );
+  }
+}
+
+/**
+ * Warn when values of a per-year assumption fall outside a plausible range
+ * @returns {Array} Warnings
+ */
+function plausibility(value, path, { min, max, reason }) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map((item, i) => ({ item, itemPath: Array.isArray(value) ? `${path}[${i}]` : path }))
+    .filter(({ item }) => Number.isFinite(item) && (item < min || item > max))
+    .map(({ item, itemPath }) => warning(
+      WARNING_CODES.IMPLAUSIBLE_ASSUMPTION,
+      `${itemPath} of ${item} is outside the usual range [${min}, ${max}]${reason ? ` (${reason})` : ''}`,
+      { path: itemPath, value: item }
+    ));
+}
+
+module.exports = {
+  ERROR_CODES,
+  WARNING_CODES,
+  ModelError,
+  warning,
+  checkNumber,
+  checkSeries,
+  assertValid,
+  plausibility
+};
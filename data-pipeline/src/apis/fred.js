@@ -125,6 +125,18 @@ class FREDApi {
       .filter(item => Object.keys(item.yields).length > 0);
   }
 
+  // Most recent yield curve observation on or before asOf (default today); null when FRED has none.
+  // The series are monthly, so the lookback always covers the latest print.
+  async getLatestYieldCurve(asOf = null) {
+    const end = asOf ? new Date(asOf) : new Date();
+    const start = new Date(end.getTime() - 120 * 24 * 60 * 60 * 1000);
+    const format = date => date.toISOString().split('T')[0];
+
+    const observations = await this.getYieldCurve(format(start), format(end));
+    const usable = observations.filter(item => Object.values(item.yields).filter(Number.isFinite).length >= 2);
+    return usable.length > 0 ? usable[usable.length - 1] : null;
+  }
+
   async getConsumerSentiment(startDate = null, endDate = null) {
     return this.getSeries('UMCSENT', startDate, endDate);
   }
@@ -0,0 +1,47 @@
+const FREDApi = require('./fred');
+const YieldCurveModel = require('../../../analytics-engine/src/models/YieldCurveModel');
+const { ERROR_CODES, ModelError } = require('../../../analytics-engine/src/utils/validation');
+
+const fredAPI = new FREDApi();
+const yieldCurveModel = new YieldCurveModel();
+
+/**
+ * Treasury zero curve bootstrapped from the FRED par yields last published on or before a date.
+ * Routes fall back to it when the request brings no rates of its own, so when FRED cannot
+ * supply the yields the error names the request field that would have avoided the call.
+ * @param {Object} options - { date (defaults to today), method, override (request field to suggest) }
+ * @returns {Promise<Object>} Curve as returned by YieldCurveModel.build
+ */
+async function treasuryCurve({ date, method, override = 'riskFreeRate' } = {}) {
+  const unavailable = reason => new ModelError(
+    ERROR_CODES.UPSTREAM_UNAVAILABLE,
+    `Treasury curve unavailable from FRED (${reason}); pass ${override} instead`,
+    [{ path: override, message: `FRED Treasury yields unavailable: ${reason}` }]
+  );
+
+  let observation;
+  try {
+    observation = await fredAPI.getLatestYieldCurve(date);
+  } catch (error) {
+    throw unavailable(error.message);
+  }
+  if (!observation) {
+    throw unavailable(`no yields published in the 120 days before ${date || 'today'}`);
+  }
+  return yieldCurveModel.build(observation, { method });
+}
+
+/**
+ * Continuously compounded Treasury zero rate at a horizon
+ * @param {number} horizon - Years
+ * @param {Object} options - As for treasuryCurve
+ * @returns {Promise<number>} Zero rate
+ */
+async function treasuryRate(horizon, options) {
+  return yieldCurveModel.zeroRate(await treasuryCurve(options), horizon);
+}
+
+module.exports = {
+  treasuryCurve,
+  treasuryRate
+};
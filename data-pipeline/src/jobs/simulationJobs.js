@@ -0,0 +1,135 @@
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'simulationWorker.js');
+
+class SimulationJobQueue {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 2;
+    this.jobTTL = options.jobTTL || 60 * 60 * 1000; // keep finished jobs for 1 hour
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a Monte Carlo request to run in a worker thread
+   * @param {Object} request - Simulation request for MonteCarloRunner
+   * @returns {Object} Public view of the new job
+   */
+  submit(request) {
+    this.pruneExpired();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      model: request.model,
+      simulations: request.simulations,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+      errorCode: null,
+      request,
+      waiters: []
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.drain();
+
+    return this.describe(job);
+  }
+
+  /**
+   * Look up a job by id
+   * @param {string} id - Job id returned by submit
+   * @returns {Object|null} Public view of the job
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {string} id - Job id returned by submit
+   * @returns {Promise<Object|null>} Public view of the completed or failed job
+   */
+  wait(id) {
+    const job = this.jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (job.completedAt) return Promise.resolve(this.describe(job));
+    return new Promise(resolve => job.waiters.push(resolve));
+  }
+
+  drain() {
+    while (this.running < this.maxConcurrent && this.pending.length > 0) {
+      this.start(this.pending.shift());
+    }
+  }
+
+  start(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    const worker = new Worker(WORKER_PATH, { workerData: job.request });
+    let settled = false;
+
+    const finish = (status, payload, errorCode = null) => {
+      if (settled) return;
+      settled = true;
+
+      job.status = status;
+      job.completedAt = new Date().toISOString();
+      if (status === 'completed') {
+        job.result = payload;
+      } else {
+        job.error = payload;
+        job.errorCode = errorCode;
+      }
+      job.request = null; // inputs are no longer needed once the run is over
+      job.waiters.splice(0).forEach(resolve => resolve(this.describe(job)));
+
+      this.running--;
+      this.drain();
+    };
+
+    worker.on('message', message => {
+      finish(message.status, message.status === 'completed' ? message.result : message.error, message.code);
+    });
+    worker.on('error', error => finish('failed', error.message));
+    worker.on('exit', code => {
+      if (code !== 0) finish('failed', `Simulation worker exited with code ${code}`);
+    });
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.jobTTL;
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  describe(job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      model: job.model,
+      simulations: job.simulations,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      result: job.result,
+      error: job.error,
+      errorCode: job.errorCode
+    };
+  }
+}
+
+module.exports = SimulationJobQueue;
@@ -0,0 +1,10 @@
+const { parentPort, workerData } = require('worker_threads');
+const MonteCarloRunner = require('../../../analytics-engine/src/simulation/MonteCarloRunner');
+
+// Runs a single Monte Carlo request off the main event loop
+try {
+  const runner = new MonteCarloRunner();
+  parentPort.postMessage({ status: 'completed', result: runner.run(workerData) });
+} catch (error) {
+  parentPort.postMessage({ status: 'failed', error: error.message, code: error.code || null });
+}
@@ -1,8 +1,87 @@
 const express = require('express');
 const router = express.Router();
+const YahooFinanceAPI = require('../apis/yahooFinance');
+const AlphaVantageAPI = require('../apis/alphaVantage');
+const { treasuryRate } = require('../apis/treasuryCurve');
+const PortfolioModel = require('../../../analytics-engine/src/models/PortfolioModel');
+const RiskModel = require('../../../analytics-engine/src/models/RiskModel');
+const MonteCarloRunner = require('../../../analytics-engine/src/simulation/MonteCarloRunner');
+const SensitivityRunner = require('../../../analytics-engine/src/simulation/SensitivityRunner');
+const GoalSeekRunner = require('../../../analytics-engine/src/simulation/GoalSeekRunner');
+const LBOModel = require('../../../analytics-engine/src/models/LBOModel');
+const CompsModel = require('../../../analytics-engine/src/models/CompsModel');
+const FootballFieldModel = require('../../../analytics-engine/src/models/FootballFieldModel');
+const CreditRiskModel = require('../../../analytics-engine/src/models/CreditRiskModel');
+const { returnMetrics } = require('../../../analytics-engine/src/utils/financialMath');
+const SimulationJobQueue = require('../jobs/simulationJobs');
+const {
+  portfolioOptimizeRequest,
+  varRequest,
+  monteCarloRequest,
+  sensitivityGridRequest,
+  tornadoRequest,
+  goalSeekRequest,
+  maxPurchasePriceRequest,
+  returnMetricsRequest,
+  compsRequest,
+  footballFieldRequest,
+  creditRiskRequest,
+  validateBody
+} = require('../validation/modelSchemas');
+const { sendInvalidBody, sendModelError } = require('../validation/responses');
+const { warning, WARNING_CODES } = require('../../../analytics-engine/src/utils/validation');
 
-// This route will be used to call analytics engine functions
-// For now, it's a placeholder that will be expanded when we build the analytics engine
+const yahooAPI = new YahooFinanceAPI();
+const alphaAPI = new AlphaVantageAPI();
+const monteCarloRunner = new MonteCarloRunner();
+const sensitivityRunner = new SensitivityRunner();
+const goalSeekRunner = new GoalSeekRunner();
+const simulationJobs = new SimulationJobQueue();
+
+// Runs above this size go to a worker thread instead of blocking the event loop
+const SYNC_SIMULATION_LIMIT = 1000;
+
+const ONE_YEAR_SECONDS = 365 * 24 * 60 * 60;
+
+// Fetch price history for each symbol over the requested window (defaults to the last year)
+async function fetchPriceHistory(symbols, { period1, period2, interval = '1d' } = {}) {
+  const end = period2 ? parseInt(period2) : Math.floor(Date.now() / 1000);
+  const start = period1 ? parseInt(period1) : end - ONE_YEAR_SECONDS;
+
+  const histories = await Promise.all(
+    symbols.map(symbol => yahooAPI.getHistoricalData(symbol, start, end, interval))
+  );
+
+  return symbols.reduce((map, symbol, i) => {
+    map[symbol] = histories[i];
+    return map;
+  }, {});
+}
+
+// Resolve tickers into { symbol, financials, overview }; either source may fail and leave null
+async function fetchCompanyData(company) {
+  if (typeof company !== 'string') return company;
+
+  const symbol = company.toUpperCase();
+  const [financials, overview] = await Promise.allSettled([
+    yahooAPI.getFinancials(symbol),
+    alphaAPI.getCompanyOverview(symbol)
+  ]);
+
+  return {
+    symbol,
+    financials: financials.status === 'fulfilled' ? financials.value : null,
+    overview: overview.status === 'fulfilled' ? overview.value : null
+  };
+}
+
+// Symbol-keyed constraint maps arrive in whatever case the client used
+function upperCaseKeys(map = {}) {
+  return Object.keys(map).reduce((result, key) => {
+    result[key.toUpperCase()] = map[key];
+    return result;
+  }, {});
+}
 
 router.get('/health', (req, res) => {
   res.json({ 
@@ -12,46 +91,349 @@ router.get('/health', (req, res) => {
   });
 });
 
-// Portfolio analytics placeholder
+// Mean-variance portfolio optimization
 router.post('/portfolio/optimize', async (req, res) => {
   try {
-    // This will call the analytics engine for portfolio optimization
-    res.json({ 
-      success: true, 
-      message: 'Portfolio optimization endpoint - coming soon',
-      data: null
-    });
+    const { details } = validateBody(portfolioOptimizeRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { symbols, period1, period2, interval = '1d', riskFreeRate, frontierPoints, constraints = {} } = req.body;
+
+    const upperSymbols = symbols.map(s => s.toUpperCase());
+    const priceHistory = await fetchPriceHistory(upperSymbols, { period1, period2, interval });
+
+    const model = new PortfolioModel({ riskFreeRate, frontierPoints });
+    const optimization = model.optimize(priceHistory, {
+      ...constraints,
+      bounds: upperCaseKeys(constraints.bounds),
+      sectors: upperCaseKeys(constraints.sectors)
+    }, { interval });
+
+    res.json({ success: true, data: optimization });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendModelError(res, error);
   }
 });
 
-// Risk analytics placeholder
+// Value at Risk and Expected Shortfall (historical, parametric, Monte Carlo)
 router.post('/risk/var', async (req, res) => {
   try {
-    // This will call the analytics engine for VaR calculation
-    res.json({ 
-      success: true, 
-      message: 'Value at Risk calculation endpoint - coming soon',
-      data: null
+    const { details } = validateBody(varRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const {
+      positions,
+      confidenceLevel,
+      horizon,
+      methods,
+      simulations,
+      seed,
+      antithetic,
+      period1,
+      period2,
+      interval = '1d'
+    } = req.body;
+
+    const normalized = positions.map(p => ({ ...p, symbol: p.symbol.toUpperCase() }));
+    const symbols = [...new Set(normalized.map(p => p.symbol))];
+    const priceHistory = await fetchPriceHistory(symbols, { period1, period2, interval });
+
+    const model = new RiskModel();
+    const risk = model.calculateVaR(normalized, priceHistory, {
+      confidenceLevel, horizon, methods, simulations, seed, antithetic
     });
+
+    res.json({ success: true, data: risk });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendModelError(res, error);
   }
 });
 
-// Monte Carlo simulation placeholder
+// Monte Carlo simulation for DCF and LBO models
 router.post('/simulation/monte-carlo', async (req, res) => {
   try {
-    // This will call the analytics engine for Monte Carlo simulation
-    res.json({ 
-      success: true, 
-      message: 'Monte Carlo simulation endpoint - coming soon',
-      data: null
+    const { model, inputs, distributions, correlation, simulations, seed, antithetic, histogramBins } = req.body;
+    const request = { model, inputs, distributions, correlation, simulations, seed, antithetic, histogramBins };
+
+    const { details } = validateBody(monteCarloRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const errors = monteCarloRunner.validate(request);
+    if (errors.length > 0) {
+      return sendInvalidBody(res, errors.map(message => ({ path: 'request', message })));
+    }
+
+    // Large runs always go to a worker; async: false waits for it instead of returning the job
+    const requested = simulations || (model === 'dcf' ? 10000 : 5000);
+    if (req.body.async === false && requested > SYNC_SIMULATION_LIMIT) {
+      const job = await simulationJobs.wait(simulationJobs.submit(request).jobId);
+      if (job.status !== 'completed') {
+        return sendModelError(res, { message: job.error, code: job.errorCode });
+      }
+      return res.json({ success: true, data: job.result });
+    }
+    if (req.body.async || requested > SYNC_SIMULATION_LIMIT) {
+      const job = simulationJobs.submit(request);
+      return res.status(202).json({ 
+        success: true, 
+        data: {
+          ...job,
+          statusUrl: `${req.baseUrl}/simulation/jobs/${job.jobId}`
+        }
+      });
+    }
+
+    const result = monteCarloRunner.run(request);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Sensitivity grid over one or more input paths
+router.post('/sensitivity/grid', (req, res) => {
+  try {
+    const { details } = validateBody(sensitivityGridRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { model, inputs, dimensions, metrics } = req.body;
+    res.json({ success: true, data: sensitivityRunner.grid({ model, inputs, dimensions, metrics }) });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Tornado ranking of drivers by their low/high impact on one output metric
+router.post('/sensitivity/tornado', (req, res) => {
+  try {
+    const { details } = validateBody(tornadoRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { model, inputs, drivers, metric } = req.body;
+    res.json({ success: true, data: sensitivityRunner.tornado({ model, inputs, drivers, metric }) });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Goal seek: the value of one input path that makes an output metric hit a target
+router.post('/solver/goal-seek', (req, res) => {
+  try {
+    const { details } = validateBody(goalSeekRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { model, inputs, path, metric, target, lower, upper, method, tolerance, maxIterations } = req.body;
+    res.json({
+      success: true,
+      data: goalSeekRunner.solve({ model, inputs, path, metric, target, lower, upper, method, tolerance, maxIterations })
+    });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Highest LBO purchase price that still earns the target IRR
+router.post('/lbo/max-purchase-price', (req, res) => {
+  try {
+    const { details } = validateBody(maxPurchasePriceRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { dealParams, assumptions = {}, lower, upper, method, tolerance } = req.body;
+    const model = new LBOModel(assumptions);
+    res.json({ success: true, data: model.maxPurchasePrice(dealParams, { lower, upper, method, tolerance }) });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// XIRR, MOIC, DPI/RVPI/TVPI and NPV at a hurdle rate for investor cash flows
+router.post('/returns/metrics', (req, res) => {
+  try {
+    const { details } = validateBody(returnMetricsRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { flows, residualValue, hurdleRate, guess } = req.body;
+    res.json({ success: true, data: returnMetrics(flows, { residualValue, hurdleRate, guess }) });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Trading comps: peer multiple statistics and the target's implied valuation range
+router.post('/comps/valuation', async (req, res) => {
+  try {
+    const { details } = validateBody(compsRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { target, peers, multiples, outlierMethod, outlierThreshold, minPeers } = req.body;
+    const [targetData, ...peerData] = await Promise.all([target, ...peers].map(fetchCompanyData));
+
+    const model = new CompsModel();
+    res.json({
+      success: true,
+      data: model.calculateComps(targetData, peerData, { multiples, outlierMethod, outlierThreshold, minPeers })
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendModelError(res, error);
+  }
+});
+
+// Football field: low/high value per share from the DCF, LBO ability to pay, comps and 52-week range
+router.post('/valuation/football-field', async (req, res) => {
+  try {
+    const { details } = validateBody(footballFieldRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { symbol, dcf, lbo, comps } = req.body;
+    const inputs = { company: { ...req.body.company }, dcf, lbo, fiftyTwoWeek: req.body.fiftyTwoWeek };
+    const marketWarnings = [];
+
+    if (symbol) {
+      try {
+        const quote = await yahooAPI.getQuote(symbol.toUpperCase());
+        inputs.company.currentPrice = inputs.company.currentPrice ?? quote.regularMarketPrice;
+        inputs.company.sharesOutstanding = inputs.company.sharesOutstanding ?? quote.sharesOutstanding;
+        if (!inputs.fiftyTwoWeek && Number.isFinite(quote.fiftyTwoWeekLow) && Number.isFinite(quote.fiftyTwoWeekHigh)) {
+          inputs.fiftyTwoWeek = { low: quote.fiftyTwoWeekLow, high: quote.fiftyTwoWeekHigh };
+        }
+      } catch (error) {
+        marketWarnings.push(warning(WARNING_CODES.MISSING_DATA, `quote for ${symbol.toUpperCase()} unavailable: ${error.message}`, { symbol }));
+      }
+    }
+
+    if (comps) {
+      const [target, ...peers] = await Promise.all([comps.target || symbol || {}, ...comps.peers].map(fetchCompanyData));
+      inputs.comps = { ...comps, target, peers };
+    }
+
+    const model = new FootballFieldModel();
+    const footballField = model.build(inputs);
+    res.json({
+      success: true,
+      data: {
+        symbol: symbol ? symbol.toUpperCase() : null,
+        ...footballField,
+        warnings: [...marketWarnings, ...footballField.warnings]
+      }
+    });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Merton distance to default, Altman Z-score, expected loss and implied rating band; a symbol fills in
+// market cap, equity volatility from a year of prices, and debt and financials from the latest annual balance sheet
+router.post('/credit-risk', async (req, res) => {
+  try {
+    const { details } = validateBody(creditRiskRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const model = new CreditRiskModel();
+    const inputs = { ...req.body };
+    const marketWarnings = [];
+    let fiscalDateEnding = null;
+
+    if (req.body.symbol) {
+      const symbol = req.body.symbol.toUpperCase();
+      const end = Math.floor(Date.now() / 1000);
+      const [quote, history, balanceSheet, incomeStatement] = await Promise.allSettled([
+        req.body.equityValue === undefined ? yahooAPI.getQuote(symbol) : null,
+        req.body.equityVolatility === undefined ? yahooAPI.getHistoricalData(symbol, end - ONE_YEAR_SECONDS, end, '1d') : null,
+        alphaAPI.getBalanceSheet(symbol),
+        alphaAPI.getIncomeStatement(symbol)
+      ]);
+      const unavailable = (what, reason) => marketWarnings.push(
+        warning(WARNING_CODES.MISSING_DATA, `${what} for ${symbol} unavailable: ${reason.message}`, { symbol })
+      );
+
+      if (quote.status === 'fulfilled' && quote.value) {
+        inputs.equityValue = quote.value.marketCap;
+      } else if (quote.status === 'rejected') {
+        unavailable('quote', quote.reason);
+      }
+
+      if (history.status === 'fulfilled' && history.value) {
+        inputs.equityVolatility = model.equityVolatility(history.value, '1d');
+      } else if (history.status === 'rejected') {
+        unavailable('price history', history.reason);
+      }
+
+      try {
+        if (balanceSheet.status === 'rejected') throw balanceSheet.reason;
+        const statements = model.fromAlphaVantage(
+          balanceSheet.value,
+          incomeStatement.status === 'fulfilled' ? incomeStatement.value : null
+        );
+        fiscalDateEnding = statements.fiscalDateEnding;
+        if (req.body.shortTermDebt === undefined) {
+          inputs.shortTermDebt = statements.shortTermDebt;
+          inputs.longTermDebt = statements.longTermDebt;
+        }
+        inputs.financials = req.body.financials || statements.financials;
+        if (incomeStatement.status === 'rejected') unavailable('income statement', incomeStatement.reason);
+      } catch (error) {
+        unavailable('balance sheet', error);
+      }
+    }
+
+    const horizon = inputs.horizon || model.horizon;
+    const riskFreeSource = inputs.riskFreeRate === undefined ? 'FRED Treasury zero curve' : 'input';
+    if (inputs.riskFreeRate === undefined) {
+      inputs.riskFreeRate = await treasuryRate(horizon);
+    }
+
+    const assessment = model.assess(inputs);
+    res.json({
+      success: true,
+      data: {
+        symbol: req.body.symbol ? req.body.symbol.toUpperCase() : null,
+        inputs: {
+          equityValue: inputs.equityValue,
+          equityVolatility: inputs.equityVolatility,
+          shortTermDebt: inputs.shortTermDebt ?? 0,
+          longTermDebt: inputs.longTermDebt ?? 0,
+          riskFreeRate: inputs.riskFreeRate,
+          riskFreeSource,
+          fiscalDateEnding
+        },
+        ...assessment,
+        warnings: [...marketWarnings, ...assessment.warnings]
+      }
+    });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Poll an asynchronous Monte Carlo job
+router.get('/simulation/jobs/:jobId', (req, res) => {
+  const job = simulationJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Simulation job not found' });
   }
+  res.json({ success: true, data: job });
 });
 
 module.exports = router;
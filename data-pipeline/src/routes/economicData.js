@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const FREDApi = require('../apis/fred');
+const YieldCurveModel = require('../../../analytics-engine/src/models/YieldCurveModel');
+const { yieldCurveQuery, validateQuery } = require('../validation/modelSchemas');
+const { sendInvalidBody, sendModelError } = require('../validation/responses');
 
 const fredAPI = new FREDApi();
+const yieldCurveModel = new YieldCurveModel();
 
 // Get economic dashboard with key indicators
 router.get('/dashboard', async (req, res) => {
@@ -82,6 +86,30 @@ router.get('/yield-curve', async (req, res) => {
   }
 });
 
+// Zero curve bootstrapped from the latest par yields on or before ?date, with discount factors and forwards.
+// The returned curve can be passed back as a DCF riskFreeCurve or LBO baseRates.
+router.get('/yield-curve/bootstrap', async (req, res) => {
+  try {
+    const times = req.query.times === undefined
+      ? undefined
+      : String(req.query.times).split(',').map(item => item.trim()).filter(Boolean);
+    const { value: query, details } = validateQuery(yieldCurveQuery, { ...req.query, times });
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const observation = await fredAPI.getLatestYieldCurve(query.date);
+    if (!observation) {
+      return res.status(404).json({ success: false, error: `No Treasury yields found in the 120 days before ${query.date || 'today'}` });
+    }
+
+    const curve = yieldCurveModel.build(observation, { method: query.method });
+    res.json({ success: true, data: { ...curve, sample: yieldCurveModel.sample(curve, query.times) } });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
 // Get consumer sentiment
 router.get('/consumer-sentiment', async (req, res) => {
   try {
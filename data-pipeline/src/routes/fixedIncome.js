@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { treasuryCurve } = require('../apis/treasuryCurve');
+const FixedIncomeModel = require('../../../analytics-engine/src/models/FixedIncomeModel');
+const { bondRequest, validateBody } = require('../validation/modelSchemas');
+const { sendInvalidBody, sendModelError } = require('../validation/responses');
+
+const fixedIncomeModel = new FixedIncomeModel();
+
+// Price, yield, duration, convexity and key rate DV01s for one bond, off the Treasury curve unless a curve is given
+router.post('/bond', async (req, res) => {
+  try {
+    const { details } = validateBody(bondRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { bond, price, keyRateTenors, curveMethod } = req.body;
+    const curve = req.body.curve || await treasuryCurve({ date: bond.settlementDate, method: curveMethod, override: 'curve' });
+    const analysis = fixedIncomeModel.analyze(bond, curve, { price, keyRateTenors });
+
+    res.json({
+      success: true,
+      data: {
+        ...analysis,
+        curve: {
+          source: req.body.curve ? 'request' : 'FRED Treasury zero curve',
+          date: curve.date ?? null,
+          method: curve.method
+        },
+        warnings: [...(req.body.curve ? [] : curve.warnings || []), ...analysis.warnings]
+      }
+    });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,26 @@ const express = require('express');
 const router = express.Router();
 const YahooFinanceAPI = require('../apis/yahooFinance');
 const AlphaVantageAPI = require('../apis/alphaVantage');
+const { treasuryCurve } = require('../apis/treasuryCurve');
+const OptionsModel = require('../../../analytics-engine/src/models/OptionsModel');
+const VolSurfaceModel = require('../../../analytics-engine/src/models/VolSurfaceModel');
+const { warning, WARNING_CODES } = require('../../../analytics-engine/src/utils/validation');
+const { optionsPricingQuery, volSurfaceQuery, validateQuery } = require('../validation/modelSchemas');
+const { sendInvalidBody, sendModelError } = require('../validation/responses');
 
 const yahooAPI = new YahooFinanceAPI();
 const alphaAPI = new AlphaVantageAPI();
+const optionsModel = new OptionsModel();
+const volSurfaceModel = new VolSurfaceModel();
+
+/**
+ * Latest Treasury zero curve as the { time, rate } points the options models read
+ * @returns {Promise<Object>} { date, curve: [{ time, rate }] } with continuously compounded rates
+ */
+async function riskFreeCurve() {
+  const { date, pillars } = await treasuryCurve();
+  return { date, curve: pillars.map(pillar => ({ time: pillar.time, rate: pillar.zeroRate })) };
+}
 
 // Get real-time quote for a single stock
 router.get('/quote/:symbol', async (req, res) => {
@@ -84,6 +101,116 @@ router.get('/options/:symbol', async (req, res) => {
   }
 });
 
+// Implied volatility and Greeks for every contract in the options chain
+router.get('/options/:symbol/pricing', async (req, res) => {
+  try {
+    const { value: query, details } = validateQuery(optionsPricingQuery, req.query);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const [chain, riskFree] = await Promise.all([
+      yahooAPI.getOptionsChain(symbol, query.expiration),
+      query.riskFreeRate === undefined ? riskFreeCurve() : null
+    ]);
+
+    const pricing = optionsModel.priceChain(chain, {
+      style: query.style,
+      steps: query.steps,
+      dividendYield: query.dividendYield,
+      riskFreeRate: query.riskFreeRate,
+      riskFreeCurve: riskFree ? riskFree.curve : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...pricing,
+        riskFreeSource: riskFree
+          ? { source: 'FRED Treasury zero curve', date: riskFree.date, curve: riskFree.curve }
+          : { source: 'request', rate: query.riskFreeRate }
+      }
+    });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+// Comma-separated query values such as ?moneyness=0.9,1,1.1
+function listParam(value) {
+  return value === undefined ? undefined : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Implied volatility surface fitted across the chain's expirations, with ATM term structure and 25-delta skew
+router.get('/options/:symbol/surface', async (req, res) => {
+  try {
+    const { value: query, details } = validateQuery(volSurfaceQuery, {
+      ...req.query,
+      moneyness: listParam(req.query.moneyness),
+      tenors: listParam(req.query.tenors)
+    });
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const [first, riskFree] = await Promise.all([
+      yahooAPI.getOptionsChain(symbol),
+      query.riskFreeRate === undefined ? riskFreeCurve() : null
+    ]);
+
+    // Yahoo returns one expiration per request; fetch the rest listed in expirationDates
+    const loaded = new Set((first.options || []).map(expiry => expiry.expirationDate));
+    const remaining = (first.expirationDates || [])
+      .slice(0, query.maxExpirations || 12)
+      .filter(expiration => !loaded.has(expiration));
+    const fetched = await Promise.allSettled(remaining.map(expiration => yahooAPI.getOptionsChain(symbol, expiration)));
+
+    const warnings = [];
+    fetched.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        const date = new Date(remaining[i] * 1000).toISOString().split('T')[0];
+        warnings.push(warning(WARNING_CODES.MISSING_DATA, `${date}: options chain unavailable (${result.reason.message})`, { expirationDate: date }));
+      }
+    });
+    const chain = {
+      ...first,
+      options: [first, ...fetched.filter(result => result.status === 'fulfilled').map(result => result.value)]
+        .flatMap(result => result.options || [])
+    };
+
+    const filters = Object.fromEntries(
+      ['minDaysToExpiry', 'maxQuoteAgeDays', 'maxRelativeSpread', 'minOpenInterest', 'minPrice']
+        .filter(key => query[key] !== undefined)
+        .map(key => [key, query[key]])
+    );
+    const surface = volSurfaceModel.buildSurface(chain, {
+      style: query.style,
+      steps: query.steps,
+      dividendYield: query.dividendYield,
+      riskFreeRate: query.riskFreeRate,
+      riskFreeCurve: riskFree ? riskFree.curve : undefined,
+      moneyness: query.moneyness,
+      tenors: query.tenors,
+      filters
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...surface,
+        riskFreeSource: riskFree
+          ? { source: 'FRED Treasury zero curve', date: riskFree.date, curve: riskFree.curve }
+          : { source: 'request', rate: query.riskFreeRate },
+        warnings: [...warnings, ...surface.warnings]
+      }
+    });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
 // Get technical indicators from Alpha Vantage
 router.get('/technical/:symbol/:indicator', async (req, res) => {
   try {
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const PrecedentsModel = require('../../../analytics-engine/src/models/PrecedentsModel');
+const { PrecedentDealStore, dealFromCSVRecord } = require('../store/precedentDeals');
+const { parseCSV } = require('../store/csv');
+const {
+  precedentDeal,
+  precedentScreen,
+  precedentValuationRequest,
+  validateBody,
+  validateQuery
+} = require('../validation/modelSchemas');
+const { sendInvalidBody, sendModelError } = require('../validation/responses');
+
+const store = new PrecedentDealStore();
+const precedentsModel = new PrecedentsModel();
+
+// Comma-separated query values such as ?sectors=software,healthcare
+function listParam(value) {
+  return value === undefined ? undefined : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function notFound(res, id) {
+  res.status(404).json({ success: false, error: `Precedent deal ${id} not found` });
+}
+
+// List deals, optionally screened by sector, deal type, size and announcement date
+router.get('/', async (req, res) => {
+  try {
+    const query = {
+      ...req.query,
+      sectors: listParam(req.query.sectors),
+      dealTypes: listParam(req.query.dealTypes)
+    };
+    const { value: criteria, details } = validateQuery(precedentScreen, query);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const deals = precedentsModel.screen(await store.list(), criteria);
+    res.json({ success: true, data: deals, count: deals.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const deal = await store.get(req.params.id);
+    if (!deal) {
+      return notFound(res, req.params.id);
+    }
+    res.json({ success: true, data: deal });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { details } = validateBody(precedentDeal, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    res.status(201).json({ success: true, data: await store.create(req.body) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replace a deal's fields
+router.put('/:id', async (req, res) => {
+  try {
+    const { details } = validateBody(precedentDeal, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const deal = await store.update(req.params.id, req.body);
+    if (!deal) {
+      return notFound(res, req.params.id);
+    }
+    res.json({ success: true, data: deal });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await store.remove(req.params.id);
+    if (!removed) {
+      return notFound(res, req.params.id);
+    }
+    res.json({ success: true, data: { id: req.params.id } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import deals from CSV sent as text/csv or as { csv } JSON. Nothing is stored unless every row is valid.
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (typeof text !== 'string' || text.trim() === '') {
+      return sendInvalidBody(res, [{ path: 'csv', message: 'CSV text is required (text/csv body or { csv } JSON)' }]);
+    }
+
+    let parsed;
+    try {
+      parsed = parseCSV(text);
+    } catch (error) {
+      return sendInvalidBody(res, [{ path: 'csv', message: error.message }]);
+    }
+
+    const converted = parsed.records.map(record => ({ line: record.line, ...dealFromCSVRecord(record.values) }));
+    const deals = converted.map(row => row.deal);
+    const details = converted.flatMap(({ line, deal }) => validateBody(precedentDeal, deal).details.map(detail => ({
+      path: `rows[${line}].${detail.path}`,
+      message: `row ${line}: ${detail.message}`
+    })));
+
+    if (deals.length === 0) {
+      return sendInvalidBody(res, [{ path: 'csv', message: 'CSV has a header but no deals' }]);
+    }
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const created = await store.createMany(deals);
+    res.status(201).json({
+      success: true,
+      data: {
+        imported: created.length,
+        ignoredColumns: converted[0].unknownHeaders,
+        deals: created
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Control premium and EV multiple statistics over screened deals, applied to a target
+router.post('/valuation', async (req, res) => {
+  try {
+    const { details } = validateBody(precedentValuationRequest, req.body);
+    if (details.length > 0) {
+      return sendInvalidBody(res, details);
+    }
+
+    const { target, screen = {}, dealIds, metrics, outlierMethod, outlierThreshold, minDeals } = req.body;
+    const stored = await store.list();
+    const selected = dealIds ? stored.filter(deal => dealIds.includes(deal.id)) : stored;
+    const deals = precedentsModel.screen(selected, screen);
+
+    res.json({
+      success: true,
+      data: {
+        screen,
+        ...precedentsModel.calculatePrecedents(target, deals, { metrics, outlierMethod, outlierThreshold, minDeals })
+      }
+    });
+  } catch (error) {
+    sendModelError(res, error);
+  }
+});
+
+module.exports = router;
@@ -35,7 +35,9 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/market-data', require('./routes/marketData'));
 app.use('/api/financial-data', require('./routes/financialData'));
 app.use('/api/economic-data', require('./routes/economicData'));
+app.use('/api/analytics/fixed-income', require('./routes/fixedIncome'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/precedents', require('./routes/precedents'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,85 @@
+/**
+ * Minimal RFC 4180 CSV parsing: quoted fields may contain commas, doubled
+ * quotes and line breaks. The first row is the header.
+ */
+
+/**
+ * Split CSV text into rows of raw string fields
+ * @param {string} text - CSV document
+ * @returns {Array} Rows, each an array of fields
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no record
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into one object per record keyed by header
+ * @param {string} text - CSV document with a header row
+ * @returns {Object} { headers, records: [{ line, values }] } where line is the 1-based record number after the header
+ */
+function parseCSV(text) {
+  const [headers, ...rows] = parseRows(text);
+  if (!headers) {
+    throw new Error('CSV is empty');
+  }
+
+  const names = headers.map(header => header.trim());
+  const records = rows.map((fields, i) => {
+    if (fields.length > names.length) {
+      throw new Error(`CSV record ${i + 1} has ${fields.length} fields but the header has ${names.length}`);
+    }
+    return {
+      line: i + 1,
+      values: Object.fromEntries(names.map((name, j) => [name, (fields[j] ?? '').trim()]))
+    };
+  });
+
+  return { headers: names, records };
+}
+
+module.exports = {
+  parseCSV
+};
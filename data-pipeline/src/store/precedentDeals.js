@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'precedent-deals.json');
+
+// Deal fields that hold numbers; CSV imports convert these from text
+const NUMBER_FIELDS = [
+  'enterpriseValue',
+  'equityValue',
+  'ebitda',
+  'revenue',
+  'offerPrice',
+  'unaffectedPrice',
+  'controlPremium'
+];
+
+const TEXT_FIELDS = [
+  'target',
+  'acquirer',
+  'announcedDate',
+  'closedDate',
+  'sector',
+  'dealType',
+  'country',
+  'currency',
+  'notes'
+];
+
+// 'Announced Date', 'announced_date' and 'announcedDate' all name the same field
+const headerKey = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+const FIELDS_BY_HEADER = Object.fromEntries([...NUMBER_FIELDS, ...TEXT_FIELDS].map(field => [headerKey(field), field]));
+
+/**
+ * Deal fields from one CSV record. Numbers may carry thousands separators,
+ * currency symbols or a % suffix (35% becomes 0.35); blank cells are omitted.
+ * Bare numbers are kept as written, so a control premium of 35 fails validation
+ * rather than being guessed at.
+ * @param {Object} values - Header -> cell text
+ * @returns {Object} { deal, unknownHeaders }
+ */
+function dealFromCSVRecord(values) {
+  const deal = {};
+  const unknownHeaders = [];
+
+  Object.entries(values).forEach(([header, text]) => {
+    const field = FIELDS_BY_HEADER[headerKey(header)];
+    if (!field) {
+      unknownHeaders.push(header);
+      return;
+    }
+    if (text === '') return;
+
+    if (NUMBER_FIELDS.includes(field)) {
+      const cleaned = text.replace(/[,$€£\s]/g, '');
+      const number = cleaned.endsWith('%') ? parseFloat(cleaned.slice(0, -1)) / 100 : Number(cleaned);
+      deal[field] = Number.isNaN(number) ? text : number;
+    } else {
+      deal[field] = field === 'dealType' ? text.toLowerCase() : text;
+    }
+  });
+
+  return { deal, unknownHeaders };
+}
+
+/**
+ * Precedent transactions persisted as one JSON file. Writes are serialized and
+ * land atomically (temp file + rename), so readers never see a partial file.
+ */
+class PrecedentDealStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.PRECEDENT_DEALS_PATH || DEFAULT_PATH;
+    this.deals = null;
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.deals) return this.deals;
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      this.deals = JSON.parse(contents).deals || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.deals = [];
+    }
+    return this.deals;
+  }
+
+  /**
+   * All stored deals
+   * @returns {Promise<Array>} Deals
+   */
+  async list() {
+    return [...await this.load()];
+  }
+
+  /**
+   * One deal by id
+   * @returns {Promise<Object|null>} Deal or null when not found
+   */
+  async get(id) {
+    const deals = await this.load();
+    return deals.find(deal => deal.id === id) || null;
+  }
+
+  /**
+   * Store new deals in one write
+   * @param {Array} deals - Validated deal fields
+   * @returns {Promise<Array>} Stored deals with id and timestamps
+   */
+  async createMany(deals) {
+    return this.mutate(stored => {
+      const now = new Date().toISOString();
+      const created = deals.map(deal => ({ id: crypto.randomUUID(), ...deal, createdAt: now, updatedAt: now }));
+      stored.push(...created);
+      return created;
+    });
+  }
+
+  async create(deal) {
+    const [created] = await this.createMany([deal]);
+    return created;
+  }
+
+  /**
+   * Replace a deal's fields, keeping its id and creation time
+   * @returns {Promise<Object|null>} Updated deal or null when not found
+   */
+  async update(id, deal) {
+    return this.mutate(stored => {
+      const index = stored.findIndex(existing => existing.id === id);
+      if (index === -1) return null;
+      stored[index] = { id, ...deal, createdAt: stored[index].createdAt, updatedAt: new Date().toISOString() };
+      return stored[index];
+    });
+  }
+
+  /**
+   * Delete a deal
+   * @returns {Promise<boolean>} Whether a deal was removed
+   */
+  async remove(id) {
+    return this.mutate(stored => {
+      const index = stored.findIndex(existing => existing.id === id);
+      if (index === -1) return false;
+      stored.splice(index, 1);
+      return true;
+    });
+  }
+
+  // Run one change against the loaded deals and persist it before the next change starts
+  mutate(change) {
+    const run = this.queue.then(async () => {
+      const stored = await this.load();
+      const snapshot = [...stored];
+      const result = change(stored);
+      try {
+        await this.persist(stored);
+      } catch (error) {
+        this.deals = snapshot;
+        throw error;
+      }
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async persist(deals) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ deals }, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  PrecedentDealStore,
+  dealFromCSVRecord
+};
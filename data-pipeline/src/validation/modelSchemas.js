@@ -0,0 +1,405 @@
+const Joi = require('joi');
+
+// Per-year assumptions arrive either as one number or as one number per projection year
+const series = Joi.alternatives().try(Joi.number(), Joi.array().items(Joi.number()).min(1));
+
+const dcfInputs = Joi.object({
+  financialData: Joi.object({
+    revenue: Joi.number().positive().required(),
+    sharesOutstanding: Joi.number().min(0),
+    currentPrice: Joi.number().min(0),
+    cash: Joi.number().min(0),
+    totalDebt: Joi.number().min(0),
+    balanceSheet: Joi.object()
+  }).unknown(true).required(),
+  projections: Joi.object({
+    revenueGrowth: series.required(),
+    ebitdaMargin: series.required()
+  }).unknown(true).required(),
+  assumptions: Joi.object({
+    valuationDate: Joi.string().isoDate(),
+    fiscalYearEnd: Joi.number().integer().min(1).max(12)
+  }).unknown(true)
+});
+
+const lboInputs = Joi.object({
+  dealParams: Joi.object({
+    enterpriseValue: Joi.number().positive().required(),
+    ebitda: Joi.number().positive().required(),
+    exitMultiple: Joi.number().positive().required(),
+    revenueGrowth: series,
+    ebitdaMargin: series,
+    taxRate: Joi.number().min(0).max(1),
+    fees: Joi.number().min(0),
+    tranches: Joi.array().items(Joi.object()),
+    periodicity: Joi.string().valid('annual', 'quarterly', 'monthly'),
+    entryDate: Joi.string().isoDate(),
+    exitDate: Joi.string().isoDate(),
+    fiscalYearEnd: Joi.number().integer().min(1).max(12)
+  }).unknown(true).with('exitDate', 'entryDate').required(),
+  assumptions: Joi.object({
+    assetVolatility: Joi.number().positive(),
+    riskFreeRate: Joi.number()
+  }).unknown(true)
+});
+
+const modelInputs = Joi.when('model', {
+  is: 'dcf',
+  then: dcfInputs.required(),
+  otherwise: lboInputs.required()
+});
+
+const monteCarloRequest = Joi.object({
+  model: Joi.string().valid('dcf', 'lbo').required(),
+  inputs: modelInputs,
+  distributions: Joi.object(),
+  correlation: Joi.object(),
+  simulations: Joi.number().integer().min(1),
+  seed: Joi.alternatives().try(Joi.number(), Joi.string()),
+  antithetic: Joi.boolean(),
+  histogramBins: Joi.number().integer().min(1).max(200),
+  async: Joi.boolean()
+});
+
+// Yahoo accepts period bounds as Unix seconds, sent as numbers or numeric strings
+const unixTime = Joi.alternatives().try(Joi.number().integer().min(0), Joi.string().pattern(/^\d+$/));
+
+const weightBound = Joi.object({
+  min: Joi.number().min(-1).max(1),
+  max: Joi.number().min(-1).max(1)
+});
+
+const portfolioOptimizeRequest = Joi.object({
+  symbols: Joi.array().items(Joi.string().trim().min(1).max(12)).min(2).unique().required(),
+  period1: unixTime,
+  period2: unixTime,
+  interval: Joi.string().valid('1d', '5d', '1wk', '1mo', '3mo'),
+  riskFreeRate: Joi.number().min(-0.05).max(0.5),
+  frontierPoints: Joi.number().integer().min(2).max(200),
+  constraints: Joi.object({
+    longOnly: Joi.boolean(),
+    minWeight: Joi.number().min(-1).max(1),
+    maxWeight: Joi.number().min(-1).max(1),
+    bounds: Joi.object().pattern(Joi.string(), weightBound),
+    sectors: Joi.object().pattern(Joi.string(), Joi.string()),
+    sectorCaps: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1))
+  })
+});
+
+const varRequest = Joi.object({
+  positions: Joi.array().items(Joi.object({
+    symbol: Joi.string().trim().min(1).max(12).required(),
+    quantity: Joi.number(),
+    value: Joi.number()
+  }).or('quantity', 'value')).min(1).required(),
+  confidenceLevel: Joi.number().greater(0.5).less(1),
+  horizon: Joi.number().positive(),
+  methods: Joi.array().items(Joi.string().valid('historical', 'parametric', 'monteCarlo')).min(1).unique(),
+  simulations: Joi.number().integer().min(1).max(100000),
+  seed: Joi.alternatives().try(Joi.number(), Joi.string()),
+  antithetic: Joi.boolean(),
+  period1: unixTime,
+  period2: unixTime,
+  interval: Joi.string().valid('1d', '5d', '1wk', '1mo', '3mo')
+});
+
+// Sensitivity requests flex input paths; path syntax is checked by the engine
+const sensitivityGridRequest = Joi.object({
+  model: Joi.string().valid('dcf', 'lbo').required(),
+  inputs: modelInputs,
+  dimensions: Joi.array().items(Joi.object({
+    path: Joi.string().required(),
+    values: Joi.array().items(Joi.any()).min(1).required()
+  })).min(1).required(),
+  metrics: Joi.array().items(Joi.string()).min(1)
+});
+
+const tornadoRequest = Joi.object({
+  model: Joi.string().valid('dcf', 'lbo').required(),
+  inputs: modelInputs,
+  drivers: Joi.array().items(Joi.object({
+    path: Joi.string().required(),
+    label: Joi.string(),
+    low: Joi.any(),
+    high: Joi.any(),
+    shift: Joi.number(),
+    percent: Joi.number()
+  }).oxor('shift', 'percent').and('low', 'high')).min(1).required(),
+  metric: Joi.string()
+});
+
+const goalSeekRequest = Joi.object({
+  model: Joi.string().valid('dcf', 'lbo').required(),
+  inputs: modelInputs,
+  path: Joi.string().required(),
+  metric: Joi.string(),
+  target: Joi.number().required(),
+  lower: Joi.number().required(),
+  upper: Joi.number().greater(Joi.ref('lower')).required(),
+  method: Joi.string().valid('brent', 'bisection'),
+  tolerance: Joi.number().positive(),
+  maxIterations: Joi.number().integer().min(1).max(1000)
+});
+
+const maxPurchasePriceRequest = Joi.object({
+  dealParams: lboInputs.extract('dealParams'),
+  assumptions: Joi.object(),
+  lower: Joi.number().positive(),
+  upper: Joi.number().positive(),
+  method: Joi.string().valid('brent', 'bisection'),
+  tolerance: Joi.number().positive()
+});
+
+// Dated ({ date, amount }) or timed ({ time, amount }) investor cash flows
+const returnMetricsRequest = Joi.object({
+  flows: Joi.alternatives().try(
+    Joi.array().items(Joi.object({ date: Joi.string().isoDate().required(), amount: Joi.number().required() })).min(1),
+    Joi.array().items(Joi.object({ time: Joi.number().min(0).required(), amount: Joi.number().required() })).min(1)
+  ).required(),
+  residualValue: Joi.number().min(0),
+  hurdleRate: Joi.number().greater(-1),
+  guess: Joi.number().greater(-1)
+});
+
+// A company is a ticker to fetch, or explicit figures and/or raw Yahoo/Alpha Vantage data (as from /peer-comparison)
+const company = Joi.alternatives().try(
+  Joi.string().trim().min(1).max(12),
+  Joi.object({
+    symbol: Joi.string(),
+    name: Joi.string(),
+    price: Joi.number(),
+    sharesOutstanding: Joi.number().min(0),
+    marketCap: Joi.number(),
+    enterpriseValue: Joi.number(),
+    netDebt: Joi.number(),
+    totalDebt: Joi.number().min(0),
+    cash: Joi.number().min(0),
+    ebitda: Joi.number(),
+    revenue: Joi.number(),
+    eps: Joi.number(),
+    financials: Joi.object().allow(null),
+    overview: Joi.object().allow(null)
+  })
+);
+
+const compsRequest = Joi.object({
+  target: company.required(),
+  peers: Joi.array().items(company).min(1).max(50).required(),
+  multiples: Joi.array().items(Joi.string().valid('evToEbitda', 'evToRevenue', 'peRatio')).min(1).unique(),
+  outlierMethod: Joi.string().valid('iqr', 'zscore', 'none'),
+  outlierThreshold: Joi.number().positive(),
+  minPeers: Joi.number().integer().min(1)
+});
+
+// Each method is optional; a symbol fills in the 52-week range, price, share count and comps target from market data
+const footballFieldRequest = Joi.object({
+  symbol: Joi.string().trim().min(1).max(12),
+  company: Joi.object({
+    sharesOutstanding: Joi.number().positive(),
+    netDebt: Joi.number(),
+    currentPrice: Joi.number().min(0)
+  }),
+  dcf: dcfInputs.keys({
+    discountRates: Joi.array().items(Joi.number()).min(1),
+    terminalGrowthRates: Joi.array().items(Joi.number()).min(1)
+  }),
+  lbo: lboInputs.keys({
+    irrSpread: Joi.number().positive().max(0.5)
+  }),
+  comps: compsRequest.fork('target', schema => schema.optional()),
+  fiftyTwoWeek: Joi.object({
+    low: Joi.number().min(0).required(),
+    high: Joi.number().min(Joi.ref('low')).required()
+  })
+}).or('symbol', 'dcf', 'lbo', 'comps', 'fiftyTwoWeek');
+
+// A precedent transaction as stored; id and timestamps are assigned by the store
+const precedentDeal = Joi.object({
+  target: Joi.string().trim().min(1).required(),
+  acquirer: Joi.string().trim(),
+  announcedDate: Joi.string().isoDate().required(),
+  closedDate: Joi.string().isoDate(),
+  sector: Joi.string().trim().min(1).required(),
+  dealType: Joi.string().valid('strategic', 'financial'),
+  country: Joi.string().trim(),
+  currency: Joi.string().length(3),
+  enterpriseValue: Joi.number().positive().required(),
+  equityValue: Joi.number().positive(),
+  ebitda: Joi.number(),
+  revenue: Joi.number().min(0),
+  offerPrice: Joi.number().positive(),
+  unaffectedPrice: Joi.number().positive(),
+  // A fraction of the unaffected price; a bare 35 from a spreadsheet would otherwise be stored as 3500%
+  controlPremium: Joi.number().greater(-1).max(5).messages({
+    'number.max': '{{#label}} must be a fraction no greater than {{#limit}} (0.35 for 35%); write percentages with a % sign'
+  }),
+  notes: Joi.string().allow('')
+});
+
+// Screening criteria shared by the deal list (query string) and valuation requests (body)
+const precedentScreenFields = {
+  sectors: Joi.array().items(Joi.string()).min(1),
+  dealTypes: Joi.array().items(Joi.string().valid('strategic', 'financial')).min(1),
+  minEnterpriseValue: Joi.number().min(0),
+  maxEnterpriseValue: Joi.number().positive(),
+  from: Joi.string().isoDate(),
+  to: Joi.string().isoDate(),
+  maxAgeYears: Joi.number().positive()
+};
+
+const precedentScreen = Joi.object(precedentScreenFields);
+
+const precedentValuationRequest = Joi.object({
+  target: Joi.object({
+    name: Joi.string(),
+    ebitda: Joi.number(),
+    revenue: Joi.number(),
+    netDebt: Joi.number(),
+    sharesOutstanding: Joi.number().min(0),
+    unaffectedPrice: Joi.number().positive()
+  }).required(),
+  screen: precedentScreen,
+  dealIds: Joi.array().items(Joi.string()).min(1),
+  metrics: Joi.array().items(Joi.string().valid('evToEbitda', 'evToRevenue', 'controlPremium')).min(1).unique(),
+  outlierMethod: Joi.string().valid('iqr', 'zscore', 'none'),
+  outlierThreshold: Joi.number().positive(),
+  minDeals: Joi.number().integer().min(1)
+});
+
+// Query string for pricing an options chain; without riskFreeRate the FRED Treasury curve is used.
+// steps only applies to style=american, where every contract's implied vol inverts a binomial tree
+const optionsPricingQuery = Joi.object({
+  expiration: Joi.number().integer().positive(),
+  style: Joi.string().valid('american', 'european'),
+  steps: Joi.number().integer().min(3).max(500),
+  dividendYield: Joi.number().min(0).max(1),
+  riskFreeRate: Joi.number().min(-0.1).max(1)
+});
+
+// Query string for the implied volatility surface; lists arrive comma-separated
+const volSurfaceQuery = optionsPricingQuery.keys({
+  expiration: Joi.forbidden(),
+  maxExpirations: Joi.number().integer().min(1).max(30),
+  moneyness: Joi.array().items(Joi.number().positive()).min(1),
+  tenors: Joi.array().items(Joi.number().integer().positive()).min(1),
+  minDaysToExpiry: Joi.number().min(0),
+  maxQuoteAgeDays: Joi.number().positive(),
+  maxRelativeSpread: Joi.number().positive(),
+  minOpenInterest: Joi.number().integer().min(0),
+  minPrice: Joi.number().min(0)
+});
+
+// Query string for the bootstrapped Treasury curve; times arrive comma-separated
+const yieldCurveQuery = Joi.object({
+  date: Joi.string().isoDate(),
+  method: Joi.string().valid('linear', 'cubic', 'nss'),
+  times: Joi.array().items(Joi.number().positive().max(50)).min(1)
+});
+
+// A curve as returned by /api/economic-data/yield-curve/bootstrap
+const yieldCurve = Joi.object({
+  method: Joi.string().valid('linear', 'cubic', 'nss').required(),
+  pillars: Joi.array().items(Joi.object({
+    time: Joi.number().positive().required(),
+    zeroRate: Joi.number().required()
+  }).unknown(true)).min(1).required(),
+  nss: Joi.object().allow(null)
+}).unknown(true);
+
+const bondRequest = Joi.object({
+  bond: Joi.object({
+    type: Joi.string().valid('fixed', 'floating'),
+    settlementDate: Joi.string().isoDate(),
+    maturityDate: Joi.string().isoDate().required(),
+    couponRate: Joi.number().min(0),
+    frequency: Joi.number().valid(1, 2, 4, 12),
+    faceValue: Joi.number().positive(),
+    dayCount: Joi.string().valid('30/360', 'ACT/360', 'ACT/365', 'ACT/ACT'),
+    spread: Joi.number(),
+    currentCoupon: Joi.number()
+  }).required(),
+  price: Joi.number().positive(),
+  curve: yieldCurve,
+  curveMethod: Joi.string().valid('linear', 'cubic', 'nss'),
+  keyRateTenors: Joi.array().items(Joi.number().positive()).min(1).unique()
+}).oxor('curve', 'curveMethod');
+
+// Without a symbol the market inputs and debt must be given; with one, anything given overrides market data
+const requiredWithoutSymbol = schema => schema.when('symbol', { not: Joi.exist(), then: Joi.required() });
+
+const creditRiskRequest = Joi.object({
+  symbol: Joi.string().trim().min(1).max(12),
+  equityValue: requiredWithoutSymbol(Joi.number().positive()),
+  equityVolatility: requiredWithoutSymbol(Joi.number().positive().max(5)),
+  shortTermDebt: Joi.number().min(0),
+  longTermDebt: Joi.number().min(0),
+  riskFreeRate: Joi.number().min(-0.05).max(0.5),
+  expectedReturn: Joi.number().min(-1).max(2),
+  horizon: Joi.number().positive().max(30),
+  financials: Joi.object({
+    workingCapital: Joi.number(),
+    retainedEarnings: Joi.number(),
+    ebit: Joi.number(),
+    sales: Joi.number().min(0),
+    totalAssets: Joi.number().positive(),
+    totalLiabilities: Joi.number().positive(),
+    bookEquity: Joi.number()
+  }),
+  altmanVariant: Joi.string().valid('public', 'private', 'nonManufacturing'),
+  exposure: Joi.number().min(0),
+  lossGivenDefault: Joi.number().min(0).max(1),
+  seniority: Joi.string().valid('seniorSecured', 'seniorUnsecured', 'subordinated')
+}).oxor('lossGivenDefault', 'seniority')
+  .with('shortTermDebt', 'longTermDebt')
+  .with('longTermDebt', 'shortTermDebt');
+
+/**
+ * Validate a request body against a schema
+ * @param {Object} schema - Joi schema
+ * @param {Object} body - Request body
+ * @returns {Object} { value, details } where details is [{ path, message }] (empty when valid)
+ */
+function validateBody(schema, body) {
+  const { value, error } = schema.validate(body, { abortEarly: false, convert: false });
+  const details = error
+    ? error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    : [];
+  return { value, details };
+}
+
+/**
+ * Validate query-string parameters, converting numeric strings
+ * @param {Object} schema - Joi schema
+ * @param {Object} query - req.query
+ * @returns {Object} { value, details } as for validateBody
+ */
+function validateQuery(schema, query) {
+  const { value, error } = schema.validate(query, { abortEarly: false, convert: true });
+  const details = error
+    ? error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    : [];
+  return { value, details };
+}
+
+module.exports = {
+  portfolioOptimizeRequest,
+  varRequest,
+  monteCarloRequest,
+  sensitivityGridRequest,
+  tornadoRequest,
+  goalSeekRequest,
+  maxPurchasePriceRequest,
+  returnMetricsRequest,
+  compsRequest,
+  footballFieldRequest,
+  precedentDeal,
+  precedentScreen,
+  precedentValuationRequest,
+  optionsPricingQuery,
+  volSurfaceQuery,
+  yieldCurveQuery,
+  bondRequest,
+  creditRiskRequest,
+  validateBody,
+  validateQuery
+};
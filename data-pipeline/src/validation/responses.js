@@ -0,0 +1,43 @@
+/**
+ * Error responses shared by the model routes: { success: false, error, code, details }.
+ */
+
+// Model error codes caused by the caller's inputs rather than by the server
+const CLIENT_ERROR_CODES = [
+  'INVALID_INPUT',
+  'INVALID_ASSUMPTION',
+  'TERMINAL_GROWTH_EXCEEDS_DISCOUNT',
+  'NEGATIVE_EQUITY_CONTRIBUTION',
+  'TARGET_NOT_BRACKETED'
+];
+
+// Failures of an upstream data source rather than of the model or the request
+const UPSTREAM_ERROR_CODES = ['UPSTREAM_UNAVAILABLE'];
+
+// 400 for a request body that fails its schema
+function sendInvalidBody(res, details) {
+  res.status(400).json({
+    success: false,
+    error: details.map(d => d.message).join('; '),
+    code: 'INVALID_INPUT',
+    details
+  });
+}
+
+// Map a model error onto a 400 (bad inputs), 503 (data source down) or 500 response, keeping its code and details
+function sendModelError(res, error) {
+  const status = CLIENT_ERROR_CODES.includes(error.code) ? 400 : UPSTREAM_ERROR_CODES.includes(error.code) ? 503 : 500;
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code || 'CALCULATION_FAILED',
+    ...(error.details && error.details.length ? { details: error.details } : {})
+  });
+}
+
+module.exports = {
+  CLIENT_ERROR_CODES,
+  UPSTREAM_ERROR_CODES,
+  sendInvalidBody,
+  sendModelError
+};